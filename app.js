@@ -7,11 +7,21 @@
 //
 // Responsibilities:
 //   - Global state: keys[], layers[], currentLayer, pan/zoom
-//   - DXF file import and JSON save/load
-//   - Layer creation and switching
-//   - Applying panel changes (colour, font size, label) to keys
+//   - DXF file import (single file or split halves), the import
+//     report, the board outline underlay, and JSON save/load
+//   - KLE (keyboard-layout-editor) JSON import and export
+//   - VIA / Vial definition import (with layout options) and
+//     keymap backups
+//   - Physical key order, switch matrix, and QMK / ZMK keymap export
+//   - Layers: add, rename, delete, duplicate, reorder, hide, lock,
+//     and which layer each inherits its transparent keys from
+//   - View mode: stacked, active layer only, grid, or combined
+//   - Edit Geometry mode: moving, resizing, adding and deleting keys
+//   - Applying panel changes (state, colour, font size, label) to keys,
+//     for any of the legend slots
+//   - Undo / redo: snapshots for history.js and the History list
 //   - Pan and zoom via mouse drag and scroll wheel
-//   - PNG export
+//   - PNG, SVG and PDF export (the vector ones drawn by export.js)
 // ============================================================
 
 
@@ -25,11 +35,17 @@
 //   y: 200,          // centre Y on canvas (SVG px)
 //   width: 60,
 //   height: 60,
-//   rotation: 0,
+//   rotation: 0,     // degrees, clockwise, around the key's centre
+//   shape: "rect",   // "rect", or "circle" for round keys / encoders
+//   half: "left",    // only on split boards: "left" or "right"
+//   matrix: { row: 0, col: 3 }, // switch matrix position (imported or inferred)
+//   order: 12,       // position in the firmware LAYOUT order (see firmware.js)
+//   u:  { x, y, width, height },  // same geometry in key units (see syncKeyUnits)
+//   mm: { x, y, width, height },  // ...and in millimetres
 //   layers: {
-//     base: { text: "A", bg: "#ff0000", color: "#ffffff", fontSize: 18 },
-//     fn:   { text: "",  bg: "#ffffff", color: "#000000", fontSize: 18 }
-//   }
+//     base: { text: "A", bg: "#ff0000", color: "#ffffff", fontSize: 18, state: "defined" },
+//     fn:   { text: "",  bg: "#ffffff", color: "#000000", fontSize: 18, state: "trans" }
+//   }                // state: "defined", "trans" or "none" — see layers.js
 // }
 let keys = [];
 
@@ -37,10 +53,78 @@ let keys = [];
 // Clicking/selecting/applying changes all affect this layer only.
 let currentLayer = "base";
 
+// pitchMm: the real-world size of 1u (centre-to-centre key spacing)
+// for the loaded board, in millimetres. Set by the DXF importer and
+// used to keep each key's `mm` geometry up to date.
+let pitchMm = 19.05;
+
+// importReport: diagnostics from the last DXF import (see
+// buildKeysFromAnalysis in parser.js) — entity counts and every
+// shape that was rejected as a key. null until a DXF is imported.
+// showGhosts: whether rejected shapes are drawn on the canvas as
+// ghost outlines. Both are read by render.js.
+let importReport = null;
+let showGhosts   = true;
+
+// underlay: everything in the imported DXF that isn't a key — case
+// outline, plate edge, screw holes — in canvas px, drawn behind the
+// keys for reference (see buildKeysFromAnalysis in parser.js):
+//   { layer: "OUTLINE", points: [{x, y}, ...], closed: true }
+//   { layer: "HOLES",   center: {x, y}, radius: 8 }
+// (plus `half` on split boards). `layer` is the DXF layer name.
+// showUnderlay is the toolbar toggle; hiddenDxfLayers holds the
+// names of DXF layers the user has switched off in the panel.
+// All three are read by render.js.
+let underlay        = [];
+let showUnderlay    = true;
+let hiddenDxfLayers = new Set();
+
+// matrixSize: the switch matrix's { rows, cols } — from an imported
+// VIA / Vial definition, or grown to fit as positions are inferred
+// or typed in (keys carry `matrix` = { row, col }). Needed to read
+// VIA keymap backups. null until any key has a position.
+let matrixSize = null;
+
+// showKeyOrder: whether render.js numbers each key with its
+// position in the physical (firmware LAYOUT) order.
+let showKeyOrder = false;
+
+// currentLegendSlot: which legend (see LEGEND_SLOTS in layers.js)
+// the panel's label / text colour / size fields and the inline
+// editor work on. Read by render.js.
+let currentLegendSlot = "center";
+
+// showMatrix: whether render.js shows each key's matrix row,col and
+// draws the matrix rows and columns over the active layer.
+let showMatrix = false;
+
 // layers: ordered array of all layer names. The order determines the
-// top-to-bottom stacking order on the canvas (index 0 = topmost block).
+// order of the layer blocks on the canvas (index 0 = first block).
 let layers = ["base"];
 
+// layerSettings: per-layer settings, by layer name:
+//   { fn: { parent: "base", hidden: true, locked: false } }
+// `parent` is the layer the layer's transparent keys inherit from
+// (see layers.js). A hidden layer isn't drawn and is left out of
+// every export; a locked layer's labels and colours can't be
+// changed. Flags default to false. Read by render.js.
+let layerSettings = {};
+
+// viewMode: how render.js lays the layers out — "stacked",
+// "single" (the active layer only), "grid" or "combined" (see
+// getViewMode in render.js). gridColumns: layer blocks per row in
+// the grid view.
+let viewMode    = "stacked";
+let gridColumns = 2;
+
+// editGeometry: whether Edit Geometry mode is on — keys can be
+// moved, resized, added and deleted on the canvas. snapGridU is the
+// grid moves snap to, in u (0 = none), and snapToEdges whether they
+// also snap to the edges of nearby keys. Read by render.js.
+let editGeometry = false;
+let snapGridU    = 0.25;
+let snapToEdges  = true;
+
 // ── Pan & zoom state ──────────────────────────────────────────
 // These are read and written by both app.js and render.js.
 // render.js writes panX/panY/zoom when restoring a saved transform;
@@ -62,6 +146,8 @@ const keyText      = document.getElementById("keyText");      // panel: key labe
 const keyColor     = document.getElementById("keyColor");     // panel: background colour picker
 const keyTextColor = document.getElementById("keyTextColor"); // panel: text colour picker
 const fontSize     = document.getElementById("fontSize");     // panel: font size field
+const keyState     = document.getElementById("keyState");     // panel: defined / transparent / no-op
+const legendAlign  = document.getElementById("legendAlign");  // panel: legend alignment
 const layerSelect  = document.getElementById("layerSelect");  // toolbar: layer dropdown
 
 
@@ -69,31 +155,483 @@ const layerSelect  = document.getElementById("layerSelect");  // toolbar: layer
 // DXF IMPORT
 // ============================================================
 
-// When the user picks a file from the "Import DXF" button,
-// read it, parse it into key objects, and render the keyboard.
+// When the user picks a file from the "Import" button, read it,
+// parse it into key objects, and render the keyboard. .dxf files
+// go through parser.js; .json / .txt files are VIA / Vial keyboard
+// definitions (via.js) or keyboard-layout-editor layouts (kle.js).
 fileInput.addEventListener("change", async (e) => {
   const file = e.target.files[0];
   if (!file) return;
 
-  if (file.name.endsWith(".dxf")) {
-    // parseDXFFile is defined in parser.js.
-    // It returns a Promise that resolves to the keys array.
-    keys = await parseDXFFile(file);
+  const name = file.name.toLowerCase();
 
-    // Draw the keyboard. renderKeyboard is defined in render.js.
-    renderKeyboard(keys, currentLayer);
+  if (name.endsWith(".json") || name.endsWith(".txt")) {
+    try {
+      // parseKLEJSON (kle.js) also reads plain JSON, so it can tell
+      // us which kind of file this is. Both importers resolve to
+      // { keys, settings, layers } (plus `matrix` for VIA), or null
+      // if the user cancelled the layout options.
+      const data   = parseKLEJSON(await file.text());
+      const result = isVIADefinition(data)
+        ? await parseVIADefinition(data, { chooseOptions: showLayoutOptions })
+        : parseKLE(data);
+      if (result) loadImportedKeys(result, `Import ${file.name}`);
+    } catch (err) {
+      alert("Failed to import layout: " + err.message);
+    }
   }
+
+  if (name.endsWith(".dxf")) {
+    // parseDXFFile is defined in parser.js. It shows the import
+    // options dialog part-way through, and resolves to
+    // { keys, settings, report, underlay } — or null if the user
+    // cancelled.
+    try {
+      const result = await parseDXFFile(file, { confirmOptions: showImportOptions });
+      if (result) loadImportedKeys(result, `Import ${file.name}`);
+    } catch (err) {
+      alert("Failed to import layout: " + err.message);
+    }
+  }
+
+  // Reset the input so importing the same file twice in a row works
+  e.target.value = "";
+});
+
+// loadImportedKeys(result, label)
+// -------------------------------
+// Replaces the whole board with freshly imported keys, taking the
+// { keys, settings, report, underlay } that the DXF parser returns
+// or the { keys, settings, layers } from the KLE / VIA importers.
+// The layer list is reset to the layers the import created (just
+// "base" for a DXF) — otherwise layers left over from the previous
+// board would have no data on any key.
+// `label` names the step in the undo history.
+function loadImportedKeys(result, label) {
+  recordEdit(label); // history.js
+  keys            = result.keys;
+  pitchMm         = result.settings.pitchMm || 19.05;
+  importReport    = result.report || null;
+  underlay        = result.underlay || [];
+  hiddenDxfLayers = new Set();
+  matrixSize      = result.matrix || null;
+  updateReportButton();
+  updateKeymapButton();
+  layers        = result.layers || ["base"];
+  layerSettings = {};
+  currentLayer  = layers[0];
+  fillLayerDefaults(keys, layers, layerSettings); // layers.js
+
+  rebuildLayerSelect();
+  // Draw the keyboard. renderKeyboard is defined in render.js.
+  renderKeyboard(keys, currentLayer);
+  updateSplitPanel();
+  updateUnderlayControls();
+  updateMatrixPanel();
+}
+
+
+// ── Import options dialog ─────────────────────────────────────
+// Shown by parseDXFFile between analysing the file and creating
+// keys, so the user can correct the detected units and key pitch
+// or loosen/tighten the key size filter.
+const importOptionsDialog = document.getElementById("importOptionsDialog");
+const importUnits         = document.getElementById("importUnits");
+const importPitch         = document.getElementById("importPitch");
+const importMinU          = document.getElementById("importMinU");
+const importMaxU          = document.getElementById("importMaxU");
+
+// Fill the units dropdown once from the table in parser.js
+Object.entries(DXF_UNITS).forEach(([name, unit]) => {
+  const opt = document.createElement("option");
+  opt.value = name;
+  opt.textContent = unit.label;
+  importUnits.appendChild(opt);
 });
 
+// showImportOptions(analysis, settings)
+// -------------------------------------
+// Opens the dialog pre-filled with the detected settings and
+// resolves to the settings the user confirmed, or null on Cancel.
+// The key count at the bottom updates live as fields change.
+function showImportOptions(analysis, settings) {
+  importUnits.value = settings.units;
+  importPitch.value = settings.pitchMm;
+  importMinU.value  = settings.minU;
+  importMaxU.value  = settings.maxU;
+
+  document.getElementById("importOptionsInfo").textContent =
+    `Found ${analysis.candidates.length} closed outlines. ` +
+    (analysis.unitsFromHeader
+      ? `The file says it is drawn in ${DXF_UNITS[analysis.units].label.toLowerCase()}.`
+      : "The file doesn't say which units it uses; millimetres assumed.");
+
+  // Read the form back into a settings object
+  const readSettings = () => ({
+    units:   importUnits.value,
+    pitchMm: parseFloat(importPitch.value) || settings.pitchMm,
+    minU:    parseFloat(importMinU.value)  || 0,
+    maxU:    parseFloat(importMaxU.value)  || Infinity
+  });
+
+  // Show how many keys the current settings would produce
+  const updateCount = () => {
+    const count = filterKeyCandidates(analysis.candidates, readSettings()).length;
+    document.getElementById("importOptionsCount").textContent =
+      `${count} key${count === 1 ? "" : "s"} will be imported.`;
+  };
+
+  // Changing units means the detected pitch no longer applies —
+  // detect it again for the new units
+  const onUnitsChange = () => {
+    importPitch.value = detectPitchMm(analysis.candidates, DXF_UNITS[importUnits.value].mm);
+    updateCount();
+  };
+
+  importUnits.addEventListener("change", onUnitsChange);
+  importOptionsDialog.addEventListener("input", updateCount);
+  updateCount();
+  importOptionsDialog.returnValue = ""; // Escape doesn't reset it
+  importOptionsDialog.showModal();
+
+  return new Promise(resolve => {
+    importOptionsDialog.addEventListener("close", () => {
+      importUnits.removeEventListener("change", onUnitsChange);
+      importOptionsDialog.removeEventListener("input", updateCount);
+      resolve(importOptionsDialog.returnValue === "import" ? readSettings() : null);
+    }, { once: true });
+  });
+}
+
+
+// ============================================================
+// IMPORT REPORT
+// ============================================================
+
+// The "Import Report" toolbar button opens a dialog listing what
+// the last DXF import saw and what it rejected (with the reason
+// and the shape's DXF coordinates). Rejected shapes with an
+// outline are also drawn on the canvas as ghosts by render.js;
+// clicking a ghost, or "Make key" in the dialog, turns it into a key.
+const reportDialog    = document.getElementById("reportDialog");
+const importReportBtn = document.getElementById("importReportBtn");
+const showGhostsInput = document.getElementById("showGhostsInput");
+
+importReportBtn.addEventListener("click", () => {
+  renderImportReport();
+  reportDialog.showModal();
+});
+
+// Toggle the ghost outlines on the canvas
+showGhostsInput.addEventListener("change", () => {
+  showGhosts = showGhostsInput.checked;
+  renderKeyboard(keys, currentLayer);
+});
+
+// render.js fires "ghostClicked" when a ghost outline is clicked
+document.addEventListener("ghostClicked", (e) => {
+  promoteRejectedShape(e.detail.id);
+});
+
+// updateReportButton()
+// --------------------
+// Enables the toolbar button once there's a report, and shows how
+// many shapes were rejected on the button itself.
+function updateReportButton() {
+  importReportBtn.disabled    = !importReport;
+  importReportBtn.textContent = importReport && importReport.rejected.length
+    ? `Import Report (${importReport.rejected.length})`
+    : "Import Report";
+}
+
+// renderImportReport()
+// --------------------
+// Rebuilds the report dialog's contents from `importReport`.
+function renderImportReport() {
+  const content = document.getElementById("reportContent");
+  content.innerHTML = "";
+  if (!importReport) return;
+
+  // Small helper: make an element with some text in it
+  const el = (tag, text) => {
+    const node = document.createElement(tag);
+    if (text !== undefined) node.textContent = text;
+    return node;
+  };
+
+  // Small helper: build a <table> from a header row and data rows
+  const table = (head, rows) => {
+    const t  = el("table");
+    const tr = el("tr");
+    head.forEach(h => tr.appendChild(el("th", h)));
+    t.appendChild(tr);
+    rows.forEach(cells => {
+      const row = el("tr");
+      cells.forEach(c => {
+        const td = el("td");
+        if (c instanceof Node) td.appendChild(c); else td.textContent = c;
+        row.appendChild(td);
+      });
+      t.appendChild(row);
+    });
+    return t;
+  };
+
+  const rejected = importReport.rejected;
+
+  content.appendChild(el("p",
+    `${importReport.fileName}: ${importReport.keyCount} keys created, ` +
+    `${rejected.length} shape${rejected.length === 1 ? "" : "s"} rejected.`
+  ));
+
+  // ── Entities seen, by type ──────────────────────────────────
+  content.appendChild(el("h3", "Entities"));
+  content.appendChild(table(
+    ["Type", "Count"],
+    Object.entries(importReport.entityCounts).sort((a, b) => b[1] - a[1])
+  ));
+
+  if (!rejected.length) return;
+
+  // ── Rejections, by reason ───────────────────────────────────
+  const byReason = {};
+  rejected.forEach(r => byReason[r.reason] = (byReason[r.reason] || 0) + 1);
+
+  content.appendChild(el("h3", "Rejected, by reason"));
+  content.appendChild(table(
+    ["Reason", "Count"],
+    Object.entries(byReason).map(([reason, n]) => [REJECT_REASONS[reason] || reason, n])
+  ));
+
+  // ── Every rejected shape ────────────────────────────────────
+  // Coordinates are the shape's bounding box in the DXF file's own
+  // units, so it can be found in the CAD tool.
+  const fmt = v => Math.round(v * 100) / 100;
+  content.appendChild(el("h3", "Rejected shapes"));
+  content.appendChild(table(
+    ["Reason", "DXF coordinates", ""],
+    rejected.map(r => {
+      const coords = r.source
+        ? `(${fmt(r.source.minX)}, ${fmt(r.source.minY)}) – (${fmt(r.source.maxX)}, ${fmt(r.source.maxY)})`
+        : "—";
+      let action = "";
+      if (r.key) {
+        action = el("button", "Make key");
+        action.type = "button"; // don't submit (and close) the dialog form
+        action.addEventListener("click", () => promoteRejectedShape(r.id));
+      }
+      return [
+        (REJECT_REASONS[r.reason] || r.reason) + (r.half ? ` (${r.half} half)` : ""),
+        coords,
+        action
+      ];
+    })
+  ));
+}
+
+// promoteRejectedShape(id)
+// ------------------------
+// Turns one rejected shape from the import report into a real key,
+// using the geometry the parser worked out for it, and removes it
+// from the report.
+function promoteRejectedShape(id) {
+  if (!importReport) return;
+  const index = importReport.rejected.findIndex(r => r.id === id);
+  if (index === -1) return;
+
+  const rejected = importReport.rejected[index];
+  if (!rejected.key) return; // nothing to build a key from
+
+  recordEdit("Add key from import report");
+
+  const key = {
+    ...rejected.key,
+    id:     crypto.randomUUID(),
+    half:   rejected.half,
+    layers: {}
+  };
+
+  // Give the new key blank data on every existing layer, transparent
+  // on all but the first (see layers.js)
+  layers.forEach((name, i) => {
+    key.layers[name] = {
+      text: "", bg: "#ffffff", color: "#000000", fontSize: 18,
+      state: i > 0 ? "trans" : "defined"
+    };
+  });
+  syncKeyUnits(key, pitchMm); // parser.js
+
+  keys.push(key);
+  importReport.rejected.splice(index, 1);
+  importReport.keyCount++;
+
+  updateReportButton();
+  if (reportDialog.open) renderImportReport();
+  renderKeyboard(keys, currentLayer);
+}
+
+
+// ============================================================
+// SPLIT KEYBOARD IMPORT
+// ============================================================
+
+// The "Import Split" button opens a dialog asking for two DXF
+// files (left and right half), the gap between them and which
+// file (if any) should be mirrored.
+const splitDialog = document.getElementById("splitDialog");
+
+document.getElementById("importSplitBtn").addEventListener("click", () => {
+  splitDialog.returnValue = ""; // closing with Escape leaves the old value
+  splitDialog.showModal();
+});
+
+// The dialog's <form method="dialog"> closes it automatically when
+// either button is pressed; returnValue tells us which one.
+splitDialog.addEventListener("close", async () => {
+  if (splitDialog.returnValue !== "import") return;
+
+  const leftFile  = document.getElementById("splitLeftInput").files[0];
+  const rightFile = document.getElementById("splitRightInput").files[0] || null;
+  if (!leftFile) { alert("Pick a DXF file for the left half."); return; }
+
+  // parseSplitDXFFiles is defined in parser.js
+  try {
+    const result = await parseSplitDXFFiles(leftFile, rightFile, {
+      gap:            parseFloat(document.getElementById("splitGap").value) || 0,
+      mirror:         document.getElementById("splitMirror").value,
+      confirmOptions: showImportOptions
+    });
+
+    if (result) loadImportedKeys(result, "Import split keyboard");
+  } catch (err) {
+    alert("Failed to import layout: " + err.message);
+  }
+});
+
+
+// ── Split halves panel ────────────────────────────────────────
+// Once a split board is loaded, the panel shows a "Split Halves"
+// section for selecting and moving one half as a group.
+const splitPanel = document.getElementById("splitPanel");
+const halfSelect = document.getElementById("halfSelect");
+
+// updateSplitPanel()
+// ------------------
+// Shows the Split Halves section only when the board has halves.
+function updateSplitPanel() {
+  splitPanel.hidden = !keys.some(k => k.half);
+}
+
+// "Select Half": select every key in the chosen half
+document.getElementById("selectHalfBtn").addEventListener("click", () => {
+  const ids = keys.filter(k => k.half === halfSelect.value).map(k => k.id);
+  selectKeys(ids); // defined in render.js
+});
+
+// "Move Half": shift every key in the chosen half by the X/Y amounts.
+// Keys are stored in canvas pixels, so the offsets are pixels too.
+document.getElementById("moveHalfBtn").addEventListener("click", () => {
+  const dx = parseFloat(document.getElementById("halfMoveX").value) || 0;
+  const dy = parseFloat(document.getElementById("halfMoveY").value) || 0;
+  if (!dx && !dy) return;
+
+  recordEdit(`Move ${halfSelect.value} half`);
+  keys.filter(k => k.half === halfSelect.value).forEach(k => {
+    k.x += dx;
+    k.y += dy;
+    syncKeyUnits(k, pitchMm); // keep the u / mm geometry in step (parser.js)
+  });
+
+  // The half's case outline moves with it (parser.js)
+  underlay.filter(sh => sh.half === halfSelect.value).forEach(sh => moveUnderlayShape(sh, dx, dy));
+
+  renderKeyboard(keys, currentLayer);
+});
+
+
+// ============================================================
+// UNDERLAY (board outline and other non-key DXF geometry)
+// ============================================================
+
+// The "Underlay" toolbar button shows or hides the whole underlay;
+// the "DXF Layers" panel section has a checkbox per CAD layer so
+// individual layers (e.g. screw holes) can be hidden on their own.
+const underlayBtn   = document.getElementById("underlayBtn");
+const underlayPanel = document.getElementById("underlayPanel");
+
+underlayBtn.addEventListener("click", () => {
+  showUnderlay = !showUnderlay;
+  updateUnderlayControls();
+  renderKeyboard(keys, currentLayer);
+});
+
+// updateUnderlayControls()
+// ------------------------
+// Syncs the toolbar button and rebuilds the DXF Layers checkboxes
+// from the current `underlay`. The panel section is only shown
+// while there's an underlay and it's switched on.
+function updateUnderlayControls() {
+  underlayBtn.disabled = !underlay.length;
+  underlayBtn.classList.toggle("active", showUnderlay && underlay.length > 0);
+
+  underlayPanel.hidden = !underlay.length || !showUnderlay;
+
+  const list = document.getElementById("dxfLayerList");
+  list.innerHTML = "";
+
+  // One checkbox per DXF layer, with how many shapes are on it
+  const counts = new Map();
+  underlay.forEach(sh => counts.set(sh.layer, (counts.get(sh.layer) || 0) + 1));
+
+  [...counts.keys()].sort().forEach(name => {
+    const label = document.createElement("label");
+    label.className = "checkbox-label";
+
+    const box = document.createElement("input");
+    box.type    = "checkbox";
+    box.checked = !hiddenDxfLayers.has(name);
+    box.addEventListener("change", () => {
+      if (box.checked) hiddenDxfLayers.delete(name);
+      else hiddenDxfLayers.add(name);
+      renderKeyboard(keys, currentLayer);
+    });
+
+    label.appendChild(box);
+    label.appendChild(document.createTextNode(`${name} (${counts.get(name)})`));
+    list.appendChild(label);
+  });
+}
+
 
 // ============================================================
 // LAYER MANAGEMENT
 // ============================================================
 
+// isLayerHidden(name) / isLayerLocked(name)
+// -----------------------------------------
+// The layer's flags from layerSettings (missing = false).
+function isLayerHidden(name) {
+  return !!(layerSettings[name] && layerSettings[name].hidden);
+}
+
+function isLayerLocked(name) {
+  return !!(layerSettings[name] && layerSettings[name].locked);
+}
+
+// getVisibleLayers()
+// ------------------
+// The layers that aren't hidden, in order — what the canvas shows
+// and what the exports write out.
+function getVisibleLayers() {
+  return layers.filter(name => !isLayerHidden(name));
+}
+
 // rebuildLayerSelect()
 // --------------------
-// Repopulates the layer <select> dropdown to match the `layers` array.
-// Called after adding a layer or loading a saved file.
+// Repopulates the layer <select> dropdown and the panel's layer
+// list to match the `layers` array, and enables or disables the
+// key fields for the current layer's lock. Called after any change
+// to the layers, or loading a saved file.
 function rebuildLayerSelect() {
   layerSelect.innerHTML = ""; // clear existing options
 
@@ -102,32 +640,46 @@ function rebuildLayerSelect() {
     opt.value = name;
     // Capitalise the first letter for display (e.g. "base" → "Base")
     opt.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+    // Hidden layers have no block on the canvas to edit
+    opt.disabled = isLayerHidden(name);
     layerSelect.appendChild(opt);
   });
 
   // Make sure the dropdown shows the currently active layer
   layerSelect.value = currentLayer;
+
+  renderLayerList();
+  updateLayerLock();
 }
 
-// Layer dropdown change: switch which layer is active.
-// This re-renders so the canvas updates the active layer highlight
-// and the inactive layer dimming.
-layerSelect.addEventListener("change", () => {
-  currentLayer = layerSelect.value;
+// setCurrentLayer(name)
+// ---------------------
+// Switches which layer is active. The canvas only moves the active
+// layer highlight and the inactive layer dimming (showActiveLayer is
+// in render.js) — the keys aren't redrawn.
+function setCurrentLayer(name) {
+  currentLayer = name;
+  layerSelect.value = name;
+  renderLayerList();
+  updateLayerLock();
   clearSelection(); // deselect everything — selection is per-layer
-  renderKeyboard(keys, currentLayer);
-});
+  showActiveLayer(keys, currentLayer);
+}
+
+layerSelect.addEventListener("change", () => setCurrentLayer(layerSelect.value));
 
 // "Add Layer" button: prompt for a name, create blank layer data
 // for every key, and switch to the new layer.
 document.getElementById("addLayerBtn").addEventListener("click", () => {
-  const newName = prompt("Layer name:", `layer${layers.length}`);
+  const newName = promptLayerName("Layer name:", `layer${layers.length}`);
+  if (!newName) return;
 
-  // Do nothing if the user cancelled or entered a name that already exists
-  if (!newName || layers.includes(newName)) return;
+  recordEdit(`Add layer "${newName}"`);
 
   // For every existing key, add an entry for the new layer.
-  // New layers start completely blank: empty label, white background.
+  // New layers start fully transparent, showing the first layer
+  // through them; the blank label and white background are only
+  // seen once a key is given a label or a colour (or made no-op).
   // We copy fontSize from the current layer so text scale stays consistent.
   keys.forEach(key => {
     const src = key.layers[currentLayer]; // source layer to copy fontSize from
@@ -135,11 +687,13 @@ document.getElementById("addLayerBtn").addEventListener("click", () => {
       text:     "",                        // blank label
       bg:       "#ffffff",                 // white background
       color:    src.color || "#000000",    // keep same text colour
-      fontSize: src.fontSize               // keep same font size
+      fontSize: src.fontSize,              // keep same font size
+      state:    "trans"                    // inherit from the parent layer
     };
   });
 
-  // Add to the ordered list and switch to it
+  // Add to the ordered list, inheriting from the first layer, and switch to it
+  layerSettings[newName] = { parent: layers[0] };
   layers.push(newName);
   currentLayer = newName;
 
@@ -148,6 +702,411 @@ document.getElementById("addLayerBtn").addEventListener("click", () => {
   renderKeyboard(keys, currentLayer);
 });
 
+// promptLayerName(message, suggestion)
+// ------------------------------------
+// Asks for a layer name. Returns it trimmed, or null if the user
+// cancelled — or picked a name that's already taken, after saying so.
+function promptLayerName(message, suggestion) {
+  const name = (prompt(message, suggestion) || "").trim();
+  if (!name) return null;
+  if (layers.includes(name)) {
+    alert(`There's already a layer called "${name}".`);
+    return null;
+  }
+  return name;
+}
+
+
+// ── Layer list (panel) ────────────────────────────────────────
+// One row per layer, in stacking order: drag a row to move the
+// layer, click its name to switch to it, and use the buttons to
+// hide / lock it. "Inherits from", Rename, Duplicate and Delete
+// act on the current layer.
+const layerList   = document.getElementById("layerList");
+const layerParent = document.getElementById("layerParent");
+
+// dragLayerIndex: index of the layer row being dragged, or null
+let dragLayerIndex = null;
+
+// renderLayerList()
+// -----------------
+// Rebuilds #layerList from `layers` and `layerSettings`.
+function renderLayerList() {
+  layerList.innerHTML = "";
+
+  layers.forEach((name, index) => {
+    const hidden = isLayerHidden(name);
+    const locked = isLayerLocked(name);
+
+    const item = document.createElement("li");
+    item.draggable = true;
+    item.classList.toggle("current", name === currentLayer);
+    item.classList.toggle("hidden-layer", hidden);
+
+    const handle = document.createElement("span");
+    handle.className   = "drag-handle";
+    handle.textContent = "⠿";
+
+    const label = document.createElement("span");
+    label.className   = "layer-name";
+    label.textContent = name;
+    label.title       = hidden ? "Show this layer to edit it" : "Edit this layer";
+    label.addEventListener("click", () => {
+      if (!hidden && name !== currentLayer) setCurrentLayer(name);
+    });
+
+    const eye = document.createElement("button");
+    eye.type        = "button";
+    eye.textContent = hidden ? "Show" : "Hide";
+    eye.title       = hidden ? "Show on the canvas and in exports" : "Hide from the canvas and exports";
+    eye.addEventListener("click", () => setLayerHidden(name, !hidden));
+
+    const lock = document.createElement("button");
+    lock.type        = "button";
+    lock.textContent = locked ? "Unlock" : "Lock";
+    lock.title       = locked ? "Allow edits to this layer" : "Block edits to this layer";
+    lock.classList.toggle("active", locked);
+    lock.addEventListener("click", () => setLayerLocked(name, !locked));
+
+    // ── Drag to reorder ──
+    item.addEventListener("dragstart", (e) => {
+      dragLayerIndex = index;
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", name); // Firefox won't drag without data
+      item.classList.add("dragging");
+    });
+    item.addEventListener("dragend", () => {
+      dragLayerIndex = null;
+      item.classList.remove("dragging");
+    });
+    item.addEventListener("dragover", (e) => {
+      if (dragLayerIndex === null) return;
+      e.preventDefault(); // allow dropping here
+      item.classList.add("drop-target");
+    });
+    item.addEventListener("dragleave", () => item.classList.remove("drop-target"));
+    item.addEventListener("drop", (e) => {
+      e.preventDefault();
+      item.classList.remove("drop-target");
+      if (dragLayerIndex !== null) moveLayer(dragLayerIndex, index);
+    });
+
+    item.append(handle, label, eye, lock);
+    layerList.appendChild(item);
+  });
+
+  // ── The current layer's parent ──
+  layerParent.innerHTML = "";
+  [null, ...getParentChoices(currentLayer, layers, layerSettings)] // layers.js
+    .filter(name => name !== currentLayer)
+    .forEach(name => {
+      const opt = document.createElement("option");
+      opt.value       = name || "";
+      opt.textContent = name || "Nothing";
+      layerParent.appendChild(opt);
+    });
+  layerParent.value    = getLayerParent(currentLayer, layerSettings) || "";
+  layerParent.disabled = isLayerLocked(currentLayer);
+}
+
+// "Inherits from": which layer the current layer's transparent keys
+// show (and fall through to in firmware)
+layerParent.addEventListener("change", () => {
+  const parent = layerParent.value || null;
+  recordEdit(`Make "${currentLayer}" inherit from ${parent ? `"${parent}"` : "nothing"}`);
+  layerSettings[currentLayer] = { ...layerSettings[currentLayer], parent };
+  renderKeyboard(keys, currentLayer);
+});
+
+// updateLayerLock()
+// -----------------
+// The key fields and Apply do nothing on a locked layer, so they're
+// disabled while one is current.
+function updateLayerLock() {
+  const locked = isLayerLocked(currentLayer);
+  [keyText, keyState, keyColor, keyTextColor, fontSize, legendAlign, document.getElementById("applyChanges")]
+    .forEach(el => el.disabled = locked);
+  document.getElementById("layerLockNote").hidden = !locked;
+}
+
+// moveLayer(from, to)
+// -------------------
+// Moves the layer at index `from` to index `to` in the stacking order.
+function moveLayer(from, to) {
+  if (from === to) return;
+  recordEdit(`Move layer "${layers[from]}"`);
+  const [name] = layers.splice(from, 1);
+  layers.splice(to, 0, name);
+  rebuildLayerSelect();
+  renderKeyboard(keys, currentLayer);
+}
+
+// setLayerHidden(name, hidden)
+// ----------------------------
+// Hides or shows a layer. At least one layer stays visible; hiding
+// the current layer switches to the first visible one.
+function setLayerHidden(name, hidden) {
+  if (hidden && getVisibleLayers().every(n => n === name)) {
+    alert("At least one layer has to stay visible.");
+    return;
+  }
+
+  recordEdit(`${hidden ? "Hide" : "Show"} layer "${name}"`);
+  layerSettings[name] = { ...layerSettings[name], hidden };
+
+  if (hidden && name === currentLayer) currentLayer = getVisibleLayers()[0];
+  rebuildLayerSelect();
+  renderKeyboard(keys, currentLayer);
+}
+
+// setLayerLocked(name, locked)
+// ----------------------------
+function setLayerLocked(name, locked) {
+  recordEdit(`${locked ? "Lock" : "Unlock"} layer "${name}"`);
+  layerSettings[name] = { ...layerSettings[name], locked };
+  rebuildLayerSelect();
+  renderKeyboard(keys, currentLayer); // the canvas label shows the lock
+}
+
+// "Rename": also relabels keys that name the old layer (held to
+// switch to it — see labelToQMK in firmware.js), so they keep
+// pointing at it. A label that's also a key's name ("Left" for the
+// arrow key) means that key, not the layer, and is left alone.
+document.getElementById("renameLayerBtn").addEventListener("click", () => {
+  const oldName = currentLayer;
+  if (isLayerLocked(oldName)) return alert(`Unlock "${oldName}" to rename it.`);
+
+  const newName = promptLayerName(`Rename "${oldName}" to:`, oldName);
+  if (!newName) return;
+
+  recordEdit(`Rename layer "${oldName}" to "${newName}"`);
+
+  keys.forEach(key => {
+    if (key.layers[oldName]) key.layers[newName] = key.layers[oldName];
+    delete key.layers[oldName];
+
+    layers.forEach(name => {
+      const layer = key.layers[name === oldName ? newName : name];
+      if (!layer || isLayerLocked(name)) return;
+      const text = layer.text.trim();
+      if (text.toLowerCase() === oldName.toLowerCase() && !labelToKeyName(text)) { // firmware.js
+        layer.text = newName;
+      }
+    });
+  });
+
+  if (layerSettings[oldName]) {
+    layerSettings[newName] = layerSettings[oldName];
+    delete layerSettings[oldName];
+  }
+  Object.values(layerSettings).forEach(settings => {
+    if (settings.parent === oldName) settings.parent = newName;
+  });
+  if (kleSlots) kleSlots = kleSlots.map(name => (name === oldName ? newName : name));
+
+  layers[layers.indexOf(oldName)] = newName;
+  currentLayer = newName;
+  rebuildLayerSelect();
+  renderKeyboard(keys, currentLayer);
+});
+
+// "Duplicate": a copy of the current layer — every key's label and
+// colours — placed just below it, and switched to.
+document.getElementById("duplicateLayerBtn").addEventListener("click", () => {
+  const source  = currentLayer;
+  const newName = promptLayerName("Name for the copy:", `${source} copy`);
+  if (!newName) return;
+
+  recordEdit(`Duplicate layer "${source}"`);
+
+  keys.forEach(key => {
+    key.layers[newName] = structuredClone(key.layers[source]); // legends too
+  });
+  layerSettings[newName] = { parent: getLayerParent(source, layerSettings) }; // layers.js
+
+  layers.splice(layers.indexOf(source) + 1, 0, newName);
+  currentLayer = newName;
+  rebuildLayerSelect();
+  renderKeyboard(keys, currentLayer);
+});
+
+// "Delete": removes the current layer from every key, after asking.
+// The last layer can't be deleted, nor a locked one.
+document.getElementById("deleteLayerBtn").addEventListener("click", () => {
+  const name = currentLayer;
+  if (layers.length === 1) return alert("A board needs at least one layer.");
+  if (isLayerLocked(name)) return alert(`Unlock "${name}" to delete it.`);
+  if (getVisibleLayers().every(n => n === name)) {
+    return alert("Show another layer before deleting the only visible one.");
+  }
+
+  const labelled = keys.filter(key => key.layers[name].text).length;
+  const detail   = labelled ? ` Its labels on ${labelled} key${labelled === 1 ? "" : "s"} will be lost.` : "";
+  if (!confirm(`Delete layer "${name}"?${detail}`)) return;
+
+  recordEdit(`Delete layer "${name}"`);
+
+  // Layers inheriting from this one inherit from its parent instead.
+  // Their transparent keys that showed this layer's keys now show
+  // the parent's — make those keys defined first, so they look
+  // the same as before.
+  const parent   = getLayerParent(name, layerSettings); // layers.js
+  const children = layers.filter(n => getLayerParent(n, layerSettings) === name);
+  keys.forEach(key => {
+    children.forEach(child => {
+      if (getKeyState(key.layers[child]) === "trans" &&
+          resolveKeyLayer(key, child, layerSettings).source === name) {
+        defineKeyLayer(key, child, layerSettings);
+      }
+    });
+  });
+  children.forEach(child => layerSettings[child].parent = parent);
+
+  keys.forEach(key => delete key.layers[name]);
+  delete layerSettings[name];
+
+  const index = layers.indexOf(name);
+  layers.splice(index, 1);
+  // Move on to the next visible layer down, or up if there's none
+  currentLayer = layers.slice(index).find(n => !isLayerHidden(n)) || getVisibleLayers().pop();
+  rebuildLayerSelect();
+  renderKeyboard(keys, currentLayer);
+});
+
+// Fill in the list for the starting "base" layer
+rebuildLayerSelect();
+
+
+// ============================================================
+// VIEW MODE
+// ============================================================
+
+// The toolbar's view mode select and, for the grid view, how many
+// layer blocks go in a row. Neither is part of the layout, so
+// changing them isn't an undoable edit.
+const viewModeSelect   = document.getElementById("viewModeSelect");
+const gridColumnsInput = document.getElementById("gridColumnsInput");
+
+viewModeSelect.addEventListener("change", () => {
+  viewMode = viewModeSelect.value;
+  gridColumnsInput.hidden = viewMode !== "grid";
+  renderKeyboard(keys, currentLayer);
+});
+
+gridColumnsInput.addEventListener("change", () => {
+  const columns = parseInt(gridColumnsInput.value, 10);
+  if (!(columns >= 1)) {
+    gridColumnsInput.value = gridColumns; // put back the last good value
+    return;
+  }
+  gridColumns = columns;
+  renderKeyboard(keys, currentLayer);
+});
+
+
+// ============================================================
+// GEOMETRY EDITING
+// ============================================================
+
+// Edit Geometry mode. Dragging and resizing keys happens in
+// render.js (with the maths in geometry.js), which fires
+// "geometryEdited" when a drag is done; nudging, adding and
+// deleting keys are here.
+const geometryBtn    = document.getElementById("geometryBtn");
+const geometryPanel  = document.getElementById("geometryPanel");
+const snapGridInput  = document.getElementById("snapGridInput");
+const snapEdgesInput = document.getElementById("snapEdgesInput");
+
+geometryBtn.addEventListener("click", () => {
+  editGeometry = !editGeometry;
+  geometryBtn.classList.toggle("active", editGeometry);
+  geometryPanel.hidden = !editGeometry;
+
+  // Re-render to add or remove the resize handles, keeping the selection
+  const ids = [...selectedIds];
+  renderKeyboard(keys, currentLayer);
+  selectKeys(ids);
+});
+
+snapGridInput.addEventListener("change", () => {
+  snapGridU = Math.max(0, parseFloat(snapGridInput.value) || 0);
+  snapGridInput.value = snapGridU;
+});
+
+snapEdgesInput.addEventListener("change", () => snapToEdges = snapEdgesInput.checked);
+
+// finishGeometryEdit(ids)
+// -----------------------
+// After keys were moved or resized: brings their u / mm geometry
+// up to date, and redraws — the layer blocks may have changed size
+// — keeping them selected.
+function finishGeometryEdit(ids) {
+  keys.filter(k => ids.includes(k.id)).forEach(k => syncKeyUnits(k, pitchMm)); // parser.js
+  renderKeyboard(keys, currentLayer);
+  selectKeys(ids);
+}
+
+document.addEventListener("geometryEdited", (e) => finishGeometryEdit(e.detail.ids));
+
+// Arrow keys nudge the selected keys by one grid step, or 1px with
+// Shift (or with no grid); Delete / Backspace deletes them. Only in
+// Edit Geometry mode, and not while typing in a field or with a
+// dialog open.
+window.addEventListener("keydown", (e) => {
+  if (!editGeometry || !selectedIds.size) return;
+  if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+  if (document.querySelector("dialog[open]")) return;
+
+  const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+  if (arrows[e.key]) {
+    e.preventDefault();
+    const step = e.shiftKey || !snapGridU ? 1 : snapGridU * PX_PER_U;
+    const ids  = [...selectedIds];
+
+    // Runs of nudges to the same keys are one undo step
+    recordEdit(`Nudge ${ids.length} key${ids.length === 1 ? "" : "s"}`, "nudge:" + ids.join(","));
+    keys.filter(k => selectedIds.has(k.id)).forEach(k => {
+      k.x += arrows[e.key][0] * step;
+      k.y += arrows[e.key][1] * step;
+    });
+    finishGeometryEdit(ids);
+  } else if (e.key === "Delete" || e.key === "Backspace") {
+    e.preventDefault();
+    deleteSelectedKeys();
+  }
+});
+
+// "Add Key": a blank 1u key just right of the (last) selected key,
+// or under the board if nothing's selected
+document.getElementById("addKeyBtn").addEventListener("click", () => {
+  const nearId = [...selectedIds].pop();
+  const near   = keys.find(k => k.id === nearId) || null;
+
+  recordEdit("Add key");
+  const key = makeNewKey(keys, near, layers); // geometry.js
+  syncKeyUnits(key, pitchMm);
+  keys.push(key);
+
+  renderKeyboard(keys, currentLayer);
+  selectKeys([key.id]);
+});
+
+document.getElementById("deleteKeysBtn").addEventListener("click", deleteSelectedKeys);
+
+// deleteSelectedKeys()
+// --------------------
+// Removes the selected keys from the board, on every layer.
+function deleteSelectedKeys() {
+  const count = selectedIds.size;
+  if (!count) return;
+
+  recordEdit(`Delete ${count} key${count === 1 ? "" : "s"}`);
+  keys = keys.filter(k => !selectedIds.has(k.id));
+
+  updateSplitPanel();
+  renderKeyboard(keys, currentLayer);
+}
+
 
 // ============================================================
 // PANEL ↔ SELECTION SYNC
@@ -160,12 +1119,24 @@ document.getElementById("addLayerBtn").addEventListener("click", () => {
 document.addEventListener("selectionChanged", (e) => {
   const ids = e.detail.ids; // array of selected key IDs
 
+  updateKeyOrderField(ids);
+  updateMatrixField(ids);
+
+  // The fields show what the keys look like on this layer — for a
+  // transparent key, the key it inherits (getKeyAppearance is in
+  // render.js)
+  setKeyStateField(ids.map(id => keys.find(k => k.id === id)).filter(Boolean)
+                      .map(k => getKeyState(k.layers[currentLayer]))); // layers.js
+  updateLegendSlots(ids);
+  legendAlign.querySelector('option[value=""]').hidden = true; // until keys disagree
+
   // ── Nothing selected ──────────────────────────────────────
   if (ids.length === 0) {
     keyText.value       = "";
     keyColor.value      = "#ffffff";
     keyTextColor.value  = "#000000";
     fontSize.value      = "18";
+    legendAlign.value   = getLegend({ fontSize: 18 }, currentLegendSlot).align;
     keyText.placeholder = "A";
     keyColor.title      = "";
     return;
@@ -175,13 +1146,16 @@ document.addEventListener("selectionChanged", (e) => {
   if (ids.length === 1) {
     const key   = keys.find(k => k.id === ids[0]);
     if (!key) return;
-    const layer = key.layers[currentLayer];
+    const layer  = getKeyAppearance(key, currentLayer);
+    const legend = getLegend(layer, currentLegendSlot); // layers.js
 
-    // Populate all panel fields with this key's values
-    keyText.value      = layer.text;
+    // Populate all panel fields with this key's values — the
+    // label, text colour, size and alignment of the chosen legend
+    keyText.value      = legend.text;
     keyColor.value     = layer.bg;
-    keyTextColor.value = layer.color || "#000000";
-    fontSize.value     = layer.fontSize;
+    keyTextColor.value = legend.color;
+    fontSize.value     = legend.fontSize;
+    legendAlign.value  = legend.align;
     return;
   }
 
@@ -190,18 +1164,22 @@ document.addEventListener("selectionChanged", (e) => {
   //   - The shared value if all selected keys agree (e.g. all red)
   //   - A neutral default + tooltip hint if they differ ("mixed")
   const selectedKeys = ids.map(id => keys.find(k => k.id === id)).filter(Boolean);
-  const ls = selectedKeys.map(k => k.layers[currentLayer]);
+  const looks = selectedKeys.map(k => getKeyAppearance(k, currentLayer));
+  const ls    = looks.map(l => getLegend(l, currentLegendSlot));
 
   // Check if all selected keys share the same value for each property
-  const allSameBg    = ls.every(l => l.bg === ls[0].bg);
-  const allSameColor = ls.every(l => (l.color || "#000000") === (ls[0].color || "#000000"));
+  const allSameBg    = looks.every(l => l.bg === looks[0].bg);
+  const allSameColor = ls.every(l => l.color === ls[0].color);
   const allSameSize  = ls.every(l => l.fontSize === ls[0].fontSize);
+  const allSameAlign = ls.every(l => l.align === ls[0].align);
 
   // Show shared value or neutral default
-  keyColor.value       = allSameBg    ? ls[0].bg                   : "#ffffff";
-  keyTextColor.value   = allSameColor ? (ls[0].color || "#000000") : "#000000";
-  fontSize.value       = allSameSize  ? ls[0].fontSize             : "";
-  fontSize.placeholder = allSameSize  ? ""                         : "mixed"; // hint in empty field
+  keyColor.value       = allSameBg    ? looks[0].bg    : "#ffffff";
+  keyTextColor.value   = allSameColor ? ls[0].color    : "#000000";
+  fontSize.value       = allSameSize  ? ls[0].fontSize : "";
+  fontSize.placeholder = allSameSize  ? ""             : "mixed"; // hint in empty field
+  legendAlign.querySelector('option[value=""]').hidden = allSameAlign;
+  legendAlign.value    = allSameAlign ? ls[0].align    : "";
 
   // Show a tooltip on the colour pickers to explain they'll overwrite mixed values
   keyColor.title       = allSameBg    ? "" : "Mixed — will apply to all selected";
@@ -209,63 +1187,133 @@ document.addEventListener("selectionChanged", (e) => {
 });
 
 
+// ── Legend slot picker ────────────────────────────────────────
+// A small keycap-shaped grid of buttons, one per legend slot (the
+// 3×3 top plus the front row). The chosen slot is the one the
+// label, text colour, size and alignment fields edit. Slots the
+// selected key has a legend in are marked.
+const legendSlots = document.getElementById("legendSlots");
+
+LEGEND_SLOTS.forEach(slot => {
+  const button = document.createElement("button");
+  button.type         = "button";
+  button.dataset.slot = slot;
+  button.title        = slot.charAt(0).toUpperCase() + slot.slice(1);
+  button.classList.toggle("active", slot === currentLegendSlot);
+  if (slot.startsWith("front")) button.classList.add("front");
+  button.addEventListener("click", () => {
+    currentLegendSlot = slot;
+    legendSlots.querySelectorAll("button").forEach(b => b.classList.toggle("active", b === button));
+    updateSelectionPanel(); // refill the fields for this slot (render.js)
+  });
+  legendSlots.appendChild(button);
+});
+
+// updateLegendSlots(ids)
+// ----------------------
+// Marks the slots that hold a legend on the single selected key.
+function updateLegendSlots(ids) {
+  const key  = ids.length === 1 ? keys.find(k => k.id === ids[0]) : null;
+  const look = key && getKeyAppearance(key, currentLayer); // render.js
+  legendSlots.querySelectorAll("button").forEach(button => {
+    button.classList.toggle("filled", !!look && !!getLegend(look, button.dataset.slot).text);
+  });
+}
+
+// setKeyStateField(states)
+// ------------------------
+// Shows the selected keys' state in the State dropdown: the shared
+// one, or "Mixed" (which Apply leaves alone) if they differ.
+function setKeyStateField(states) {
+  const mixed = states.some(st => st !== states[0]);
+  keyState.querySelector('option[value=""]').hidden = !mixed;
+  keyState.value = mixed ? "" : states[0] || "defined";
+}
+
+
 // Live-sync: as the user types in the Key Label panel field,
 // update the canvas immediately (without needing to click Apply).
 // Only works when exactly one key is selected — bulk label editing
-// doesn't make sense.
+// doesn't make sense. Typing on a transparent or no-op key makes
+// it defined on this layer.
 keyText.addEventListener("input", () => {
   if (selectedIds.size !== 1) return; // selectedIds is defined in render.js
+  if (isLayerLocked(currentLayer)) return;
 
   const id  = [...selectedIds][0]; // get the single selected ID
   const key = keys.find(k => k.id === id);
   if (!key) return;
 
-  // Update the data model
-  key.layers[currentLayer].text = keyText.value;
+  // One undo step per burst of typing on this key
+  recordEdit("Edit label", `text:${id}:${currentLayer}`);
 
-  // Update the canvas without a full re-render by targeting just this key's elements.
-  // We query by both key ID and layer to get the right group element.
-  const group = document.querySelector(
-    `#viewport g[data-key-id="${id}"][data-layer="${currentLayer}"]`
-  );
-  if (group) {
-    const text = group.querySelector("text");
-    if (text) text.textContent = keyText.value;
-    // Also update the inline editor input in case it's open
-    if (group._input) group._input.value = keyText.value;
-  }
+  // Update the data model (defineKeyLayer and setLegend are in layers.js)
+  setLegend(defineKeyLayer(key, currentLayer, layerSettings), currentLegendSlot, { text: keyText.value });
+  setKeyStateField(["defined"]);
+  updateLegendSlots([id]);
+
+  // Update the canvas without a full re-render, on every layer block
+  // that shows this key. Defined in render.js.
+  syncKeyVisual(id);
 });
 
 
+// Changing a colour or the font size of transparent / no-op keys
+// only shows once they're defined, so pick that state for Apply
+[keyColor, keyTextColor, fontSize, legendAlign].forEach(el => el.addEventListener("input", () => {
+  if (selectedIds.size) keyState.value = "defined";
+}));
+
+
 // ── Apply button ──────────────────────────────────────────────
-// Applies background colour, text colour, and font size from the
-// panel to ALL currently selected keys on the current layer.
-// Text label is only applied when one key is selected.
+// Applies the state and background colour, plus the chosen legend's
+// text colour, font size and alignment, from the panel to ALL
+// currently selected keys on the current layer. Text label is only
+// applied when one key is selected.
+// Colours and label are only written to keys that end up defined —
+// a transparent key keeps showing what it inherits.
 document.getElementById("applyChanges").addEventListener("click", () => {
   if (selectedIds.size === 0) return;
+  if (isLayerLocked(currentLayer)) return;
 
+  const newState = keyState.value; // "" = mixed: leave each key's state
   const newBg    = keyColor.value;
   const newColor = keyTextColor.value;
   // parseInt with radix 10 converts the string "18" to the number 18.
   // || null means if the field is empty or "mixed", we skip updating fontSize.
   const newSize  = parseInt(fontSize.value, 10) || null;
   const newText  = keyText.value;
+  const newAlign = legendAlign.value; // "" = mixed: leave each legend's
+
+  // One undo step for the whole selection
+  recordEdit(`Apply to ${selectedIds.size} key${selectedIds.size === 1 ? "" : "s"}`);
 
   // Apply to every selected key
   selectedIds.forEach(id => {
     const key = keys.find(k => k.id === id);
     if (!key) return;
-    const layer = key.layers[currentLayer];
 
-    layer.bg    = newBg;
-    layer.color = newColor;
-    if (newSize) layer.fontSize = newSize; // only update if we have a valid number
-    if (selectedIds.size === 1) layer.text = newText; // label only for single-select
+    // Defined keys start from what they showed (layers.js)
+    if (newState === "defined") defineKeyLayer(key, currentLayer, layerSettings);
+    else if (newState)          key.layers[currentLayer].state = newState;
+
+    const layer = key.layers[currentLayer];
+    if (getKeyState(layer) === "defined") {
+      layer.bg = newBg;
+
+      const legend = { color: newColor };
+      if (newSize)  legend.fontSize = newSize;              // only update if we have a valid number
+      if (newAlign) legend.align    = newAlign;
+      if (selectedIds.size === 1) legend.text = newText;  // label only for single-select
+      setLegend(layer, currentLegendSlot, legend);         // layers.js
+    }
 
     // syncKeyVisual updates the DOM elements to match the updated data.
     // Defined in render.js.
     syncKeyVisual(id);
   });
+
+  updateSelectionPanel(); // show what the keys look like now (render.js)
 });
 
 
@@ -273,48 +1321,593 @@ document.getElementById("applyChanges").addEventListener("click", () => {
 // PNG EXPORT
 // ============================================================
 
-document.getElementById("exportPngBtn").addEventListener("click", exportPNG);
+// "Export PNG" opens a dialog for the size, background and which
+// layers to include; export.js draws the image from the key data,
+// so it doesn't depend on the window size, pan or zoom.
+const pngExportDialog = document.getElementById("pngExportDialog");
+const pngScale        = document.getElementById("pngScale");
+const pngWidth        = document.getElementById("pngWidth");
+const pngTransparent  = document.getElementById("pngTransparent");
+const pngBackground   = document.getElementById("pngBackground");
+const pngLayersBox    = document.getElementById("pngLayers");
+
+document.getElementById("exportPngBtn").addEventListener("click", () => {
+  if (!keys.length) { alert("No layout to export."); return; }
+
+  // A checkbox per visible layer, all ticked to start with
+  pngLayersBox.innerHTML = "";
+  getVisibleLayers().forEach(name => {
+    const label = document.createElement("label");
+    label.className = "checkbox-label";
+    const box = document.createElement("input");
+    box.type    = "checkbox";
+    box.value   = name;
+    box.checked = true;
+    label.append(box, " " + name);
+    pngLayersBox.appendChild(label);
+  });
+
+  pngExportDialog.returnValue = "";
+  pngExportDialog.showModal();
+});
+
+// The width box is only for "Fixed width", and the colour only
+// for a background that isn't transparent
+pngScale.addEventListener("change", () => pngWidth.hidden = pngScale.value !== "width");
+pngTransparent.addEventListener("change", () => pngBackground.disabled = pngTransparent.checked);
+
+pngExportDialog.addEventListener("close", async () => {
+  if (pngExportDialog.returnValue !== "download") return;
+
+  const chosen = [...pngLayersBox.querySelectorAll("input:checked")].map(box => box.value);
+  if (!chosen.length) { alert("Choose at least one layer to export."); return; }
+
+  const width = pngScale.value === "width" ? parseInt(pngWidth.value, 10) : null;
+  if (pngScale.value === "width" && !(width > 0)) { alert("Enter the image width in pixels."); return; }
+
+  try {
+    const blob = await exportPNG(keys, chosen, {
+      scale:      parseFloat(pngScale.value) || 1,
+      width,
+      padding:    Math.max(0, parseFloat(document.getElementById("pngPadding").value) || 0),
+      background: pngTransparent.checked ? null : pngBackground.value,
+      labels:     document.getElementById("pngLabelsInput").checked
+    });
+    downloadText(blob, "keyboard-layout.png", "image/png");
+  } catch (err) {
+    alert("Couldn't make the PNG: " + err.message);
+  }
+});
+
+
+// ============================================================
+// SVG / PDF EXPORT
+// ============================================================
+
+// Vector exports of the whole layout, built by export.js from the
+// key data rather than from what's on screen.
+document.getElementById("exportSvgBtn").addEventListener("click", async () => {
+  if (!keys.length) { alert("No layout to export."); return; }
+  try {
+    downloadText(await exportSVG(keys, currentLayer), "keyboard-layout.svg", "image/svg+xml");
+  } catch (err) {
+    alert("Couldn't make the SVG: " + err.message);
+  }
+});
+
+const pdfExportDialog = document.getElementById("pdfExportDialog");
+
+document.getElementById("exportPdfBtn").addEventListener("click", () => {
+  if (!keys.length) { alert("No layout to export."); return; }
+  if (!window.jspdf) { alert("The PDF library couldn't be loaded — check your connection."); return; }
+
+  const count = getVisibleLayers().length;
+  document.getElementById("pdfSummary").textContent =
+    `${count} page${count === 1 ? "" : "s"} — one for each visible layer.`;
+
+  pdfExportDialog.returnValue = "";
+  pdfExportDialog.showModal();
+});
+
+pdfExportDialog.addEventListener("close", async () => {
+  if (pdfExportDialog.returnValue !== "download") return;
+
+  try {
+    const doc = await exportPDF(keys, getVisibleLayers(), {
+      pageSize:    document.getElementById("pdfPageSize").value,
+      orientation: document.getElementById("pdfOrientation").value,
+      table:       document.getElementById("pdfTableInput").checked
+    });
+    doc.save("keyboard-layout.pdf");
+  } catch (err) {
+    alert("Couldn't make the PDF: " + err.message);
+  }
+});
+
+
+// ============================================================
+// KEY ORDER
+// ============================================================
+
+// The physical order keys are listed in for firmware (see
+// firmware.js). The panel's Key Order section can number the keys
+// on the canvas, re-infer the order from the key positions, and
+// move the selected key to a different position.
+const keyOrderInput  = document.getElementById("keyOrderInput");
+const showOrderInput = document.getElementById("showOrderInput");
+
+showOrderInput.addEventListener("change", () => {
+  showKeyOrder = showOrderInput.checked;
+  if (showKeyOrder) getOrderedKeys(keys); // make sure every key has a number
+  renderKeyboard(keys, currentLayer);
+});
+
+document.getElementById("inferOrderBtn").addEventListener("click", () => {
+  if (!keys.length) return;
+  recordEdit("Infer key order");
+  inferKeyOrder(keys); // firmware.js
+  renderKeyboard(keys, currentLayer);
+});
+
+// Typing a position for the selected key moves it there
+keyOrderInput.addEventListener("change", () => {
+  if (selectedIds.size !== 1) return;
+  const key      = keys.find(k => k.id === [...selectedIds][0]);
+  const position = parseInt(keyOrderInput.value, 10);
+  if (!key || !position) return;
+
+  recordEdit("Move key in order");
+  moveKeyInOrder(keys, key, position - 1); // shown 1-based, stored 0-based
+  renderKeyboard(keys, currentLayer);
+  selectKeys([key.id]); // the re-render cleared the selection
+});
+
+// updateKeyOrderField(ids)
+// ------------------------
+// Shows the selected key's position in the Key Order field. Only
+// editable with exactly one key selected.
+function updateKeyOrderField(ids) {
+  const key = ids.length === 1 ? keys.find(k => k.id === ids[0]) : null;
+  keyOrderInput.disabled = !key;
+  keyOrderInput.max      = keys.length;
+  keyOrderInput.value    = key && Number.isFinite(key.order) ? key.order + 1 : "";
+}
+
+
+// ============================================================
+// SWITCH MATRIX
+// ============================================================
+
+// The electrical row / column of each key (`key.matrix`, see
+// firmware.js). The panel's Matrix section shows it on the canvas,
+// infers it from the key positions, and fixes mistakes: type
+// "row,col" for the selected key, or turn on "Assign by Clicking"
+// and click the keys one after another.
+const showMatrixInput = document.getElementById("showMatrixInput");
+const matrixInput     = document.getElementById("matrixInput");
+const assignMatrixBtn = document.getElementById("assignMatrixBtn");
+const nextMatrixRowBtn = document.getElementById("nextMatrixRowBtn");
+
+// matrixAssign: the position "Assign by Clicking" gives the next
+// key clicked, { row, col } — or null while it's off
+let matrixAssign = null;
+
+showMatrixInput.addEventListener("change", () => {
+  showMatrix = showMatrixInput.checked;
+  renderKeyboard(keys, currentLayer);
+});
+
+document.getElementById("inferMatrixBtn").addEventListener("click", () => {
+  if (!keys.length) return;
+  if (keys.some(k => k.matrix) &&
+      !confirm("Replace every key's matrix position with the inferred one?")) return;
+
+  recordEdit("Infer matrix");
+  matrixSize = inferMatrix(keys); // firmware.js
+  setShowMatrix(true);
+  matrixChanged();
+});
+
+// Typing "row,col" sets the selected key's position; clearing the
+// field removes it
+matrixInput.addEventListener("change", () => {
+  if (selectedIds.size !== 1) return;
+  const key   = keys.find(k => k.id === [...selectedIds][0]);
+  const value = matrixInput.value.trim();
+  if (!key) return;
+
+  const pos = parseMatrixPosition(value);
+  if (value && !pos) {
+    alert('Enter the position as "row,col", e.g. 2,5.');
+    updateMatrixField([key.id]);
+    return;
+  }
+
+  recordEdit("Set matrix position");
+  if (!value) {
+    delete key.matrix;
+  } else {
+    key.matrix = pos;
+  }
+
+  matrixChanged();
+  selectKeys([key.id]); // the re-render cleared the selection
+});
+
+// "Assign by Clicking" starts at the position in the field (or
+// 0,0) and moves one column right with every key clicked
+assignMatrixBtn.addEventListener("click", () => {
+  matrixAssign = matrixAssign ? null : (parseMatrixPosition(matrixInput.value) || { row: 0, col: 0 });
+  if (matrixAssign) setShowMatrix(true);
+  updateMatrixPanel();
+});
+
+nextMatrixRowBtn.addEventListener("click", () => {
+  if (!matrixAssign) return;
+  matrixAssign = { row: matrixAssign.row + 1, col: 0 };
+  updateMatrixPanel();
+});
+
+document.addEventListener("keyClicked", (e) => {
+  if (!matrixAssign) return;
+  const key = keys.find(k => k.id === e.detail.id);
+  if (!key) return;
+
+  recordEdit(`Assign matrix ${matrixAssign.row},${matrixAssign.col}`);
+  key.matrix   = { ...matrixAssign };
+  matrixAssign = { row: matrixAssign.row, col: matrixAssign.col + 1 };
+  matrixChanged();
+  selectKeys([key.id]);
+});
+
+// parseMatrixPosition(text)
+// -------------------------
+// Reads "2,5" (or "2 5") into { row: 2, col: 5 }, or null.
+function parseMatrixPosition(text) {
+  const match = /^\s*(\d+)\s*[,\s]\s*(\d+)\s*$/.exec(text || "");
+  return match ? { row: +match[1], col: +match[2] } : null;
+}
+
+// setShowMatrix(show)
+// -------------------
+// Turns the matrix overlay on or off, keeping the checkbox in step.
+// The caller re-renders.
+function setShowMatrix(show) {
+  showMatrix = show;
+  showMatrixInput.checked = show;
+}
+
+// matrixChanged()
+// ---------------
+// Call after changing any key's matrix position: grows matrixSize
+// to fit, then re-renders and refreshes the panel.
+function matrixChanged() {
+  const { size } = checkMatrix(keys); // firmware.js
+  matrixSize = {
+    rows: Math.max(size.rows, matrixSize ? matrixSize.rows : 0),
+    cols: Math.max(size.cols, matrixSize ? matrixSize.cols : 0)
+  };
+  updateKeymapButton();
+  renderKeyboard(keys, currentLayer);
+  updateMatrixPanel();
+}
+
+// updateMatrixPanel()
+// -------------------
+// Refreshes the "Assign by Clicking" state and the summary of
+// matrix problems: keys sharing a position, keys without one, and
+// rows or columns with no keys.
+function updateMatrixPanel() {
+  assignMatrixBtn.classList.toggle("active", !!matrixAssign);
+  assignMatrixBtn.textContent = matrixAssign ? "Stop Assigning" : "Assign by Clicking";
+  nextMatrixRowBtn.hidden     = !matrixAssign;
+
+  const status = document.getElementById("matrixAssignStatus");
+  status.hidden      = !matrixAssign;
+  status.textContent = matrixAssign
+    ? `Click the key for row ${matrixAssign.row}, col ${matrixAssign.col}.`
+    : "";
+
+  const summary = document.getElementById("matrixSummary");
+  if (!keys.some(k => k.matrix)) {
+    summary.textContent = "No matrix positions yet.";
+    summary.classList.remove("warning");
+    return;
+  }
+
+  const check    = checkMatrix(keys);
+  const list     = nums => nums.join(", ");
+  const problems = [];
+  if (check.duplicates.size) problems.push(`${check.duplicates.size} keys share a position`);
+  if (check.unassigned.length) {
+    problems.push(`${check.unassigned.length} key${check.unassigned.length === 1 ? " has" : "s have"} no position`);
+  }
+  if (check.emptyRows.length) problems.push(`no keys in row ${list(check.emptyRows)}`);
+  if (check.emptyCols.length) problems.push(`no keys in column ${list(check.emptyCols)}`);
+
+  summary.textContent = `${check.size.rows} × ${check.size.cols} matrix. ` +
+    (problems.length ? problems.join("; ") + "." : "No problems found.");
+  summary.classList.toggle("warning", problems.length > 0);
+}
 
-function exportPNG() {
-  const svg = document.getElementById("keyboardCanvas");
+// updateMatrixField(ids)
+// ----------------------
+// Shows the selected key's "row,col". Only editable with exactly
+// one key selected.
+function updateMatrixField(ids) {
+  const key = ids.length === 1 ? keys.find(k => k.id === ids[0]) : null;
+  matrixInput.disabled = !key;
+  matrixInput.value    = key && key.matrix ? `${key.matrix.row},${key.matrix.col}` : "";
+}
+
+
+// ============================================================
+// QMK EXPORT
+// ============================================================
 
-  // foreignObject elements (the inline text editors) don't render
-  // when SVG is converted to a PNG via canvas, so hide them first.
-  svg.querySelectorAll("foreignObject").forEach(fo => fo.style.display = "none");
+// "Export QMK" opens a dialog for the keyboard / keymap / layout
+// macro names, lists any labels that don't map to a QMK keycode,
+// and downloads keymap.json or keymap.c (firmware.js does the work).
+// Like every export, it only includes the visible layers.
+const qmkExportDialog = document.getElementById("qmkExportDialog");
 
-  // The .inactive-layer CSS class dims non-active layers to 45% opacity
-  // in the editor. For the exported image we want all layers at full
-  // brightness, so we temporarily remove the class.
-  const dimmed = svg.querySelectorAll(".inactive-layer");
-  dimmed.forEach(el => el.classList.remove("inactive-layer"));
+document.getElementById("exportQmkBtn").addEventListener("click", () => {
+  if (!keys.length) { alert("No layout to export."); return; }
 
-  // Serialise the SVG DOM to an XML string
-  const xml = new XMLSerializer().serializeToString(svg);
+  const { ordered, unmapped } = buildQMKKeymap(keys, getVisibleLayers(), { layerSettings });
+  showUnmappedLabels(ordered, unmapped, "qmk", "QMK keycode", "KC_NO");
 
-  // Restore the dimming class now that we have the serialised string
-  dimmed.forEach(el => el.classList.add("inactive-layer"));
+  qmkExportDialog.showModal();
+});
 
-  const img    = new Image();
-  const canvas = document.createElement("canvas");
-  const ctx    = canvas.getContext("2d");
+// The download buttons are type="button" so both files can be
+// saved without reopening the dialog
+document.getElementById("qmkJsonBtn").addEventListener("click", () => {
+  downloadText(exportQMKKeymapJSON(keys, getVisibleLayers(), readQMKOptions()), "keymap.json", "application/json");
+});
 
-  img.onload = () => {
-    // Size the canvas to match the SVG element's pixel dimensions
-    canvas.width  = svg.clientWidth;
-    canvas.height = svg.clientHeight;
-    ctx.drawImage(img, 0, 0);
+document.getElementById("qmkCBtn").addEventListener("click", () => {
+  downloadText(exportQMKKeymapC(keys, getVisibleLayers(), readQMKOptions()), "keymap.c", "text/x-c");
+});
 
-    // Trigger a download by creating a temporary <a> link
-    const link = document.createElement("a");
-    link.download = "keyboard-layout.png";
-    link.href     = canvas.toDataURL(); // PNG data URL
-    link.click();
+// showUnmappedLabels(ordered, unmapped, prefix, what, fallback)
+// --------------------------------------------------------------
+// Fills a firmware export dialog's #<prefix>Summary note and
+// #<prefix>Unmapped list, e.g. "… couldn't be mapped to a QMK
+// keycode and will be exported as KC_NO:".
+function showUnmappedLabels(ordered, unmapped, prefix, what, fallback) {
+  const list  = document.getElementById(prefix + "Unmapped");
+  const count = getVisibleLayers().length;
+  list.innerHTML = "";
+
+  document.getElementById(prefix + "Summary").textContent =
+    `${ordered.length} keys × ${count} layer${count === 1 ? "" : "s"}. ` +
+    (unmapped.length
+      ? `${unmapped.length} label${unmapped.length === 1 ? "" : "s"} couldn't be mapped to a ` +
+        `${what} and will be exported as ${fallback}:`
+      : `Every label maps to a ${what}.`);
+
+  unmapped.forEach(u => {
+    const item = document.createElement("li");
+    item.textContent = `${u.layer}, key ${u.index + 1}: "${u.text}"`;
+    list.appendChild(item);
+  });
+  list.hidden = !unmapped.length;
+}
+
+// readQMKOptions()
+// ----------------
+// The keyboard / keymap / layout names from the dialog, plus the
+// layer parents for transparent keys.
+function readQMKOptions() {
+  return {
+    keyboard: document.getElementById("qmkKeyboard").value.trim() || "my_keyboard",
+    keymap:   document.getElementById("qmkKeymap").value.trim()   || "default",
+    layout:   document.getElementById("qmkLayout").value.trim()   || "LAYOUT",
+    layerSettings
   };
+}
+
+// downloadText(text, fileName, type)
+// ----------------------------------
+// Saves a string (or a Blob, e.g. an image) as a file via a
+// temporary download link.
+function downloadText(text, fileName, type) {
+  const blob = new Blob([text], { type });
+  const link = document.createElement("a");
+  link.download = fileName;
+  link.href     = URL.createObjectURL(blob);
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+
+// ============================================================
+// ZMK EXPORT
+// ============================================================
+
+// "Export ZMK" opens a dialog for the keyboard name, lists any
+// labels that don't map to a ZMK binding, and downloads a
+// .keymap with both the keymap and the physical layout.
+const zmkExportDialog = document.getElementById("zmkExportDialog");
+
+document.getElementById("exportZmkBtn").addEventListener("click", () => {
+  if (!keys.length) { alert("No layout to export."); return; }
+
+  const { ordered, unmapped } = buildZMKKeymap(keys, getVisibleLayers(), { layerSettings });
+  showUnmappedLabels(ordered, unmapped, "zmk", "ZMK binding", "&none");
+
+  zmkExportDialog.returnValue = "";
+  zmkExportDialog.showModal();
+});
+
+zmkExportDialog.addEventListener("close", () => {
+  if (zmkExportDialog.returnValue !== "download") return;
+
+  const name = document.getElementById("zmkName").value.trim() || "My Keyboard";
+  const file = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "keyboard";
+  downloadText(exportZMKKeymap(keys, getVisibleLayers(), { name, layerSettings }), file + ".keymap", "text/plain");
+});
 
-  // Convert the XML string to a base64 data URL so we can load it
-  // as an Image. btoa() encodes to base64; unescape+encodeURIComponent
-  // handles any non-ASCII characters in key labels.
-  img.src = "data:image/svg+xml;base64," + btoa(unescape(encodeURIComponent(xml)));
+
+// ============================================================
+// KLE EXPORT
+// ============================================================
+
+// "Export KLE" opens a dialog with one dropdown per KLE legend
+// position (KLE_LEGEND_NAMES in kle.js), choosing which layer's
+// labels go there. The choice is remembered for the next export.
+const kleExportDialog = document.getElementById("kleExportDialog");
+const kleSlotsBox     = document.getElementById("kleSlots");
+let   kleSlots        = null; // last used slot → layer assignment
+
+document.getElementById("exportKleBtn").addEventListener("click", () => {
+  if (!keys.length) { alert("No layout to export."); return; }
+
+  // Start from the last choice, dropping layers that no longer
+  // exist or are hidden; if nothing's left, use the defaults
+  const visible = getVisibleLayers();
+  let slots = (kleSlots || []).map(name => visible.includes(name) ? name : null);
+  if (!slots.some(Boolean)) slots = getDefaultKLESlots(visible); // kle.js
+
+  kleSlotsBox.innerHTML = "";
+  KLE_LEGEND_NAMES.forEach((position, i) => {
+    const label  = document.createElement("label");
+    const select = document.createElement("select");
+    select.dataset.slot = i;
+
+    [null, ...visible].forEach(name => {
+      const opt = document.createElement("option");
+      opt.value       = name || "";
+      opt.textContent = name || "—";
+      select.appendChild(opt);
+    });
+    select.value = slots[i] || "";
+
+    label.textContent = position.charAt(0).toUpperCase() + position.slice(1);
+    if (i === 9) label.className = "kle-front"; // first of the front-face row
+    label.appendChild(select);
+    kleSlotsBox.appendChild(label);
+  });
+
+  kleExportDialog.returnValue = ""; // Escape leaves the old value
+  kleExportDialog.showModal();
+});
+
+kleExportDialog.addEventListener("close", () => {
+  const action = kleExportDialog.returnValue;
+  if (action !== "download" && action !== "copy") return;
+
+  kleSlots = [...kleSlotsBox.querySelectorAll("select")].map(s => s.value || null);
+  const json = exportKLE(keys, getVisibleLayers(), kleSlots); // kle.js
+
+  if (action === "copy") {
+    // The Raw data tab wants the rows without the enclosing [ ]
+    const raw = json.replace(/^\[\n/, "").replace(/\n\]$/, "");
+    navigator.clipboard.writeText(raw)
+      .catch(err => alert("Couldn't copy to the clipboard: " + err.message));
+    return;
+  }
+
+  downloadText(json, "keyboard-layout-kle.json", "application/json");
+});
+
+
+// ============================================================
+// VIA / VIAL
+// ============================================================
+
+// ── Layout options dialog ─────────────────────────────────────
+// Shown by parseVIADefinition (via.js) when a definition has
+// layout options, so only one of e.g. ANSI / ISO enter is drawn.
+const layoutOptionsDialog = document.getElementById("layoutOptionsDialog");
+
+// showLayoutOptions(layoutOptions, choices)
+// -----------------------------------------
+// Fills the dialog with a checkbox for each on/off option and a
+// dropdown for the others, and resolves to the chosen index for
+// each option, or null on Cancel.
+function showLayoutOptions(layoutOptions, choices) {
+  const list = document.getElementById("layoutOptionsList");
+  list.innerHTML = "";
+
+  const inputs = layoutOptions.map((opt, i) => {
+    const label = document.createElement("label");
+
+    // VIA's on/off options have the choices "Off" and "On"
+    if (opt.choices.length === 2 && opt.choices[0] === "Off" && opt.choices[1] === "On") {
+      const box = document.createElement("input");
+      box.type    = "checkbox";
+      box.checked = choices[i] === 1;
+      label.className = "checkbox-label";
+      label.append(box, opt.name);
+      list.appendChild(label);
+      return () => (box.checked ? 1 : 0);
+    }
+
+    const select = document.createElement("select");
+    opt.choices.forEach((choice, c) => {
+      const option = document.createElement("option");
+      option.value       = c;
+      option.textContent = choice;
+      select.appendChild(option);
+    });
+    select.value = choices[i];
+    label.append(opt.name, select);
+    list.appendChild(label);
+    return () => +select.value;
+  });
+
+  layoutOptionsDialog.returnValue = ""; // Escape doesn't reset it
+  layoutOptionsDialog.showModal();
+
+  return new Promise(resolve => {
+    layoutOptionsDialog.addEventListener("close", () => {
+      resolve(layoutOptionsDialog.returnValue === "import" ? inputs.map(read => read()) : null);
+    }, { once: true });
+  });
+}
+
+// ── Keymap backups ────────────────────────────────────────────
+// "Load Keymap" reads a Vial .vil or VIA keymap backup and fills
+// every layer from it, by matrix position — so it needs a board
+// imported from a VIA / Vial definition.
+const loadKeymapBtn = document.getElementById("loadKeymapBtn");
+
+loadKeymapBtn.addEventListener("click", () => {
+  document.getElementById("keymapInput").click();
+});
+
+document.getElementById("keymapInput").addEventListener("change", async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+
+  try {
+    const keymap = readVIAKeymap(JSON.parse(await file.text()), matrixSize);
+
+    recordEdit(`Load keymap ${file.name}`);
+    layers       = applyVIAKeymap(keys, keymap); // via.js
+    currentLayer = layers[0];
+    // Keep the flags of layers that are still there ("base")
+    layerSettings = Object.fromEntries(
+      Object.entries(layerSettings).filter(([name]) => layers.includes(name))
+    );
+    fillLayerDefaults(keys, layers, layerSettings);
+    rebuildLayerSelect();
+    renderKeyboard(keys, currentLayer);
+  } catch (err) {
+    alert("Failed to load keymap: " + err.message);
+  }
+
+  // Reset the input so loading the same file twice in a row works
+  e.target.value = "";
+});
+
+// updateKeymapButton()
+// --------------------
+// "Load Keymap" only makes sense once keys have matrix positions.
+function updateKeymapButton() {
+  loadKeymapBtn.disabled = !keys.some(k => k.matrix);
 }
 
 
@@ -330,7 +1923,12 @@ document.getElementById("saveLayoutBtn").addEventListener("click", () => {
   const payload = {
     version: 1,                        // for future format migrations
     savedAt: new Date().toISOString(), // timestamp for reference
+    pitchMm,                           // real-world size of 1u
     layers,                            // the ordered layer names array
+    layerSettings,                     // hidden / locked flags per layer
+    underlay,                          // non-key DXF geometry
+    hiddenDxfLayers: [...hiddenDxfLayers], // DXF layers switched off in the panel
+    matrixSize,                        // VIA / Vial matrix size, or null
     keys: keys.map(k => ({            // strip only what we need to save
       id:       k.id,
       x:        k.x,
@@ -338,6 +1936,12 @@ document.getElementById("saveLayoutBtn").addEventListener("click", () => {
       width:    k.width,
       height:   k.height,
       rotation: k.rotation || 0,
+      shape:    k.shape || "rect",
+      half:     k.half,              // split boards only (dropped by JSON if undefined)
+      order:    k.order,             // physical order, once inferred or edited
+      matrix:   k.matrix,            // switch matrix position, if known
+      u:        k.u,                 // geometry in key units
+      mm:       k.mm,                // geometry in millimetres
       layers:   k.layers             // all layer data for this key
     }))
   };
@@ -373,14 +1977,31 @@ document.getElementById("loadLayoutInput").addEventListener("change", (e) => {
         return;
       }
 
+      recordEdit(`Load ${file.name}`);
+
       // Restore global state from the file
       keys         = payload.keys;
-      layers       = payload.layers || ["base"]; // fallback for older saves without layers
-      currentLayer = layers[0];                  // start on the first layer
+      layers        = payload.layers || ["base"]; // fallback for older saves without layers
+      layerSettings = payload.layerSettings || {};
+      fillLayerDefaults(keys, layers, layerSettings); // older saves have no key states
+      currentLayer  = getVisibleLayers()[0] || layers[0]; // start on the first visible layer
+      pitchMm      = payload.pitchMm || 19.05;   // older saves predate unit support
+      importReport = null;                       // the report belongs to the last import
+      updateReportButton();
+      underlay        = payload.underlay || [];  // older saves have no underlay
+      hiddenDxfLayers = new Set(payload.hiddenDxfLayers || []);
+      matrixSize      = payload.matrixSize || null;
+      updateKeymapButton();
+
+      // Older saves have no u / mm geometry — work it out
+      keys.forEach(k => { if (!k.u || !k.mm) syncKeyUnits(k, pitchMm); });
 
       // Rebuild the dropdown and re-render
       rebuildLayerSelect();
       renderKeyboard(keys, currentLayer);
+      updateSplitPanel();
+      updateUnderlayControls();
+      updateMatrixPanel();
     } catch (err) {
       alert("Failed to load layout: " + err.message);
     }
@@ -393,13 +2014,124 @@ document.getElementById("loadLayoutInput").addEventListener("change", (e) => {
 });
 
 
+// ============================================================
+// UNDO / REDO
+// ============================================================
+
+// history.js keeps the steps; this section supplies the snapshots
+// it stores (captureState / restoreState) and the controls: the
+// Undo / Redo toolbar buttons, Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y too,
+// ⌘ on a Mac), and the History list in the panel, where clicking
+// a step goes back (or forward) to just after it.
+const undoBtn     = document.getElementById("undoBtn");
+const redoBtn     = document.getElementById("redoBtn");
+const historyList = document.getElementById("historyList");
+
+undoBtn.addEventListener("click", undoEdit);
+redoBtn.addEventListener("click", redoEdit);
+
+// captureState()
+// --------------
+// A deep copy of everything an edit can change. Called by
+// history.js. View settings (zoom, which overlays are showing) are
+// left out — undo shouldn't move the view around.
+function captureState() {
+  return structuredClone({
+    keys, layers, layerSettings, currentLayer, pitchMm, importReport,
+    underlay, hiddenDxfLayers, matrixSize
+  });
+}
+
+// restoreState(snapshot)
+// ----------------------
+// Puts a captureState() snapshot back and redraws everything that
+// depends on it. The snapshot is copied again, so the history's
+// copy stays untouched by later edits.
+function restoreState(snapshot) {
+  const state = structuredClone(snapshot);
+  keys            = state.keys;
+  layers          = state.layers;
+  layerSettings   = state.layerSettings;
+  currentLayer    = layers.includes(state.currentLayer) ? state.currentLayer : layers[0];
+  pitchMm         = state.pitchMm;
+  importReport    = state.importReport;
+  underlay        = state.underlay;
+  hiddenDxfLayers = state.hiddenDxfLayers;
+  matrixSize      = state.matrixSize;
+
+  updateReportButton();
+  if (reportDialog.open) renderImportReport();
+  updateKeymapButton();
+  rebuildLayerSelect();
+  renderKeyboard(keys, currentLayer);
+  updateSplitPanel();
+  updateUnderlayControls();
+  updateMatrixPanel();
+}
+
+document.addEventListener("historyChanged", (e) => {
+  undoBtn.disabled = !e.detail.canUndo;
+  redoBtn.disabled = !e.detail.canRedo;
+  renderHistoryList();
+});
+
+// renderHistoryList()
+// -------------------
+// Rebuilds the History list: a "Start" entry, every step done so
+// far (the last one marked current), then the undone steps, dimmed.
+function renderHistoryList() {
+  const { done, undone } = getHistory(); // history.js
+  historyList.innerHTML = "";
+
+  ["Start", ...done, ...undone].forEach((label, step) => {
+    const item = document.createElement("li");
+    item.textContent = label;
+    if (step === done.length) item.classList.add("current");
+    if (step > done.length)   item.classList.add("undone");
+    item.addEventListener("click", () => goToHistoryStep(step));
+    historyList.appendChild(item);
+  });
+
+  // Keep the current step in view
+  const current = historyList.querySelector(".current");
+  if (current) current.scrollIntoView({ block: "nearest" });
+}
+
+renderHistoryList();
+
+
 // ============================================================
 // PAN & ZOOM
 // ============================================================
 
 const svg = document.getElementById("keyboardCanvas");
 
-// Scroll wheel: zoom in/out around the current view centre.
+// Zoom is kept between 20% and 500% to prevent getting lost
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 5;
+
+// zoomAround(clientX, clientY, factor)
+// ------------------------------------
+// Zooms by `factor` around a point on the screen, so whatever is
+// under it stays put.
+function zoomAround(clientX, clientY, factor) {
+  const newZoom = Math.min(Math.max(zoom * factor, MIN_ZOOM), MAX_ZOOM);
+
+  // The point in the SVG's own pixels, and the canvas point under it
+  const box = svg.getBoundingClientRect();
+  const mx  = clientX - box.left - svg.clientLeft;
+  const my  = clientY - box.top  - svg.clientTop;
+  const cx  = (mx - panX) / zoom;
+  const cy  = (my - panY) / zoom;
+
+  // Pan so that canvas point is under it again
+  zoom = newZoom;
+  panX = mx - cx * zoom;
+  panY = my - cy * zoom;
+  updateViewport();
+}
+
+// Scroll wheel: zoom in/out around the mouse pointer.
 // e.preventDefault() stops the page from scrolling at the same time.
 svg.addEventListener("wheel", (e) => {
   e.preventDefault();
@@ -407,28 +2139,50 @@ svg.addEventListener("wheel", (e) => {
   const zoomSpeed = 0.1; // 10% zoom per scroll tick
 
   // deltaY is negative when scrolling up (zoom in), positive when down (zoom out)
-  zoom *= e.deltaY < 0 ? 1 + zoomSpeed : 1 - zoomSpeed;
-
-  // Clamp zoom between 20% and 500% to prevent getting lost
-  zoom = Math.min(Math.max(zoom, 0.2), 5);
-
-  updateViewport();
+  zoomAround(e.clientX, e.clientY, e.deltaY < 0 ? 1 + zoomSpeed : 1 - zoomSpeed);
 });
 
-// Mouse button down on the canvas: start tracking a potential drag.
-// We don't start panning immediately — we wait to see if the mouse moves.
-svg.addEventListener("mousedown", (e) => {
-  // Don't start a drag if the user clicked inside a text input
+// Fingers on the canvas, by pointer id: { x, y }. With two down,
+// pinch is their midpoint and spread at the last move; moving them
+// pans and zooms the view (one finger is render.js's — selecting).
+const touches = new Map();
+let pinch = null;
+
+// getPinch() — the midpoint { x, y } of the first two fingers, and
+// the distance between them
+function getPinch() {
+  const [a, b] = [...touches.values()];
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, dist: Math.hypot(a.x - b.x, a.y - b.y) || 1 };
+}
+
+// Pointer down on the canvas. A mouse (or pen) press starts
+// tracking a potential pan — we don't start panning immediately,
+// we wait to see if the pointer moves. A second finger starts a
+// pinch.
+svg.addEventListener("pointerdown", (e) => {
+  // Don't start a drag if the user pressed inside a text input
   if (e.target.tagName === "INPUT") return;
 
+  if (e.pointerType === "touch") {
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (touches.size === 2) pinch = getPinch();
+    return;
+  }
+
   isDragging = true;
   dragMoved  = false; // reset movement flag
   lastX = e.clientX;
   lastY = e.clientY;
 });
 
-// Mouse button released anywhere on the page.
-window.addEventListener("mouseup", (e) => {
+// Pointer released anywhere on the page.
+const endCanvasPointer = (e) => {
+  if (e.pointerType === "touch") {
+    touches.delete(e.pointerId);
+    pinch = touches.size >= 2 ? getPinch() : null;
+    return;
+  }
+
   // If the mouse didn't move and was released on empty canvas,
   // treat it as a click on the background → deselect everything.
   if (isDragging && !dragMoved && !e.target.closest?.("g[data-key-id]")) {
@@ -437,11 +2191,28 @@ window.addEventListener("mouseup", (e) => {
 
   isDragging = false;
   dragMoved  = false;
-});
+};
+window.addEventListener("pointerup",     endCanvasPointer);
+window.addEventListener("pointercancel", endCanvasPointer);
+
+// Pointer move: if dragging, calculate how far the mouse moved since
+// last frame and add that delta to panX/panY. Two fingers pan by
+// how far their midpoint moved, and zoom by how much their spread
+// changed.
+window.addEventListener("pointermove", (e) => {
+  if (e.pointerType === "touch") {
+    if (!touches.has(e.pointerId)) return;
+    touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (!pinch) return;
+
+    const next = getPinch();
+    panX += next.x - pinch.x;
+    panY += next.y - pinch.y;
+    zoomAround(next.x, next.y, next.dist / pinch.dist); // also updates the view
+    pinch = next;
+    return;
+  }
 
-// Mouse move: if dragging, calculate how far the mouse moved since
-// last frame and add that delta to panX/panY.
-window.addEventListener("mousemove", (e) => {
   if (!isDragging) return;
 
   const dx = e.clientX - lastX;
@@ -473,6 +2244,47 @@ function updateViewport() {
     "transform",
     `translate(${panX}, ${panY}) scale(${zoom})`
   );
+  updateMinimapView();
+}
+
+// getVisibleArea()
+// ----------------
+// The part of the SVG that can be seen, in the SVG's own pixels
+// (before pan and zoom): { x, y, width, height }. The SVG is bigger
+// than the canvas area, which cuts it off.
+function getVisibleArea() {
+  const box  = svg.getBoundingClientRect();
+  const area = svg.parentNode.getBoundingClientRect();
+  const left = box.left + svg.clientLeft;
+  const top  = box.top  + svg.clientTop;
+
+  const x = Math.max(area.left, left) - left;
+  const y = Math.max(area.top,  top)  - top;
+  return {
+    x, y,
+    width:  Math.max(Math.min(area.right,  left + svg.clientWidth)  - left - x, 1),
+    height: Math.max(Math.min(area.bottom, top  + svg.clientHeight) - top  - y, 1)
+  };
+}
+
+// fitView(rects)
+// --------------
+// Pans and zooms so that the canvas rects ({ x, y, width, height },
+// as from getBlockRects() in render.js) fill the visible area,
+// centred, with a little room around them.
+function fitView(rects) {
+  if (!rects.length) return;
+  const minX = Math.min(...rects.map(r => r.x));
+  const minY = Math.min(...rects.map(r => r.y));
+  const maxX = Math.max(...rects.map(r => r.x + r.width));
+  const maxY = Math.max(...rects.map(r => r.y + r.height));
+  const area = getVisibleArea();
+
+  zoom = Math.min(area.width / (maxX - minX), area.height / (maxY - minY)) * 0.95;
+  zoom = Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM);
+  panX = area.x + (area.width  - (maxX - minX) * zoom) / 2 - minX * zoom;
+  panY = area.y + (area.height - (maxY - minY) * zoom) / 2 - minY * zoom;
+  updateViewport();
 }
 
 // Reset View button: snap back to the default no-pan, no-zoom state.
@@ -483,7 +2295,195 @@ document.getElementById("resetView").addEventListener("click", () => {
   updateViewport();
 });
 
+// Fit All: every layer block drawn. Fit Layer: the active one's.
+document.getElementById("fitAllBtn").addEventListener("click", () => fitView(getBlockRects()));
+document.getElementById("fitLayerBtn").addEventListener("click", () => {
+  fitView(getBlockRects().filter(r => r.layer === currentLayer));
+});
+
 // Escape key: deselect all keys from anywhere in the app.
+// Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y: undo and redo — except while
+// typing in a field, where they undo the typing as usual.
 window.addEventListener("keydown", (e) => {
   if (e.key === "Escape") clearSelection(); // clearSelection is in render.js
-});
\ No newline at end of file
+
+  const inField = /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName);
+  if (!(e.ctrlKey || e.metaKey) || inField) return;
+
+  const key = e.key.toLowerCase();
+  if (key === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undoEdit(); // history.js
+  } else if ((key === "z" && e.shiftKey) || key === "y") {
+    e.preventDefault();
+    redoEdit();
+  }
+});
+
+// ============================================================
+// KEYBOARD SHORTCUTS
+// ============================================================
+
+// Keyboard control of the canvas, when no field has focus and no
+// dialog is open:
+//   Arrows            — select the nearest key that way (render.js);
+//                       Shift adds it to the selection. In Edit
+//                       Geometry mode they nudge keys instead (above).
+//   typing            — starts editing the selected key's label
+//   Enter             — edits the selected key's label; in the
+//                       editor, saves it and goes on to the next key
+//   Ctrl+A            — selects every key on the layer
+//   Page Up / Down    — switches to the previous / next visible layer
+//   F1                — lists all this in the shortcuts dialog
+window.addEventListener("keydown", (e) => {
+  if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+  if (document.querySelector("dialog[open]")) return;
+
+  const arrows = { ArrowLeft: "left", ArrowRight: "right", ArrowUp: "up", ArrowDown: "down" };
+  const ctrl   = e.ctrlKey || e.metaKey;
+
+  if (arrows[e.key] && !editGeometry && !ctrl) {
+    e.preventDefault(); // don't scroll the page
+    moveSelection(arrows[e.key], e.shiftKey); // render.js
+  } else if (ctrl && e.key.toLowerCase() === "a") {
+    e.preventDefault(); // not the page's text
+    selectKeys(keys.map(k => k.id));
+  } else if (e.key === "PageUp" || e.key === "PageDown") {
+    e.preventDefault();
+    // Hidden layers are skipped, as in the layer dropdown
+    const visible = getVisibleLayers();
+    const index   = visible.indexOf(currentLayer);
+    const next    = index < 0 ? null : visible[index + (e.key === "PageUp" ? -1 : 1)];
+    if (next) setCurrentLayer(next);
+  } else if (e.key === "F1") {
+    e.preventDefault(); // not the browser's help
+    shortcutsDialog.showModal();
+  } else if (e.key === "Enter" && e.target.tagName !== "BUTTON") { // a focused button clicks
+    if (editSelectedKey()) e.preventDefault(); // render.js
+  } else if (e.key.length === 1 && !ctrl && !e.altKey && e.key !== " ") {
+    // A printable character: it becomes the start of the new label,
+    // rather than being typed into the editor as well
+    if (editSelectedKey(e.key)) e.preventDefault();
+  }
+});
+
+// The shortcuts dialog, from F1 or the View section's button
+const shortcutsDialog = document.getElementById("shortcutsDialog");
+document.getElementById("shortcutsBtn").addEventListener("click", () => shortcutsDialog.showModal());
+
+
+// ============================================================
+// MINIMAP
+// ============================================================
+
+// The minimap in the corner of the canvas area: every layer block
+// drawn, with its keys, and a rectangle showing the part of the
+// canvas in view. Its viewBox is the blocks' own extent, so it's
+// drawn in canvas coordinates. Clicking or dragging in it moves the
+// view there. It's redrawn after each render ("canvasRendered"
+// from render.js), and its view rectangle moves on every pan and
+// zoom (updateViewport).
+
+const minimap = document.getElementById("minimap");
+let minimapView = null;       // the view rectangle
+let isMinimapDragging = false;
+
+// drawMinimap()
+// -------------
+// Redraws the blocks and keys, then the view rectangle on top.
+function drawMinimap() {
+  const rects = getBlockRects(); // render.js
+  minimap.innerHTML = "";
+  minimapView = null;
+  if (!keys.length) return; // left empty, which hides it (style.css)
+
+  const pad  = 20;
+  const minX = Math.min(...rects.map(r => r.x)) - pad;
+  const minY = Math.min(...rects.map(r => r.y)) - pad;
+  const maxX = Math.max(...rects.map(r => r.x + r.width))  + pad;
+  const maxY = Math.max(...rects.map(r => r.y + r.height)) + pad;
+  minimap.setAttribute("viewBox", `${minX} ${minY} ${maxX - minX} ${maxY - minY}`);
+
+  // Key outlines, as one path for all the blocks
+  const outlines = keys.map(key =>
+    "M " + getKeyCorners(key, LAYER_LABEL_HEIGHT).map(p => `${p.x} ${p.y}`).join(" L ") + " Z"
+  ).join(" ");
+
+  rects.forEach(r => {
+    const active = r.layer === currentLayer;
+    const block  = document.createElementNS(SVG_NS, "rect");
+    block.setAttribute("x", r.x);
+    block.setAttribute("y", r.y);
+    block.setAttribute("width",  r.width);
+    block.setAttribute("height", r.height);
+    block.setAttribute("fill", active ? "rgba(76,139,245,0.12)" : "none");
+    block.setAttribute("stroke", active ? "#4c8bf5" : "#2a3347");
+    block.setAttribute("stroke-width", "1");
+    block.setAttribute("vector-effect", "non-scaling-stroke"); // 1 screen px whatever the scale
+    minimap.appendChild(block);
+
+    const path = document.createElementNS(SVG_NS, "path");
+    path.setAttribute("d", outlines);
+    path.setAttribute("transform", `translate(${r.x}, ${r.y})`);
+    path.setAttribute("fill", active ? "#5a6880" : "#343c4d");
+    minimap.appendChild(path);
+  });
+
+  minimapView = document.createElementNS(SVG_NS, "rect");
+  minimapView.setAttribute("fill", "rgba(255,255,255,0.06)");
+  minimapView.setAttribute("stroke", "#e8eaf0");
+  minimapView.setAttribute("stroke-width", "1.5");
+  minimapView.setAttribute("vector-effect", "non-scaling-stroke");
+  minimap.appendChild(minimapView);
+  updateMinimapView();
+}
+
+// updateMinimapView()
+// -------------------
+// Moves the view rectangle to the part of the canvas in view: the
+// visible area, taken back through the pan and zoom.
+function updateMinimapView() {
+  if (!minimapView) return;
+  const area = getVisibleArea();
+  minimapView.setAttribute("x", (area.x - panX) / zoom);
+  minimapView.setAttribute("y", (area.y - panY) / zoom);
+  minimapView.setAttribute("width",  area.width  / zoom);
+  minimapView.setAttribute("height", area.height / zoom);
+}
+
+// centreViewOn(clientX, clientY)
+// ------------------------------
+// Pans so the canvas point under a mouse position in the minimap
+// is in the middle of the visible area.
+function centreViewOn(clientX, clientY) {
+  const pt = minimap.createSVGPoint();
+  pt.x = clientX;
+  pt.y = clientY;
+  const ctm = minimap.getScreenCTM();
+  if (!ctm) return;
+  const p    = pt.matrixTransform(ctm.inverse());
+  const area = getVisibleArea();
+
+  panX = area.x + area.width  / 2 - p.x * zoom;
+  panY = area.y + area.height / 2 - p.y * zoom;
+  updateViewport();
+}
+
+document.addEventListener("canvasRendered", drawMinimap);
+
+// The minimap captures the pointer, so a drag that leaves it is
+// still followed
+minimap.addEventListener("pointerdown", (e) => {
+  e.preventDefault(); // no text selection while dragging
+  minimap.setPointerCapture(e.pointerId);
+  isMinimapDragging = true;
+  centreViewOn(e.clientX, e.clientY);
+});
+minimap.addEventListener("pointermove", (e) => {
+  if (isMinimapDragging) centreViewOn(e.clientX, e.clientY);
+});
+minimap.addEventListener("pointerup",     () => { isMinimapDragging = false; });
+minimap.addEventListener("pointercancel", () => { isMinimapDragging = false; });
+
+// The visible area changes with the window size
+window.addEventListener("resize", updateMinimapView);
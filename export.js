@@ -0,0 +1,449 @@
+// ============================================================
+// export.js
+//
+// Responsible for the vector exports, made entirely in the
+// browser from the key data (not from a screenshot of the canvas):
+//
+//   - SVG: one standalone file of the whole layout, laid out as in
+//     the current view mode — every layer block, not just the part
+//     that's on screen. Only what's printed on the keys goes in:
+//     no inline editors, selection highlights or import ghosts.
+//     Cropped to the drawing, with the label font embedded so it
+//     looks the same wherever it's opened.
+//   - PNG: the chosen layers, cropped to the drawing, at a chosen
+//     scale or width, on a transparent or coloured background.
+//   - PDF: one page per visible layer, in a choice of page size and
+//     orientation, optionally with a table of every key's legends
+//     under the drawing. Drawn by jsPDF + svg2pdf.js (loaded in
+//     index.html) from the same SVG as the SVG export.
+//
+// Keys are drawn with render.js's own helpers (keyTransform,
+// drawKeyAppearance, ...), so the exports match the canvas.
+// ============================================================
+
+
+// The font embedded in exports: DejaVu Sans, which has the arrows
+// and symbols key labels tend to use. Fetched on the first export
+// and kept; if it can't be loaded, exports fall back to the
+// viewer's own sans-serif (SVG) or Helvetica (PDF).
+const EXPORT_FONT_URL  = "https://unpkg.com/dejavu-fonts-ttf@2.37.3/ttf/DejaVuSans.ttf";
+const EXPORT_FONT_NAME = "DejaVu Sans";
+let   exportFontData   = null; // the font file, base64-encoded
+
+// Empty space left around the drawing when it's cropped, in px
+const EXPORT_MARGIN = 12;
+
+// PDF page sizes in points, portrait
+const PDF_PAGE_SIZES = {
+  a4:     [595.28, 841.89],
+  a3:     [841.89, 1190.55],
+  letter: [612, 792],
+  legal:  [612, 1008]
+};
+
+// PDF page layout, in points: the page margin, the layer name
+// above the drawing, and the legend table's rows and columns
+const PDF_MARGIN       = 36;
+const PDF_TITLE_HEIGHT = 28;
+const PDF_TABLE_LINE   = 12;
+const PDF_TABLE_COLUMN = 150;
+
+
+// ── loadExportFont ────────────────────────────────────────────
+//
+// Resolves to the export font as base64, or null if it can't be
+// fetched (e.g. offline).
+async function loadExportFont() {
+  if (exportFontData) return exportFontData;
+
+  try {
+    const response = await fetch(EXPORT_FONT_URL);
+    if (!response.ok) return null;
+    const bytes = new Uint8Array(await response.arrayBuffer());
+
+    // btoa() wants a binary string; build it in chunks, since
+    // String.fromCharCode can't take a whole font's bytes at once
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    exportFontData = btoa(binary);
+    return exportFontData;
+  } catch (err) {
+    return null;
+  }
+}
+
+
+// ── buildExportSvg ────────────────────────────────────────────
+//
+// Draws layer blocks into a new standalone <svg> element, cropped
+// to what's drawn. Returns { svg, width, height } (px).
+//
+// Parameters:
+//   keys    — the key objects
+//   blocks  — where each layer block goes: [{ layer, x, y }], as
+//             from getLayerBlocks() in render.js
+//   options — {
+//     appearance(key, layerName) — what to draw for each key
+//                (getKeyAppearance or getDisplayAppearance)
+//     label(layerName)           — an element for the block's
+//                label, drawn above the keys; none if left out
+//     separators                 — draw the dashed lines between
+//                rows of layer blocks, as on the canvas
+//     numbered                   — number each key with its
+//                position in the key order, for the legend table
+//     margin                     — px of space around the drawing
+//                (EXPORT_MARGIN by default)
+//     fontData                   — the font to embed (base64)
+//   }
+function buildExportSvg(keys, blocks, options = {}) {
+  const margin     = options.margin ?? EXPORT_MARGIN;
+  const blockWidth = getKeysWidth(keys);
+
+  const svg = document.createElementNS(SVG_NS, "svg");
+  svg.setAttribute("font-family", `"${EXPORT_FONT_NAME}", system-ui, sans-serif`);
+
+  if (options.fontData) {
+    const style = document.createElementNS(SVG_NS, "style");
+    style.textContent =
+      `@font-face { font-family: "${EXPORT_FONT_NAME}"; ` +
+      `src: url(data:font/ttf;base64,${options.fontData}) format("truetype"); }`;
+    const defs = document.createElementNS(SVG_NS, "defs");
+    defs.appendChild(style);
+    svg.appendChild(defs);
+  }
+
+  const content = document.createElementNS(SVG_NS, "g");
+  svg.appendChild(content);
+
+  blocks.forEach(block => {
+    const group = document.createElementNS(SVG_NS, "g");
+    group.setAttribute("transform", `translate(${block.x}, ${block.y})`);
+
+    if (options.label) group.appendChild(options.label(block.layer));
+
+    if (options.separators && block.y > 0 && block.x === 0) {
+      const sep = document.createElementNS(SVG_NS, "line");
+      sep.setAttribute("x1", 30);
+      sep.setAttribute("y1", -LAYER_GAP / 2);
+      sep.setAttribute("x2", Math.max(...blocks.map(b => b.x)) + blockWidth);
+      sep.setAttribute("y2", -LAYER_GAP / 2);
+      sep.setAttribute("stroke", "#2a2f3a");
+      sep.setAttribute("stroke-width", "1");
+      sep.setAttribute("stroke-dasharray", "6,4");
+      group.appendChild(sep);
+    }
+
+    buildUnderlay(LAYER_LABEL_HEIGHT, group);
+
+    keys.forEach(key => {
+      if (!key.layers[block.layer]) return;
+      const look = options.appearance(key, block.layer);
+      group.appendChild(buildExportKey(key, look, options.numbered));
+    });
+
+    content.appendChild(group);
+  });
+
+  // Measure the drawing to crop to it. getBBox() only works on
+  // something that's in the page, so add it out of sight briefly.
+  svg.style.position   = "absolute";
+  svg.style.visibility = "hidden";
+  document.body.appendChild(svg);
+  const box = content.getBBox();
+  svg.remove();
+  svg.removeAttribute("style");
+
+  const width  = Math.ceil(box.width  + margin * 2);
+  const height = Math.ceil(box.height + margin * 2);
+  svg.setAttribute("viewBox", `${box.x - margin} ${box.y - margin} ${width} ${height}`);
+  svg.setAttribute("width",  width);
+  svg.setAttribute("height", height);
+
+  return { svg, width, height };
+}
+
+
+// ── buildExportKey ────────────────────────────────────────────
+//
+// One key for an export: just its background and legends (see
+// drawKeyAppearance in render.js), plus its key order number in
+// the top-left corner if `numbered`.
+function buildExportKey(key, look, numbered) {
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("transform", keyTransform(key, LAYER_LABEL_HEIGHT));
+
+  const rect = document.createElementNS(SVG_NS, "rect");
+  rect.setAttribute("width", key.width);
+  rect.setAttribute("height", key.height);
+  rect.setAttribute("rx", keyCornerRadius(key));
+  rect.setAttribute("stroke", "#333");
+  rect.setAttribute("stroke-width", "2");
+
+  const text        = document.createElementNS(SVG_NS, "text");
+  const legendGroup = document.createElementNS(SVG_NS, "g");
+  drawKeyAppearance(key, rect, text, legendGroup, look);
+
+  group.appendChild(rect);
+  group.appendChild(text);
+  group.appendChild(legendGroup);
+
+  if (numbered && Number.isFinite(key.order)) {
+    const orderText = document.createElementNS(SVG_NS, "text");
+    orderText.setAttribute("x", 5);
+    orderText.setAttribute("y", 13);
+    orderText.setAttribute("font-size", "9");
+    orderText.setAttribute("fill", "#4c8bf5");
+    orderText.textContent = key.order + 1; // shown 1-based, as on the canvas
+    group.appendChild(orderText);
+  }
+
+  return group;
+}
+
+
+// ── buildExportLabel ──────────────────────────────────────────
+//
+// A layer block's name label for the SVG export, where the canvas
+// has its own (see renderKeyboard). `parts` is [{ text, color }] —
+// one part normally, one per layer in the combined view.
+function buildExportLabel(parts) {
+  const label = document.createElementNS(SVG_NS, "text");
+  label.setAttribute("x", 50);
+  label.setAttribute("y", LAYER_LABEL_HEIGHT - 8);
+  label.setAttribute("font-size", "14");
+  label.setAttribute("font-weight", "600");
+  label.setAttribute("letter-spacing", "1");
+
+  parts.forEach((part, i) => {
+    const span = document.createElementNS(SVG_NS, "tspan");
+    span.setAttribute("fill", part.color);
+    if (i > 0) span.setAttribute("dx", 16);
+    span.textContent = part.text.toUpperCase();
+    label.appendChild(span);
+  });
+
+  return label;
+}
+
+
+// ── exportSVG ─────────────────────────────────────────────────
+//
+// The whole layout as an SVG file (a string), laid out as the
+// canvas is now: the layer blocks of the current view mode, with
+// their labels.
+async function exportSVG(keys, currentLayer) {
+  const allLayers = getDrawnLayers(currentLayer);
+  const blocks    = getLayerBlocks(allLayers, currentLayer, getKeysWidth(keys), getKeysHeight(keys));
+  const combined  = getViewMode() === "combined";
+
+  const { svg } = buildExportSvg(keys, blocks, {
+    appearance: getDisplayAppearance,
+    label: name => buildExportLabel(combined
+      ? getCombinedLayers(currentLayer).map((n, i) => ({ text: n, color: i === 0 ? "#5a6880" : combinedLayerColor(i) }))
+      : [{ text: name, color: "#5a6880" }]),
+    fontData: await loadExportFont()
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+}
+
+
+// ── exportPNG ─────────────────────────────────────────────────
+//
+// Resolves to a PNG (a Blob) of the layers in `layerNames`, stacked
+// — or in rows, in the grid view — and cropped to the drawing.
+//
+// options: {
+//   scale       — pixels per canvas px (1–4)
+//   width       — the image width in pixels instead, if given
+//   padding     — canvas px of space around the drawing
+//   background  — a CSS colour, or null for transparent
+//   labels      — whether to draw the layer names and separators
+// }
+async function exportPNG(keys, layerNames, options) {
+  const mode   = getViewMode() === "grid" ? "grid" : "stacked";
+  const blocks = getLayerBlocks(layerNames, null, getKeysWidth(keys), getKeysHeight(keys), mode);
+
+  const { svg, width, height } = buildExportSvg(keys, blocks, {
+    appearance: getKeyAppearance,
+    label:      options.labels ? name => buildExportLabel([{ text: name, color: "#5a6880" }]) : null,
+    separators: options.labels,
+    margin:     options.padding,
+    fontData:   await loadExportFont()
+  });
+
+  // Draw the SVG at the output size, so it's rasterised sharp
+  // rather than drawn small and stretched
+  const scale = options.width ? options.width / width : options.scale;
+  const outW  = Math.round(width  * scale);
+  const outH  = Math.round(height * scale);
+  svg.setAttribute("width",  outW);
+  svg.setAttribute("height", outH);
+
+  const xml = new XMLSerializer().serializeToString(svg);
+  const img = new Image();
+  await new Promise((resolve, reject) => {
+    img.onload  = resolve;
+    img.onerror = () => reject(new Error("the drawing couldn't be rasterised"));
+    // unescape + encodeURIComponent lets btoa() take non-ASCII labels
+    img.src = "data:image/svg+xml;base64," + btoa(unescape(encodeURIComponent(xml)));
+  });
+
+  const canvas  = document.createElement("canvas");
+  canvas.width  = outW;
+  canvas.height = outH;
+  const ctx     = canvas.getContext("2d");
+  if (options.background) {
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, outW, outH);
+  }
+  ctx.drawImage(img, 0, 0, outW, outH);
+
+  return new Promise(resolve => canvas.toBlob(resolve, "image/png"));
+}
+
+
+// ── exportPDF ─────────────────────────────────────────────────
+//
+// Resolves to a jsPDF document with one page per layer in
+// `layerNames`: the layer's name, its keys scaled to fit the page,
+// and — if options.table — a table of every key's legends on that
+// layer in key order, numbered to match the keys. A table too long
+// for the page carries on over extra pages.
+//
+// options: {
+//   pageSize     — a PDF_PAGE_SIZES name
+//   orientation  — "portrait" or "landscape"
+//   table        — whether to add the legend table
+// }
+async function exportPDF(keys, layerNames, options) {
+  const { jsPDF } = window.jspdf;
+  const [shortSide, longSide] = PDF_PAGE_SIZES[options.pageSize] || PDF_PAGE_SIZES.a4;
+  const landscape = options.orientation === "landscape";
+  const pageW = landscape ? longSide : shortSide;
+  const pageH = landscape ? shortSide : longSide;
+
+  const doc = new jsPDF({ unit: "pt", format: [shortSide, longSide], orientation: options.orientation });
+
+  // Register the font under the same name the SVG asks for, so
+  // svg2pdf draws the labels in it too
+  const fontData = await loadExportFont();
+  let fontName = "helvetica";
+  if (fontData) {
+    doc.addFileToVFS("DejaVuSans.ttf", fontData);
+    doc.addFont("DejaVuSans.ttf", EXPORT_FONT_NAME, "normal");
+    fontName = EXPORT_FONT_NAME;
+  }
+
+  // The table numbers keys by their key order. getOrderedKeys fills
+  // in and renumbers `order`, so it works on copies — an export
+  // leaves the board as it was.
+  const drawn   = options.table ? structuredClone(keys) : keys;
+  const ordered = options.table ? getOrderedKeys(drawn) : []; // firmware.js
+
+  for (let page = 0; page < layerNames.length; page++) {
+    const layerName = layerNames[page];
+    if (page > 0) doc.addPage();
+
+    doc.setFont(fontName, "normal");
+    doc.setFontSize(16);
+    doc.setTextColor("#222222");
+    doc.text(layerName.toUpperCase(), PDF_MARGIN, PDF_MARGIN + 14);
+
+    // The drawing gets the whole page, or the top 60% of it with a
+    // table to go underneath
+    const top    = PDF_MARGIN + PDF_TITLE_HEIGHT;
+    const areaW  = pageW - PDF_MARGIN * 2;
+    const areaH  = (pageH - PDF_MARGIN - top) * (options.table ? 0.6 : 1);
+
+    const { svg, width, height } = buildExportSvg(drawn, [{ layer: layerName, x: 0, y: 0 }], {
+      appearance: getKeyAppearance,
+      numbered:   options.table
+    });
+    const scale = Math.min(areaW / width, areaH / height);
+    await doc.svg(svg, {
+      x:      PDF_MARGIN + (areaW - width * scale) / 2,
+      y:      top,
+      width:  width * scale,
+      height: height * scale
+    });
+
+    if (options.table) {
+      const rows = ordered.map(key => pdfTableRow(key, layerName));
+      drawPDFTable(doc, rows, top + height * scale + 20, { pageW, pageH, title: layerName, fontName });
+    }
+  }
+
+  return doc;
+}
+
+
+// ── pdfTableRow ───────────────────────────────────────────────
+//
+// One key's row in the legend table: { number, text, muted }. The
+// text is its legends (main one first) or what it does instead —
+// transparent keys also say what they show from the layer below.
+function pdfTableRow(key, layerName) {
+  const look    = getKeyAppearance(key, layerName); // render.js
+  const legends = ["center", ...LEGEND_SLOTS.filter(slot => slot !== "center")]
+    .map(slot => getLegend(look, slot).text)
+    .filter(Boolean);
+
+  let text = legends.join("  ");
+  if (look.state === "trans") text = "transparent" + (text ? " → " + text : "");
+  if (look.state === "none")  text = "no-op";
+
+  return {
+    number: Number.isFinite(key.order) ? key.order + 1 : "",
+    text:   text || "—",
+    muted:  look.state !== "defined" || !legends.length
+  };
+}
+
+
+// ── drawPDFTable ──────────────────────────────────────────────
+//
+// Lays table rows out in columns, down from `y` to the bottom
+// margin and then across. Rows that don't fit go on extra pages
+// headed "<LAYER> (continued)". layout: { pageW, pageH, title,
+// fontName }.
+function drawPDFTable(doc, rows, y, layout) {
+  const columns = Math.max(1, Math.floor((layout.pageW - PDF_MARGIN * 2) / PDF_TABLE_COLUMN));
+  let   top     = y;
+  let   index   = 0;
+
+  doc.setFontSize(9);
+  while (index < rows.length) {
+    let perColumn = Math.floor((layout.pageH - PDF_MARGIN - top) / PDF_TABLE_LINE);
+
+    // Not even a few rows left on this page: carry on over the page
+    if (perColumn < 3) {
+      doc.addPage();
+      doc.setFontSize(16);
+      doc.setTextColor("#222222");
+      doc.text(layout.title.toUpperCase() + " (continued)", PDF_MARGIN, PDF_MARGIN + 14);
+      doc.setFontSize(9);
+      top       = PDF_MARGIN + PDF_TITLE_HEIGHT;
+      perColumn = Math.floor((layout.pageH - PDF_MARGIN - top) / PDF_TABLE_LINE);
+    }
+
+    for (let col = 0; col < columns && index < rows.length; col++) {
+      const x = PDF_MARGIN + col * PDF_TABLE_COLUMN;
+      for (let line = 0; line < perColumn && index < rows.length; line++, index++) {
+        const row = rows[index];
+        const rowY = top + (line + 1) * PDF_TABLE_LINE;
+
+        doc.setTextColor("#4c8bf5");
+        doc.text(String(row.number), x + 18, rowY, { align: "right" });
+
+        doc.setTextColor(row.muted ? "#8892a4" : "#222222");
+        // Cut long legend lists to the column's width
+        doc.text(doc.splitTextToSize(row.text, PDF_TABLE_COLUMN - 30)[0], x + 24, rowY);
+      }
+    }
+
+    top = layout.pageH; // anything left over starts a new page
+  }
+}
@@ -0,0 +1,937 @@
+// ============================================================
+// firmware.js
+//
+// Responsible for turning the layout into keyboard firmware
+// source: the layer stack (`layers` plus each key's
+// `layers[name].text` and state — see layers.js) is effectively a
+// keymap.
+//
+//   - Physical key order: the order keys are listed in a
+//     firmware LAYOUT(...) macro. Stored on each key as
+//     `key.order` (0-based); inferred from the key positions
+//     (row by row, left to right) and editable in the panel.
+//   - Switch matrix: each key's electrical row / column, stored
+//     as `key.matrix`; inferred from the key positions and
+//     checked for duplicates and gaps.
+//   - Label → keycode: key labels as people type them ("A",
+//     "Ctrl", "PgUp", "MO(1)") are mapped onto keycodes. Labels
+//     that can't be mapped are collected, not silently dropped.
+//     Keycodes read from VIA / Vial keymaps are turned back into
+//     labels the same way round.
+//   - QMK export: keymap.json (for QMK Configurator / `qmk
+//     json2c`) and keymap.c with one LAYOUT(...) per layer.
+//   - ZMK export: a .keymap with one `bindings` block per layer
+//     and a physical layout node built from the key geometry.
+// ============================================================
+
+
+// ── Label → key name table ────────────────────────────────────
+// Maps a lowercased label to a key name. Key names are QMK's
+// short basic keycodes without the "KC_" prefix (so "A" is KC_A);
+// other firmwares translate from these. Letters, digits and F-keys
+// are added in a loop below the table.
+const KEY_NAME_ALIASES = {
+  // Editing and whitespace
+  "esc": "ESC", "escape": "ESC",
+  "tab": "TAB",
+  "enter": "ENT", "ent": "ENT", "return": "ENT", "ret": "ENT", "⏎": "ENT", "↵": "ENT",
+  "space": "SPC", "spc": "SPC", "spacebar": "SPC", "␣": "SPC",
+  "backspace": "BSPC", "bksp": "BSPC", "bspc": "BSPC", "bs": "BSPC", "⌫": "BSPC",
+  "delete": "DEL", "del": "DEL", "⌦": "DEL",
+  "insert": "INS", "ins": "INS",
+  "caps": "CAPS", "caps lock": "CAPS", "capslock": "CAPS", "⇪": "CAPS",
+
+  // Navigation
+  "home": "HOME", "end": "END",
+  "page up": "PGUP", "pgup": "PGUP", "pg up": "PGUP", "pageup": "PGUP",
+  "page down": "PGDN", "pgdn": "PGDN", "pg dn": "PGDN", "pagedown": "PGDN",
+  "up": "UP", "↑": "UP", "down": "DOWN", "↓": "DOWN",
+  "left": "LEFT", "←": "LEFT", "right": "RGHT", "→": "RGHT",
+
+  // Modifiers (a bare "Shift" / "Ctrl" / ... means the left one)
+  "shift": "LSFT", "lshift": "LSFT", "lshft": "LSFT", "lsft": "LSFT", "⇧": "LSFT",
+  "rshift": "RSFT", "rshft": "RSFT", "rsft": "RSFT",
+  "ctrl": "LCTL", "control": "LCTL", "lctrl": "LCTL", "lctl": "LCTL", "⌃": "LCTL",
+  "rctrl": "RCTL", "rctl": "RCTL",
+  "alt": "LALT", "lalt": "LALT", "option": "LALT", "opt": "LALT", "⌥": "LALT",
+  "ralt": "RALT", "altgr": "RALT", "alt gr": "RALT",
+  "gui": "LGUI", "lgui": "LGUI", "win": "LGUI", "windows": "LGUI", "super": "LGUI",
+  "meta": "LGUI", "cmd": "LGUI", "command": "LGUI", "⌘": "LGUI",
+  "rgui": "RGUI", "rwin": "RGUI", "rcmd": "RGUI",
+  "menu": "APP", "app": "APP", "apps": "APP",
+
+  // System
+  "print screen": "PSCR", "prtsc": "PSCR", "prt sc": "PSCR", "prtscn": "PSCR", "psc": "PSCR", "print": "PSCR",
+  "scroll lock": "SCRL", "scrlk": "SCRL", "scroll": "SCRL",
+  "pause": "PAUS", "break": "PAUS", "pause break": "PAUS",
+  "num lock": "NUM", "numlock": "NUM", "numlk": "NUM",
+
+  // Media
+  "mute": "MUTE", "vol+": "VOLU", "vol up": "VOLU", "volume up": "VOLU",
+  "vol-": "VOLD", "vol down": "VOLD", "volume down": "VOLD",
+  "play": "MPLY", "play/pause": "MPLY", "next": "MNXT", "prev": "MPRV", "previous": "MPRV",
+  "stop": "MSTP", "bri+": "BRIU", "bri-": "BRID",
+
+  // Unshifted punctuation
+  "-": "MINS", "=": "EQL", "[": "LBRC", "]": "RBRC", "\\": "BSLS",
+  ";": "SCLN", "'": "QUOT", "`": "GRV", ",": "COMM", ".": "DOT", "/": "SLSH",
+
+  // Shifted punctuation (QMK has a keycode for each)
+  "!": "EXLM", "@": "AT", "#": "HASH", "$": "DLR", "%": "PERC", "^": "CIRC",
+  "&": "AMPR", "*": "ASTR", "(": "LPRN", ")": "RPRN", "_": "UNDS", "+": "PLUS",
+  "{": "LCBR", "}": "RCBR", "|": "PIPE", ":": "COLN", "\"": "DQUO", "~": "TILD",
+  "<": "LT", ">": "GT", "?": "QUES",
+
+  // Transparent / no-op
+  "trns": "TRNS", "trans": "TRNS", "▽": "TRNS",
+  "no": "NO", "xxx": "NO", "none": "NO"
+};
+
+// Letters, digits and F1–F24
+for (let c = 0; c < 26; c++) {
+  const letter = String.fromCharCode(65 + c);
+  KEY_NAME_ALIASES[letter.toLowerCase()] = letter;
+}
+for (let d = 0; d <= 9; d++) KEY_NAME_ALIASES[String(d)] = String(d);
+for (let f = 1; f <= 24; f++) KEY_NAME_ALIASES["f" + f] = "F" + f;
+
+// Labels that name firmware actions rather than keys, mapped
+// straight to their QMK keycode
+const QMK_SPECIAL_LABELS = {
+  "reset": "QK_BOOT", "boot": "QK_BOOT", "bootloader": "QK_BOOT",
+  "rgb": "RGB_TOG", "rgb tog": "RGB_TOG"
+};
+
+
+// ── Physical key order ────────────────────────────────────────
+
+
+// inferKeyRows(keys)
+// ------------------
+// Groups keys into physical rows, each sorted left to right, and
+// returns the rows top to bottom: [[key, key, ...], ...].
+//
+// Keys are swept left to right; each one joins the row whose last
+// key sits just to its left (edges at most 0.6u apart) at a
+// similar height (centres within 0.6u), preferring the closest
+// height. Following a row key by key like this keeps
+// column-staggered rows together even when the two ends are at
+// quite different heights.
+//
+// Split boards (keys with a `half`) are grouped one half at a
+// time, then interleaved — left row 1, right row 1, left row 2,
+// ... — which is how split keyboards list keys in QMK.
+function inferKeyRows(keys) {
+  if (!keys.some(k => k.half)) return sweepKeyRows(keys);
+
+  const left  = sweepKeyRows(keys.filter(k => k.half === "left"));
+  const right = sweepKeyRows(keys.filter(k => k.half === "right"));
+  const rows  = [];
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if (left[i])  rows.push(left[i]);
+    if (right[i]) rows.push(right[i]);
+  }
+
+  // Keys added since the import that aren't in either half
+  return [...rows, ...sweepKeyRows(keys.filter(k => !k.half))];
+}
+
+
+// sweepKeyRows(keys)
+// ------------------
+// The left-to-right sweep behind inferKeyRows(), for one group
+// of keys.
+function sweepKeyRows(keys) {
+  const U    = PX_PER_U; // parser.js
+  const rows = [];
+
+  [...keys]
+    .sort((a, b) => (a.x - a.width / 2) - (b.x - b.width / 2))
+    .forEach(key => {
+      let best   = null;
+      let bestDy = Infinity;
+
+      rows.forEach(row => {
+        const last = row[row.length - 1];
+        const gap  = (key.x - key.width / 2) - (last.x + last.width / 2);
+        const dy   = Math.abs(key.y - last.y);
+        if (gap > -0.3 * U && gap < 0.6 * U && dy < 0.6 * U && dy < bestDy) {
+          best   = row;
+          bestDy = dy;
+        }
+      });
+
+      if (best) best.push(key);
+      else rows.push([key]);
+    });
+
+  // Top to bottom by average height
+  const meanY = row => row.reduce((sum, k) => sum + k.y, 0) / row.length;
+  return rows.sort((a, b) => meanY(a) - meanY(b));
+}
+
+
+// inferKeyOrder(keys)
+// -------------------
+// Sets `order` on every key from inferKeyRows(): row by row, left
+// to right.
+function inferKeyOrder(keys) {
+  inferKeyRows(keys).flat().forEach((key, i) => key.order = i);
+}
+
+
+// getOrderedKeys(keys)
+// --------------------
+// Returns the keys sorted by `order`, first making sure every key
+// has one. If no key has an order yet, it's inferred. Keys added
+// since (e.g. promoted from the import report) go on the end, in
+// inferred order, so an order the user edited isn't thrown away.
+// Orders are renumbered 0, 1, 2, ... without gaps.
+function getOrderedKeys(keys) {
+  const ordered   = keys.filter(k => Number.isFinite(k.order)).sort((a, b) => a.order - b.order);
+  const unordered = keys.filter(k => !Number.isFinite(k.order));
+
+  if (!ordered.length) {
+    inferKeyOrder(keys);
+    return [...keys].sort((a, b) => a.order - b.order);
+  }
+
+  const all = [...ordered, ...inferKeyRows(unordered).flat()];
+  all.forEach((key, i) => key.order = i);
+  return all;
+}
+
+
+// moveKeyInOrder(keys, key, index)
+// --------------------------------
+// Moves one key to position `index` (0-based) in the physical
+// order, shifting the keys in between along by one.
+function moveKeyInOrder(keys, key, index) {
+  const ordered = getOrderedKeys(keys).filter(k => k !== key);
+  const clamped = Math.max(0, Math.min(index, ordered.length));
+  ordered.splice(clamped, 0, key);
+  ordered.forEach((k, i) => k.order = i);
+}
+
+
+// ── Switch matrix ────────────────────────────────────────────
+// Where each key sits in the electrical row / column matrix,
+// stored on the key as `key.matrix` = { row, col } (0-based).
+// VIA / Vial definitions carry it (see via.js); otherwise it's
+// inferred here and corrected by hand in the panel.
+
+
+// inferMatrix(keys)
+// -----------------
+// Sets `matrix` on every key from the key positions, and returns
+// the matrix size { rows, cols }.
+//
+// Rows come from the same sweep as the physical order
+// (sweepKeyRows), so column-staggered rows stay together. A board
+// (or half) that is turned as a whole is turned back first, using
+// its most common key angle; keys at a clearly different angle —
+// usually a fanned thumb cluster — get rows of their own below
+// the rest.
+//
+// Columns are lined up against the row with the most keys: each
+// key takes the column whose key in that row is nearest in x,
+// moving right if the column is already used by the key before it.
+//
+// Split boards are done one half at a time: the right half's rows
+// follow the left half's, and both number their columns from 0
+// (the usual layout for split keyboards in QMK).
+function inferMatrix(keys) {
+  const groups = keys.some(k => k.half)
+    ? [keys.filter(k => k.half === "left"), keys.filter(k => k.half === "right"), keys.filter(k => !k.half)]
+    : [keys];
+
+  let rows = 0;
+  let cols = 0;
+
+  groups.filter(group => group.length).forEach(group => {
+    const groupRows = inferMatrixRows(group);
+    const reference = groupRows.reduce((a, b) => (b.length > a.length ? b : a));
+
+    groupRows.forEach((row, r) => {
+      let prev = -1;
+      row.forEach(p => {
+        // Near-ties (row stagger puts keys half-way between two
+        // columns) go to the left one
+        let nearest = 0;
+        reference.forEach((q, i) => {
+          if (Math.abs(q.x - p.x) < Math.abs(reference[nearest].x - p.x) - 0.1 * PX_PER_U) nearest = i;
+        });
+        const col = Math.max(nearest, prev + 1);
+        p.key.matrix = { row: rows + r, col };
+        cols = Math.max(cols, col + 1);
+        prev = col;
+      });
+    });
+
+    rows += groupRows.length;
+  });
+
+  return { rows, cols };
+}
+
+
+// inferMatrixRows(keys)
+// ---------------------
+// The rows for inferMatrix(), top to bottom and left to right, for
+// one group of keys. Each entry is { key, x, y, width, height } with
+// the position turned back by the group's angle.
+function inferMatrixRows(keys) {
+  const angles = keys.map(k => k.rotation || 0).sort((a, b) => a - b);
+  const angle  = angles[Math.floor(angles.length / 2)];
+  const cx     = keys.reduce((sum, k) => sum + k.x, 0) / keys.length;
+  const cy     = keys.reduce((sum, k) => sum + k.y, 0) / keys.length;
+
+  const proxies = keys.map(key => {
+    const p = rotatePoint(key.x, key.y, cx, cy, -angle); // parser.js
+    return { key, x: p.x, y: p.y, width: key.width, height: key.height };
+  });
+
+  const offAngle = p => Math.abs((p.key.rotation || 0) - angle) > 5;
+  return [
+    ...sweepKeyRows(proxies.filter(p => !offAngle(p))),
+    ...sweepKeyRows(proxies.filter(offAngle))
+  ];
+}
+
+
+// checkMatrix(keys)
+// -----------------
+// Looks for mistakes in the matrix positions. Returns:
+//   {
+//     size:       { rows, cols } — big enough for every position used
+//     duplicates: Set of ids of keys sharing a position with another
+//     unassigned: keys with no position
+//     emptyRows:  row numbers inside the matrix with no keys at all
+//     emptyCols:  the same for columns
+//   }
+// Empty rows and columns aren't always wrong (a definition can
+// leave gaps), but usually mean a typo.
+function checkMatrix(keys) {
+  const assigned = keys.filter(k => k.matrix);
+  const byPos    = new Map();
+  assigned.forEach(k => {
+    const pos = `${k.matrix.row},${k.matrix.col}`;
+    byPos.set(pos, [...(byPos.get(pos) || []), k]);
+  });
+
+  const duplicates = new Set();
+  byPos.forEach(group => {
+    if (group.length > 1) group.forEach(k => duplicates.add(k.id));
+  });
+
+  const size = {
+    rows: Math.max(0, ...assigned.map(k => k.matrix.row + 1)),
+    cols: Math.max(0, ...assigned.map(k => k.matrix.col + 1))
+  };
+  const usedRows = new Set(assigned.map(k => k.matrix.row));
+  const usedCols = new Set(assigned.map(k => k.matrix.col));
+  const range    = n => Array.from({ length: n }, (_, i) => i);
+
+  return {
+    size,
+    duplicates,
+    unassigned: keys.filter(k => !k.matrix),
+    emptyRows:  range(size.rows).filter(r => !usedRows.has(r)),
+    emptyCols:  range(size.cols).filter(c => !usedCols.has(c))
+  };
+}
+
+
+// ── Label → keycode ──────────────────────────────────────────
+
+
+// labelToKeyName(text)
+// --------------------
+// Looks a label up in KEY_NAME_ALIASES. Case and surrounding
+// spaces are ignored. Returns the key name, or null if unknown.
+function labelToKeyName(text) {
+  const label = text.trim().toLowerCase().replace(/\s+/g, " ");
+  return KEY_NAME_ALIASES[label] || null;
+}
+
+
+// labelToQMK(text, context)
+// -------------------------
+// Maps one key label onto a QMK keycode. Returns the keycode, or
+// null if the label can't be mapped.
+//
+// context:
+//   isBase     — true on the first layer: a blank label there is
+//                KC_NO (nothing), on other layers KC_TRNS (fall
+//                through to the layer below)
+//   layerNames — all layer names, so a label naming a layer
+//                ("Fn", "Nav") becomes MO() of that layer
+//   layerRef   — index → how to refer to that layer in the output
+//                (a number for keymap.json, an enum name for C)
+//
+// Labels that are already QMK keycodes ("KC_MUTE", "LT(1, KC_SPC)",
+// "QK_BOOT", "LCTL(KC_C)") are passed through unchanged.
+function labelToQMK(text, context) {
+  const label = (text || "").trim();
+  if (!label) return context.isBase ? "KC_NO" : "KC_TRNS";
+
+  const name = labelToKeyName(label);
+  if (name) return "KC_" + name;
+
+  const lower = label.toLowerCase();
+  if (QMK_SPECIAL_LABELS[lower]) return QMK_SPECIAL_LABELS[lower];
+
+  // A layer's name: hold for that layer
+  const layerIndex = context.layerNames.findIndex(n => n.toLowerCase() === lower);
+  if (layerIndex > 0) return `MO(${context.layerRef(layerIndex)})`;
+
+  // Already a keycode: an upper-case name with an underscore
+  // (KC_MUTE, QK_BOOT), or a function-style keycode (MO(1))
+  if (/^[A-Z][A-Z0-9]*_[A-Z0-9_]*$/.test(label) || /^[A-Z][A-Z0-9_]*\(.*\)$/.test(label)) {
+    return label;
+  }
+
+  return null;
+}
+
+
+// ── Keycode → label ──────────────────────────────────────────
+// The other way round, for keymaps that come from firmware (VIA /
+// Vial backups, see via.js).
+
+// QMK's long keycode spellings (older QMK, Vial) → the short key
+// names used above
+const QMK_LONG_NAMES = {
+  ENTER: "ENT", ESCAPE: "ESC", BSPACE: "BSPC", BACKSPACE: "BSPC", SPACE: "SPC",
+  DELETE: "DEL", INSERT: "INS", CAPSLOCK: "CAPS", CAPS_LOCK: "CAPS", LCAP: "CAPS",
+  PGDOWN: "PGDN", PAGE_DOWN: "PGDN", PAGE_UP: "PGUP", RIGHT: "RGHT",
+  LSHIFT: "LSFT", LEFT_SHIFT: "LSFT", RSHIFT: "RSFT", RIGHT_SHIFT: "RSFT",
+  LCTRL: "LCTL", LEFT_CTRL: "LCTL", RCTRL: "RCTL", RIGHT_CTRL: "RCTL",
+  LEFT_ALT: "LALT", RIGHT_ALT: "RALT", ALGR: "RALT",
+  LEFT_GUI: "LGUI", RIGHT_GUI: "RGUI", LCMD: "LGUI", RCMD: "RGUI", LWIN: "LGUI", RWIN: "RGUI",
+  APPLICATION: "APP", PSCREEN: "PSCR", PRINT_SCREEN: "PSCR",
+  SCROLLLOCK: "SCRL", SCROLL_LOCK: "SCRL", SLCK: "SCRL", PAUSE: "PAUS", BRK: "PAUS",
+  NUMLOCK: "NUM", NUM_LOCK: "NUM", NLCK: "NUM",
+  AUDIO_MUTE: "MUTE", AUDIO_VOL_UP: "VOLU", AUDIO_VOL_DOWN: "VOLD",
+  MEDIA_PLAY_PAUSE: "MPLY", MEDIA_NEXT_TRACK: "MNXT", MEDIA_PREV_TRACK: "MPRV",
+  MEDIA_STOP: "MSTP", BRIGHTNESS_UP: "BRIU", BRIGHTNESS_DOWN: "BRID",
+  MINUS: "MINS", EQUAL: "EQL", LBRACKET: "LBRC", LEFT_BRACKET: "LBRC",
+  RBRACKET: "RBRC", RIGHT_BRACKET: "RBRC", BSLASH: "BSLS", BACKSLASH: "BSLS",
+  SCOLON: "SCLN", SEMICOLON: "SCLN", QUOTE: "QUOT", GRAVE: "GRV", COMMA: "COMM",
+  SLASH: "SLSH", EXCLAIM: "EXLM", DOLLAR: "DLR", PERCENT: "PERC", CIRCUMFLEX: "CIRC",
+  AMPERSAND: "AMPR", ASTERISK: "ASTR", LEFT_PAREN: "LPRN", RIGHT_PAREN: "RPRN",
+  UNDERSCORE: "UNDS", LEFT_CURLY_BRACE: "LCBR", RIGHT_CURLY_BRACE: "RCBR",
+  COLON: "COLN", DOUBLE_QUOTE: "DQUO", TILDE: "TILD", QUESTION: "QUES",
+  LEFT_ANGLE_BRACKET: "LT", RIGHT_ANGLE_BRACKET: "GT", TRANSPARENT: "TRNS"
+};
+
+// The label to show for a key name, where it isn't simply the
+// name's first alias in capitals ("A", "F5", "-", "!"). Every one
+// of these is itself an alias, so it maps back to the same key.
+const KEY_LABELS = {
+  ESC: "Esc", TAB: "Tab", ENT: "Enter", SPC: "Space", BSPC: "Bksp", DEL: "Del",
+  INS: "Ins", CAPS: "Caps", HOME: "Home", END: "End", PGUP: "PgUp", PGDN: "PgDn",
+  UP: "↑", DOWN: "↓", LEFT: "←", RGHT: "→",
+  LSFT: "Shift", RSFT: "RShift", LCTL: "Ctrl", RCTL: "RCtrl", LALT: "Alt",
+  RALT: "AltGr", LGUI: "Gui", RGUI: "RGui", APP: "Menu",
+  PSCR: "PrtSc", SCRL: "ScrLk", PAUS: "Pause", NUM: "NumLk",
+  MUTE: "Mute", VOLU: "Vol+", VOLD: "Vol-", MPLY: "Play", MNXT: "Next",
+  MPRV: "Prev", MSTP: "Stop", BRIU: "Bri+", BRID: "Bri-", NO: "XXX"
+};
+
+
+// qmkToLabel(keycode, context)
+// ----------------------------
+// Turns a QMK keycode into a readable key label that labelToQMK()
+// maps back to the same keycode: "KC_A" → "A", "KC_LSHIFT" →
+// "Shift", "MO(1)" → that layer's name. Keycodes with no simpler
+// label ("LT(1,KC_SPC)", "RGB_MOD") are kept as they are.
+//
+// context:
+//   isBase     — true on the first layer. Transparent keys (and
+//                empty / -1 matrix slots) become a blank label;
+//                KC_NO is blank on the base layer too, but "XXX"
+//                elsewhere, since blank there means transparent.
+//   layerNames — all layer names, for MO(n)
+function qmkToLabel(keycode, context) {
+  if (keycode == null || keycode === -1 || keycode === "") return "";
+  const code = String(keycode).trim();
+
+  let name = null;
+  if (code === "_______") name = "TRNS";
+  else if (code === "XXXXXXX") name = "NO";
+  else {
+    const match = /^KC_([A-Z0-9_]+)$/.exec(code);
+    if (match) name = QMK_LONG_NAMES[match[1]] || match[1];
+  }
+
+  if (name === "TRNS") return "";
+  if (name === "NO")   return context.isBase ? "" : KEY_LABELS.NO;
+  if (name) {
+    if (KEY_LABELS[name]) return KEY_LABELS[name];
+    const alias = Object.keys(KEY_NAME_ALIASES).find(a => KEY_NAME_ALIASES[a] === name);
+    if (alias) return alias.toUpperCase();
+  }
+
+  const layer = /^MO\((\d+)\)$/.exec(code);
+  if (layer && +layer[1] > 0 && context.layerNames[+layer[1]]) return context.layerNames[+layer[1]];
+
+  if (code === "QK_BOOT" || code === "RESET") return "Boot";
+
+  return code;
+}
+
+
+// qmkKeyState(keycode)
+// --------------------
+// The key state (see layers.js) a keycode stands for: "trans" for
+// KC_TRNS, "none" for KC_NO and empty (-1) matrix slots, otherwise
+// "defined".
+function qmkKeyState(keycode) {
+  if (keycode == null || keycode === -1 || keycode === "") return "none";
+  const code = String(keycode).trim();
+  if (/^(KC_TRNS|KC_TRANSPARENT|_______)$/.test(code)) return "trans";
+  if (/^(KC_NO|XXXXXXX)$/.test(code)) return "none";
+  return "defined";
+}
+
+
+// ── Key states ───────────────────────────────────────────────
+
+
+// getKeyBinding(key, layerName, layerNames, layerSettings)
+// --------------------------------------------------------
+// What a key does on a layer, from its state (see layers.js):
+//   { kind: "trans" }        — falls through (KC_TRNS / &trans)
+//   { kind: "none" }         — does nothing (KC_NO / &none)
+//   { kind: "label", text }  — the label to map onto a keycode
+// Firmware falls through to whichever layers below are switched
+// on — in practice the base layer, the first of `layerNames`. So a
+// transparent key only stays transparent if it inherits from there
+// (or from nothing); one that inherits from another layer is
+// written out as the key it inherits. A defined key with a blank
+// label, and anything transparent on the base layer, does nothing.
+function getKeyBinding(key, layerName, layerNames, layerSettings) {
+  const { state, source, data } = resolveKeyLayer(key, layerName, layerSettings || {});
+
+  if (state === "trans" && layerName !== layerNames[0] && (!source || source === layerNames[0])) {
+    return { kind: "trans" };
+  }
+  if (!data || getKeyState(data) !== "defined" || !data.text.trim()) return { kind: "none" };
+  return { kind: "label", text: data.text };
+}
+
+
+// ── QMK export ───────────────────────────────────────────────
+
+
+// buildQMKKeymap(keys, layerNames, options)
+// -----------------------------------------
+// Maps every layer of every key onto QMK keycodes, in physical key
+// order. `options.layerSettings` are the layer parents, for
+// transparent keys (see getKeyBinding). Returns:
+//   {
+//     ordered,   the keys in LAYOUT order
+//     layers:    [[keycode, ...], ...]  one array per layer, with
+//                numeric layer references (for keymap.json)
+//     cLayers:   the same with enum layer references (for keymap.c)
+//     unmapped:  [{ layer, index, text }, ...] labels that couldn't
+//                be mapped — these are KC_NO in the output
+//   }
+function buildQMKKeymap(keys, layerNames, options = {}) {
+  const ordered  = getOrderedKeys(keys);
+  const unmapped = [];
+
+  const mapLayers = (layerRef, collect) => layerNames.map((layer, layerIndex) =>
+    ordered.map((key, index) => {
+      const binding = getKeyBinding(key, layer, layerNames, options.layerSettings);
+      if (binding.kind === "trans") return "KC_TRNS";
+      if (binding.kind === "none")  return "KC_NO";
+
+      const text    = binding.text;
+      const keycode = labelToQMK(text, { isBase: layerIndex === 0, layerNames, layerRef });
+      if (keycode) return keycode;
+      if (collect) unmapped.push({ layer, index, text });
+      return "KC_NO";
+    })
+  );
+
+  return {
+    ordered,
+    layers:  mapLayers(i => i, true),
+    cLayers: mapLayers(i => qmkLayerEnum(layerNames[i]), false),
+    unmapped
+  };
+}
+
+
+// qmkLayerEnum(name)
+// ------------------
+// C enum name for a layer: "base" → "_BASE", "my fn" → "_MY_FN".
+function qmkLayerEnum(name) {
+  return "_" + name.toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+
+// exportQMKKeymapJSON(keys, layerNames, options)
+// ----------------------------------------------
+// Builds the text of a QMK keymap.json, as used by QMK
+// Configurator and `qmk json2c`.
+//
+// options: { keyboard, keymap, layout } — the QMK keyboard name,
+// keymap name and LAYOUT macro name — plus `layerSettings` as for
+// buildQMKKeymap().
+function exportQMKKeymapJSON(keys, layerNames, options) {
+  const { layers } = buildQMKKeymap(keys, layerNames, options);
+
+  return JSON.stringify({
+    version:  1,
+    notes:    "Exported from Keyboard Layout Maker",
+    keyboard: options.keyboard,
+    keymap:   options.keymap,
+    layout:   options.layout,
+    layers,
+    author:   ""
+  }, null, 2);
+}
+
+
+// exportQMKKeymapC(keys, layerNames, options)
+// -------------------------------------------
+// Builds the text of a QMK keymap.c: a layer enum and one
+// LAYOUT(...) per layer, with one line of keycodes per physical
+// row so the source looks like the board. Unmapped labels are
+// written as KC_NO with the original label in a comment.
+//
+// options: as for exportQMKKeymapJSON().
+function exportQMKKeymapC(keys, layerNames, options) {
+  const { ordered, cLayers, unmapped } = buildQMKKeymap(keys, layerNames, options);
+
+  // A new line starts wherever the order wraps back to the left
+  const breaks = new Set();
+  ordered.forEach((key, i) => {
+    if (i > 0 && key.x < ordered[i - 1].x) breaks.add(i);
+  });
+
+  // Pad every keycode to the widest one so the columns line up
+  const width = Math.max(...cLayers.flat().map(k => k.length)) + 1;
+
+  const layerBlocks = cLayers.map((codes, layerIndex) => {
+    const layer = layerNames[layerIndex];
+    const lines = [];
+    let   line  = "";
+
+    codes.forEach((code, i) => {
+      if (breaks.has(i)) {
+        lines.push(line.trimEnd());
+        line = "";
+      }
+      const missing = unmapped.find(u => u.layer === layer && u.index === i);
+      const comment = missing ? `/* ${missing.text.replace(/\*\//g, "* /")} */ ` : "";
+      const comma   = i < codes.length - 1 ? "," : "";
+      line += comment + (code + comma).padEnd(width) + " ";
+    });
+    lines.push(line.trimEnd());
+
+    return `    [${qmkLayerEnum(layer)}] = ${options.layout}(\n` +
+      lines.map(l => "        " + l).join("\n") +
+      "\n    )";
+  });
+
+  return [
+    "// keymap.c — exported from Keyboard Layout Maker",
+    `// Keyboard: ${options.keyboard}`,
+    "",
+    "#include QMK_KEYBOARD_H",
+    "",
+    "enum layers {",
+    ...layerNames.map(name => `    ${qmkLayerEnum(name)},`),
+    "};",
+    "",
+    "const uint16_t PROGMEM keymaps[][MATRIX_ROWS][MATRIX_COLS] = {",
+    layerBlocks.join(",\n\n"),
+    "};",
+    ""
+  ].join("\n");
+}
+
+
+// ── ZMK export ───────────────────────────────────────────────
+
+// Key names (see KEY_NAME_ALIASES) whose ZMK name is different.
+// Everything else — letters, F-keys, ESC, TAB, HOME, ... — is
+// spelled the same in both.
+const ZMK_KEY_NAMES = {
+  "0": "N0", "1": "N1", "2": "N2", "3": "N3", "4": "N4",
+  "5": "N5", "6": "N6", "7": "N7", "8": "N8", "9": "N9",
+  ENT: "RET", SPC: "SPACE", PGUP: "PG_UP", PGDN: "PG_DN", RGHT: "RIGHT",
+  LSFT: "LSHFT", RSFT: "RSHFT", LCTL: "LCTRL", RCTL: "RCTRL",
+  APP: "K_APP", PSCR: "PSCRN", SCRL: "SLCK", PAUS: "PAUSE_BREAK", NUM: "KP_NUM",
+  MUTE: "C_MUTE", VOLU: "C_VOL_UP", VOLD: "C_VOL_DN", MPLY: "C_PP",
+  MNXT: "C_NEXT", MPRV: "C_PREV", MSTP: "C_STOP", BRIU: "C_BRI_UP", BRID: "C_BRI_DN",
+  MINS: "MINUS", EQL: "EQUAL", LBRC: "LBKT", RBRC: "RBKT", BSLS: "BSLH",
+  SCLN: "SEMI", QUOT: "SQT", GRV: "GRAVE", COMM: "COMMA", SLSH: "FSLH",
+  EXLM: "EXCL", DLR: "DLLR", PERC: "PRCNT", CIRC: "CARET", AMPR: "AMPS",
+  ASTR: "STAR", LPRN: "LPAR", RPRN: "RPAR", UNDS: "UNDER", LCBR: "LBRC",
+  RCBR: "RBRC", COLN: "COLON", DQUO: "DQT", TILD: "TILDE", QUES: "QMARK"
+};
+
+// Labels that name firmware actions rather than keys, mapped
+// straight to a ZMK behaviour
+const ZMK_SPECIAL_LABELS = {
+  "reset": "&bootloader", "boot": "&bootloader", "bootloader": "&bootloader"
+};
+
+
+// labelToZMK(text, context)
+// -------------------------
+// Maps one key label onto a ZMK binding (&kp, &mo, &trans or
+// &none). Returns the binding, or null if the label can't be
+// mapped. `context` is the same as for labelToQMK().
+//
+// Labels that are already ZMK bindings ("&kp C_MUTE", "&lt 1 SPACE")
+// are passed through, and simple QMK keycodes ("KC_MUTE", "MO(1)")
+// are translated.
+function labelToZMK(text, context) {
+  const label = (text || "").trim();
+  if (!label) return context.isBase ? "&none" : "&trans";
+  if (label.startsWith("&")) return label;
+
+  const zmkKey = name => {
+    if (name === "TRNS") return "&trans";
+    if (name === "NO")   return "&none";
+    return "&kp " + (ZMK_KEY_NAMES[name] || name);
+  };
+
+  const name = labelToKeyName(label);
+  if (name) return zmkKey(name);
+
+  const lower = label.toLowerCase();
+  if (ZMK_SPECIAL_LABELS[lower]) return ZMK_SPECIAL_LABELS[lower];
+
+  const layerIndex = context.layerNames.findIndex(n => n.toLowerCase() === lower);
+  if (layerIndex > 0) return `&mo ${context.layerRef(layerIndex)}`;
+
+  // QMK spellings: KC_xxx with a known key name, and MO(n)
+  const qmkKey = /^KC_([A-Z0-9]+)$/.exec(label);
+  if (qmkKey && Object.values(KEY_NAME_ALIASES).includes(qmkKey[1])) return zmkKey(qmkKey[1]);
+
+  const qmkLayer = /^MO\((\d+)\)$/.exec(label);
+  if (qmkLayer && +qmkLayer[1] < context.layerNames.length) {
+    return `&mo ${context.layerRef(+qmkLayer[1])}`;
+  }
+
+  return null;
+}
+
+
+// zmkLayerDefine(name)
+// --------------------
+// #define name for a layer index: "base" → "LAYER_BASE".
+function zmkLayerDefine(name) {
+  return "LAYER_" + name.toUpperCase().replace(/[^A-Z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+
+// zmkNodeName(name)
+// -----------------
+// Devicetree node name for a layer: "My Fn" → "my_fn_layer".
+function zmkNodeName(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") + "_layer";
+}
+
+
+// buildZMKKeymap(keys, layerNames, options)
+// -----------------------------------------
+// Maps every layer of every key onto ZMK bindings, in physical key
+// order. Takes the same options and returns { ordered, layers,
+// unmapped } like buildQMKKeymap(); unmapped labels become &none.
+function buildZMKKeymap(keys, layerNames, options = {}) {
+  const ordered  = getOrderedKeys(keys);
+  const unmapped = [];
+  const layerRef = i => zmkLayerDefine(layerNames[i]);
+
+  const layers = layerNames.map((layer, layerIndex) =>
+    ordered.map((key, index) => {
+      const keyBinding = getKeyBinding(key, layer, layerNames, options.layerSettings);
+      if (keyBinding.kind === "trans") return "&trans";
+      if (keyBinding.kind === "none")  return "&none";
+
+      const text    = keyBinding.text;
+      const binding = labelToZMK(text, { isBase: layerIndex === 0, layerNames, layerRef });
+      if (binding) return binding;
+      unmapped.push({ layer, index, text });
+      return "&none";
+    })
+  );
+
+  return { ordered, layers, unmapped };
+}
+
+
+// zmkPhysicalAttrs(ordered)
+// -------------------------
+// Each key's geometry in ZMK's key_physical_attrs units:
+//   { w, h, x, y, r, rx, ry }
+// Sizes and positions are in hundredths of a key unit (1u = 100),
+// x / y being the top-left corner before rotation, with the layout
+// starting at 0,0. r is the rotation in hundredths of a degree
+// (clockwise, as in KLE), around rx / ry — the key's own centre.
+// As in the KLE export, our keycap sizes get the gap between
+// keycaps added back, so a 1u key is 100 × 100.
+function zmkPhysicalAttrs(ordered) {
+  const gap = KLE_KEYCAP_GAP_MM / KLE_PITCH_MM; // kle.js, in u
+
+  const items = ordered.map(key => {
+    const w = key.width  / PX_PER_U + gap;
+    const h = key.height / PX_PER_U + gap;
+    return { key, w, h, cx: key.x / PX_PER_U, cy: key.y / PX_PER_U };
+  });
+
+  const minX = Math.min(...items.map(it => it.cx - it.w / 2));
+  const minY = Math.min(...items.map(it => it.cy - it.h / 2));
+  const c    = v => Math.round(v * 100);
+
+  return items.map(it => {
+    const rotated = Math.abs(it.key.rotation || 0) > 0.01;
+    return {
+      w:  c(it.w),
+      h:  c(it.h),
+      x:  c(it.cx - it.w / 2 - minX),
+      y:  c(it.cy - it.h / 2 - minY),
+      r:  rotated ? c(it.key.rotation) : 0,
+      rx: rotated ? c(it.cx - minX) : 0,
+      ry: rotated ? c(it.cy - minY) : 0
+    };
+  });
+}
+
+
+// exportZMKKeymap(keys, layerNames, options)
+// ------------------------------------------
+// Builds the text of a ZMK .keymap file:
+//   - a physical layout node (compatible "zmk,physical-layout")
+//     with one &key_physical_attrs entry per key, so ZMK Studio and
+//     keymap-drawer see the real geometry
+//   - the keymap node, with one `bindings = <...>` per layer, one
+//     line per physical row
+//   - if every key has a matrix position, the matrix transform
+//     that maps each key onto it (RC(row, col))
+// All of them list the keys in the same (physical) order. Unmapped
+// labels are written as &none with the original label in a comment.
+//
+// options: { name } — the keyboard name, used in the physical
+// layout's node name and display name — plus `layerSettings` as
+// for buildQMKKeymap().
+function exportZMKKeymap(keys, layerNames, options) {
+  const { ordered, layers, unmapped } = buildZMKKeymap(keys, layerNames, options);
+  const attrs    = zmkPhysicalAttrs(ordered);
+  const nodeName = options.name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "") || "keyboard";
+
+  // A new line starts wherever the order wraps back to the left
+  const breaks = new Set();
+  ordered.forEach((key, i) => {
+    if (i > 0 && key.x < ordered[i - 1].x) breaks.add(i);
+  });
+
+  // ── Physical layout ────────────────────────────────────────
+  // Negative numbers need brackets in devicetree
+  const cell = v => " " + (v < 0 ? `(${v})` : String(v)).padStart(6);
+  const keyLines = attrs.map((a, i) =>
+    `            ${i === 0 ? "=" : ","} <&key_physical_attrs` +
+    [a.w, a.h, a.x, a.y, a.r, a.rx, a.ry].map(cell).join("") + ">"
+  );
+
+  // ── Matrix transform ───────────────────────────────────────
+  const hasMatrix = ordered.every(k => k.matrix);
+  let transform = [];
+  if (hasMatrix) {
+    const { size } = checkMatrix(ordered);
+    const lines    = [];
+    let   line     = "";
+    ordered.forEach((key, i) => {
+      if (breaks.has(i)) {
+        lines.push(line.trimEnd());
+        line = "";
+      }
+      line += `RC(${key.matrix.row},${key.matrix.col})`.padEnd(10);
+    });
+    lines.push(line.trimEnd());
+
+    transform = [
+      "    default_transform: keymap_transform_0 {",
+      '        compatible = "zmk,matrix-transform";',
+      `        rows = <${size.rows}>;`,
+      `        columns = <${size.cols}>;`,
+      "        map = <",
+      ...lines.map(l => "            " + l),
+      "        >;",
+      "    };",
+      ""
+    ];
+  }
+
+  // ── Keymap layers ──────────────────────────────────────────
+  const width = Math.max(...layers.flat().map(b => b.length)) + 1;
+
+  const layerNodes = layers.map((bindings, layerIndex) => {
+    const layer = layerNames[layerIndex];
+    const lines = [];
+    let   line  = "";
+
+    bindings.forEach((binding, i) => {
+      if (breaks.has(i)) {
+        lines.push(line.trimEnd());
+        line = "";
+      }
+      const missing = unmapped.find(u => u.layer === layer && u.index === i);
+      const comment = missing ? `/* ${missing.text.replace(/\*\//g, "* /")} */ ` : "";
+      line += comment + binding.padEnd(width) + " ";
+    });
+    lines.push(line.trimEnd());
+
+    return [
+      `        ${zmkNodeName(layer)} {`,
+      `            display-name = "${layer.replace(/"/g, "'")}";`,
+      "            bindings = <",
+      ...lines.map(l => "                " + l),
+      "            >;",
+      "        };"
+    ].join("\n");
+  });
+
+  return [
+    "/*",
+    ` * ${options.name} — exported from Keyboard Layout Maker`,
+    " */",
+    "",
+    "#include <behaviors.dtsi>",
+    "#include <physical_layouts.dtsi>",
+    "#include <dt-bindings/zmk/keys.h>",
+    ...(hasMatrix ? ["#include <dt-bindings/zmk/matrix_transform.h>"] : []),
+    "",
+    ...layerNames.map((name, i) => `#define ${zmkLayerDefine(name)} ${i}`),
+    "",
+    "/ {",
+    ...transform,
+    `    ${nodeName}_layout: ${nodeName}_layout {`,
+    '        compatible = "zmk,physical-layout";',
+    `        display-name = "${options.name.replace(/"/g, "'")}";`,
+    hasMatrix
+      ? "        transform = <&default_transform>;"
+      : "        // transform = <&default_transform>;  // add your board's matrix transform",
+    "",
+    "        keys  //                     w      h      x      y    rot     rx     ry",
+    ...keyLines,
+    "            ;",
+    "    };",
+    "",
+    "    keymap {",
+    '        compatible = "zmk,keymap";',
+    "",
+    layerNodes.join("\n\n"),
+    "    };",
+    "};",
+    ""
+  ].join("\n");
+}
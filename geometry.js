@@ -0,0 +1,178 @@
+// ============================================================
+// geometry.js
+//
+// Responsible for the maths of editing key geometry by hand on
+// the canvas (app.js's Edit Geometry mode): where dragged, nudged
+// and resized keys end up, and new keys.
+//
+// Keys are stored in canvas pixels (see parser.js: PX_PER_U px to
+// 1u, with the key grid starting CANVAS_MARGIN px in). Moves snap
+// to a grid in u — the left / top edge of what's moved lands on a
+// multiple of the step — and, more strongly, to the edges of keys
+// nearby, so a key dragged next to a row lines up with it.
+// ============================================================
+
+
+// How close (canvas px) an edge must come to another key's edge to
+// snap to it
+const SNAP_EDGE_PX = 6;
+
+// The smallest a key can be resized to, in u
+const MIN_KEY_U = 0.25;
+
+
+// snapToGrid(value, stepU)
+// ------------------------
+// Rounds a canvas x or y of a key edge to the nearest grid line,
+// stepU apart (in u). The grid lines up with the edges of 1u keys
+// in the first row and column. A step of 0 turns the grid off.
+function snapToGrid(value, stepU) {
+  if (!stepU) return value;
+  const step   = stepU * PX_PER_U;
+  const origin = CANVAS_MARGIN - PX_PER_U / 2;
+  return origin + Math.round((value - origin) / step) * step;
+}
+
+
+// getKeysExtents(keys)
+// --------------------
+// The bounding box { minX, maxX, minY, maxY } around several keys.
+function getKeysExtents(keys) {
+  const boxes = keys.map(getKeyExtents); // parser.js
+  return {
+    minX: Math.min(...boxes.map(b => b.minX)),
+    maxX: Math.max(...boxes.map(b => b.maxX)),
+    minY: Math.min(...boxes.map(b => b.minY)),
+    maxY: Math.max(...boxes.map(b => b.maxY))
+  };
+}
+
+
+// snapMove(moving, others, dx, dy, options)
+// -----------------------------------------
+// Snaps a move of the keys in `moving` by (dx, dy) px, and returns
+// the snapped { dx, dy }. `moving` are the keys as they were when
+// the move started; `others` the keys that stay put.
+//
+// options: {
+//   gridU  — the grid step in u (0 for no grid)
+//   edges  — whether to snap to the edges of `others`
+// }
+//
+// On each axis, an edge of the moved keys within SNAP_EDGE_PX of
+// an edge of a key nearby on the other axis lines up with it;
+// otherwise the leading edge snaps to the grid.
+function snapMove(moving, others, dx, dy, options) {
+  const box        = getKeysExtents(moving);
+  const neighbours = options.edges ? others.map(getKeyExtents) : []; // parser.js
+
+  // The snapped move along one axis ("X" or "Y"), given the move
+  // along the other one (`cross`)
+  const snapAxis = (axis, delta, cross) => {
+    const other = axis === "X" ? "Y" : "X";
+    let best = null;
+
+    neighbours.forEach(b => {
+      // Only keys level with the moved ones (within 1u) count
+      if (b["max" + other] < box["min" + other] + cross - PX_PER_U ||
+          b["min" + other] > box["max" + other] + cross + PX_PER_U) return;
+
+      [b["min" + axis], b["max" + axis]].forEach(edge => {
+        [box["min" + axis], box["max" + axis]].forEach(own => {
+          const shift = edge - own;
+          if (Math.abs(shift - delta) <= SNAP_EDGE_PX &&
+              (best === null || Math.abs(shift - delta) < Math.abs(best - delta))) {
+            best = shift;
+          }
+        });
+      });
+    });
+
+    if (best !== null) return best;
+    return snapToGrid(box["min" + axis] + delta, options.gridU) - box["min" + axis];
+  };
+
+  const sx = snapAxis("X", dx, dy);
+  const sy = snapAxis("Y", dy, sx);
+  return { dx: sx, dy: sy };
+}
+
+
+// resizeKey(start, handle, dx, dy, gridU)
+// ---------------------------------------
+// Where a key ends up when one of its resize handles is dragged
+// by (dx, dy) canvas px. `start` is the key as it was when the drag
+// started; `handle` names the sides the handle moves — "e", "nw",
+// ... The opposite sides stay put, also on a rotated key, whose
+// handles move along its own axes. The new size snaps to the grid
+// step, and is never less than MIN_KEY_U.
+// Returns { x, y, width, height }.
+function resizeKey(start, handle, dx, dy, gridU) {
+  const rad = (start.rotation || 0) * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+
+  // The drag along the key's own axes
+  const lx =  dx * cos + dy * sin;
+  const ly = -dx * sin + dy * cos;
+
+  const size = (from, delta, grow, shrink) => {
+    let value = from + (grow ? delta : shrink ? -delta : 0);
+    if (gridU) value = Math.round(value / (gridU * PX_PER_U)) * gridU * PX_PER_U;
+    return Math.max(value, MIN_KEY_U * PX_PER_U);
+  };
+  const width  = size(start.width,  lx, handle.includes("e"), handle.includes("w"));
+  const height = size(start.height, ly, handle.includes("s"), handle.includes("n"));
+
+  // The centre moves half the change, towards the dragged side
+  const cx = (width  - start.width)  / 2 * (handle.includes("e") ? 1 : handle.includes("w") ? -1 : 0);
+  const cy = (height - start.height) / 2 * (handle.includes("s") ? 1 : handle.includes("n") ? -1 : 0);
+
+  return {
+    x: start.x + cx * cos - cy * sin,
+    y: start.y + cx * sin + cy * cos,
+    width,
+    height
+  };
+}
+
+
+// makeNewKey(keys, near, layerNames)
+// ----------------------------------
+// A new 1u key, not yet added to `keys`: just right of the key
+// `near` if given, otherwise at the start of a row under all the
+// keys. Blank on every layer, and transparent on all but the first
+// (see layers.js).
+function makeNewKey(keys, near, layerNames) {
+  let x, y;
+  if (near) {
+    x = getKeyExtents(near).maxX + PX_PER_U / 2;
+    y = near.y;
+  } else if (keys.length) {
+    x = CANVAS_MARGIN;
+    y = getKeysExtents(keys).maxY + PX_PER_U / 2;
+  } else {
+    x = CANVAS_MARGIN;
+    y = CANVAS_MARGIN;
+  }
+
+  const key = {
+    id:       crypto.randomUUID(),
+    x, y,
+    width:    PX_PER_U,
+    height:   PX_PER_U,
+    rotation: near ? near.rotation || 0 : 0,
+    shape:    "rect",
+    half:     near ? near.half : undefined,
+    layers:   {}
+  };
+
+  layerNames.forEach((name, i) => {
+    key.layers[name] = {
+      text: "", bg: "#ffffff", color: "#000000", fontSize: 18,
+      state: i > 0 ? "trans" : "defined"
+    };
+  });
+
+  return key;
+}
@@ -0,0 +1,131 @@
+// ============================================================
+// history.js
+//
+// Responsible for undo / redo. History is kept as snapshots of
+// the whole board: just before every edit, app.js calls
+// recordEdit("what it's about to do"), which saves a copy of the
+// board as it is. Undo puts that copy back, keeping the current
+// board for redo.
+//
+// A snapshot is whatever captureState() returns, and goes back
+// through restoreState(). Both live in app.js, which owns the
+// board state (keys, layers, underlay, ...).
+//
+// One call to recordEdit() is one step, however many keys the
+// edit then touches — so Apply over 40 selected keys undoes in
+// one go. Runs of small edits to the same thing (typing a label
+// one letter at a time) pass the same `mergeKey` and are merged
+// into one step too.
+//
+// Every change to the history fires a "historyChanged" event on
+// document, so the Undo / Redo buttons and the History list can
+// update.
+// ============================================================
+
+
+// How many steps are kept; the oldest are dropped beyond this
+const HISTORY_LIMIT = 100;
+
+// Edits with the same mergeKey are only merged if they follow each
+// other within this many milliseconds
+const HISTORY_MERGE_MS = 1500;
+
+// undoStack: the steps that can be undone, oldest first. Each is
+//   { label, snapshot, mergeKey, time }
+// where `snapshot` is the board as it was *before* that step.
+// redoStack: undone steps, most recently undone last, each with
+// the board as it was *after* the step.
+let undoStack = [];
+let redoStack = [];
+
+
+// recordEdit(label, mergeKey)
+// ---------------------------
+// Call just before changing anything on the board. `label` says
+// what the change is ("Apply to 3 keys") and is shown in the
+// History list. Any undone steps can no longer be redone.
+//
+// mergeKey (optional) — a string naming what's being edited, e.g.
+// "text:<key id>:base". If the previous step had the same mergeKey
+// and was recorded moments ago, no new step is made: undo will
+// go back to before the first of the run.
+function recordEdit(label, mergeKey = null) {
+  const now = Date.now();
+  const top = undoStack[undoStack.length - 1];
+
+  redoStack = [];
+
+  if (mergeKey && top && top.mergeKey === mergeKey && now - top.time < HISTORY_MERGE_MS) {
+    top.time = now;
+  } else {
+    undoStack.push({ label, snapshot: captureState(), mergeKey, time: now });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  }
+
+  notifyHistoryChanged();
+}
+
+
+// undoEdit() / redoEdit()
+// -----------------------
+// Step one edit back or forward. Do nothing if there's nothing to
+// undo / redo.
+function undoEdit() {
+  goToHistoryStep(undoStack.length - 1);
+}
+
+function redoEdit() {
+  goToHistoryStep(undoStack.length + 1);
+}
+
+
+// goToHistoryStep(step)
+// ---------------------
+// Undoes or redoes as many edits as it takes for `step` edits to
+// be in effect (0 = before the first one still in the history).
+// The board is only restored — and re-rendered — once, at the end.
+function goToHistoryStep(step) {
+  const target = Math.max(0, Math.min(step, undoStack.length + redoStack.length));
+  if (target === undoStack.length) return;
+
+  // Walk the stacks, passing the board state along: each step
+  // moved keeps the state on the other side of it
+  let state = captureState();
+
+  while (undoStack.length > target) {
+    const entry = undoStack.pop();
+    redoStack.push({ ...entry, snapshot: state, mergeKey: null });
+    state = entry.snapshot;
+  }
+  while (undoStack.length < target) {
+    const entry = redoStack.pop();
+    undoStack.push({ ...entry, snapshot: state, mergeKey: null });
+    state = entry.snapshot;
+  }
+
+  restoreState(state);
+  notifyHistoryChanged();
+}
+
+
+// getHistory()
+// ------------
+// The step labels for the History list:
+//   { done: ["Import board.dxf", ...], undone: [...] }
+// `done` oldest first; `undone` in the order they'd be redone.
+function getHistory() {
+  return {
+    done:   undoStack.map(entry => entry.label),
+    undone: redoStack.map(entry => entry.label).reverse()
+  };
+}
+
+
+// notifyHistoryChanged()
+// ----------------------
+// Fires "historyChanged" with the undo / redo availability.
+function notifyHistoryChanged() {
+  document.dispatchEvent(new CustomEvent("historyChanged", {
+    detail: { canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 }
+  }));
+}
@@ -0,0 +1,575 @@
+// ============================================================
+// kle.js
+//
+// Responsible for reading layouts made in keyboard-layout-editor
+// (keyboard-layout-editor.com, "KLE") and converting them into the
+// same key objects parser.js makes from a DXF.
+//
+// A KLE layout is a JSON array of rows. Each row is an array of
+// keys (strings — the key's legends) and property objects that
+// change the keys after them: { x, y } to skip space, { w, h } for
+// the size of the next key, { r, rx, ry } to rotate a cluster, and
+// { c, t, a, f, ... } for colours, legend alignment and font size.
+// This file walks those rows the way KLE itself does, works out
+// where every key ends up, and turns each legend position into one
+// of our layers.
+// ============================================================
+
+
+// KLE legend positions, in KLE's own canonical order. Every key
+// has up to 12 legends: a 3×3 grid on the keycap top, plus three
+// on the front face.
+const KLE_LEGEND_NAMES = [
+  "top-left",    "top",    "top-right",
+  "left",        "center", "right",
+  "bottom-left", "bottom", "bottom-right",
+  "front-left",  "front",  "front-right"
+];
+
+// KLE stores a key's legends in a "\n"-separated string whose order
+// depends on the alignment flags (`a`) in force. This table, copied
+// from KLE's own serialiser, maps [alignment][index in the string]
+// to the canonical position above (-1: not used in that alignment).
+const KLE_LABEL_MAP = [
+  [ 0, 6, 2, 8, 9,11, 3, 5, 1, 4, 7,10], // 0 = no centering
+  [ 1, 7,-1,-1, 9,11, 4,-1,-1,-1,-1,10], // 1 = centre x
+  [ 3,-1, 5,-1, 9,11,-1,-1, 4,-1,-1,10], // 2 = centre y
+  [ 4,-1,-1,-1, 9,11,-1,-1,-1,-1,-1,10], // 3 = centre x & y
+  [ 0, 6, 2, 8,10,-1, 3, 5, 1, 4, 7,-1], // 4 = centre front (default)
+  [ 1, 7,-1,-1,10,-1, 4,-1,-1,-1,-1,-1], // 5 = centre front & x
+  [ 3,-1, 5,-1,10,-1,-1,-1, 4,-1,-1,-1], // 6 = centre front & y
+  [ 4,-1,-1,-1,10,-1,-1,-1,-1,-1,-1,-1]  // 7 = centre front & x & y
+];
+
+// KLE draws a 1u key as a 19.05 mm footprint with an 18 mm keycap
+// inside it. Imported keys get the keycap size, so neighbouring
+// keys have the same small gap between them as on a real board
+// (and as in a DXF drawn with keycap outlines).
+const KLE_PITCH_MM      = 19.05;
+const KLE_KEYCAP_GAP_MM = 1.05;
+
+// KLE font sizes are 1–9, with 3 as the default. Our default label
+// size (18px) corresponds to KLE's 3; the others scale from there
+// the way KLE's do (6px + 2px per step).
+const KLE_DEFAULT_FONT = 3;
+
+
+// parseKLEJSON(text)
+// ------------------
+// Parses KLE layout text. The downloaded .json file is plain JSON,
+// but the "Raw data" tab shows the rows without the enclosing
+// [ ] and with unquoted property names ({w:1.5} rather than
+// {"w":1.5}) — this fixes both up before parsing.
+function parseKLEJSON(text) {
+  // Quote bare property names, skipping over string contents so a
+  // legend like "a:b" is left alone
+  const name = /[A-Za-z_]\w*(?=\s*:)/y; // sticky: only matches at lastIndex
+  let out  = "";
+  let last = ""; // last non-space character copied to `out`
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (ch === '"') {
+      // Copy the whole string, including escaped quotes
+      let j = i + 1;
+      while (j < text.length && text[j] !== '"') j += text[j] === "\\" ? 2 : 1;
+      out += text.slice(i, j + 1);
+      last = '"';
+      i = j;
+      continue;
+    }
+
+    name.lastIndex = i;
+    const match = (last === "{" || last === ",") && name.exec(text);
+    if (match) {
+      out += `"${match[0]}"`;
+      last = '"';
+      i += match[0].length - 1;
+      continue;
+    }
+
+    out += ch;
+    if (!/\s/.test(ch)) last = ch;
+  }
+
+  // Raw data with more than one row isn't valid JSON until it's
+  // wrapped in [ ]
+  let rows;
+  try {
+    rows = JSON.parse(out);
+  } catch (err) {
+    rows = JSON.parse(`[${out}]`);
+  }
+
+  // ...and raw data with a single row parses as just that row
+  if (Array.isArray(rows) && rows.length && !rows.some(Array.isArray) && rows.some(r => typeof r === "string")) {
+    rows = [rows];
+  }
+  return rows;
+}
+
+
+// parseKLE(rows)
+// --------------
+// Entry point. Takes KLE rows as parsed by parseKLEJSON() — from
+// either the "Download JSON" file or the text from KLE's "Raw
+// data" tab — and returns
+//   { keys, settings, layers }
+// keys     — key objects shaped like parser.js's, with one entry
+//            in `layers` per legend position used in the file
+// settings — { pitchMm } (always the KLE standard, 19.05 mm)
+// layers   — the layer names: "base" for each key's main legend,
+//            then one per other legend position used
+//
+// Throws an Error if the rows aren't a KLE layout.
+function parseKLE(rows) {
+  return buildKLEKeys(readKLERows(rows));
+}
+
+
+// readKLERows(rows)
+// -----------------
+// Walks the rows of a KLE layout and returns one entry per key
+// (decals are skipped), in file order:
+//   { x, y, w, h, r, rx, ry, color, primary, labels }
+// Positions are in u, before rotation. `labels` is indexed by
+// canonical legend position (KLE_LEGEND_NAMES), each one
+// { text, color, fontSize } or empty; `primary` is the position of
+// the key's main legend.
+// VIA definitions are KLE layouts too — via.js reads their matrix
+// positions out of these labels.
+function readKLERows(rows) {
+  if (!Array.isArray(rows) || !rows.some(Array.isArray)) {
+    throw new Error("This doesn't look like a keyboard-layout-editor layout.");
+  }
+
+  // ── Walk the rows, tracking the current key state ──────────
+  // Property objects change `current`; each legend string emits a
+  // key from it. Positions are in u, with Y pointing down.
+  const current = {
+    x: 0, y: 0, w: 1, h: 1,
+    r: 0, rx: 0, ry: 0,       // rotation angle and its centre
+    color: "#cccccc",         // KLE's default keycap colour
+    textColor: [],            // per legend position
+    defaultTextColor: "#000000",
+    fontSizes: [],            // per legend, in KLE's order (sorted per key)
+    defaultFont: KLE_DEFAULT_FONT,
+    decal: false
+  };
+  let align = 4;              // KLE's default legend alignment
+  const found = [];
+
+  rows.forEach(row => {
+    // A plain object outside any row is the layout's metadata
+    // (name, author, ...) — nothing to import from it
+    if (!Array.isArray(row)) return;
+
+    row.forEach(item => {
+      if (typeof item === "string") {
+        if (!current.decal) {
+          const sizes = reorderKLELabels(current.fontSizes, align);
+          found.push({
+            x: current.x, y: current.y, w: current.w, h: current.h,
+            r: current.r, rx: current.rx, ry: current.ry,
+            color:  current.color,
+            // The first legend in the string is the key's main one,
+            // wherever the alignment puts it on the keycap
+            primary: (KLE_LABEL_MAP[align] || KLE_LABEL_MAP[4])[0],
+            labels: reorderKLELabels(item.split("\n"), align).map((text, pos) => text && {
+              text:     cleanKLELegend(text),
+              color:    current.textColor[pos] || current.defaultTextColor,
+              fontSize: sizes[pos] || current.defaultFont
+            })
+          });
+        }
+
+        // Move along past this key; size and decal only apply once
+        current.x += current.w;
+        current.w = current.h = 1;
+        current.decal = false;
+        return;
+      }
+
+      applyKLEProperties(current, item, align);
+      if (item.a != null) align = item.a;
+    });
+
+    // Next row starts back at the rotation origin, one row down
+    current.y += 1;
+    current.x = current.rx;
+  });
+
+  if (!found.length) throw new Error("The layout has no keys.");
+  return found;
+}
+
+
+// buildKLEKeys(found)
+// -------------------
+// Turns the keys from readKLERows() into { keys, settings, layers }
+// (see parseKLE()). The keys come back in the same order.
+function buildKLEKeys(found) {
+  // ── 1. Decide which legend positions become layers ─────────
+  // Each key's main legend goes on "base". Every other position
+  // that's used gets its own layer, named after where it sits on
+  // the keycap ("front", "top-right"), most-used first.
+  const usage = new Map();
+  found.forEach(k => k.labels.forEach((label, pos) => {
+    if (label && pos !== k.primary) usage.set(pos, (usage.get(pos) || 0) + 1);
+  }));
+  const positions  = [...usage.entries()].sort((a, b) => b[1] - a[1]).map(([pos]) => pos);
+  const layerNames = ["base", ...positions.map(pos => KLE_LEGEND_NAMES[pos])];
+
+  // ── 2. Build key objects in canvas pixels ──────────────────
+  const gap  = KLE_KEYCAP_GAP_MM / KLE_PITCH_MM; // in u
+  const keys = found.map(k => {
+    // Centre of the key before rotation, then turned around the
+    // cluster's rotation origin. KLE angles are clockwise (Y down),
+    // the same convention our keys use.
+    const centre = rotatePoint(k.x + k.w / 2, k.y + k.h / 2, k.rx, k.ry, k.r); // parser.js
+
+    const key = {
+      id:       crypto.randomUUID(),
+      x:        centre.x,
+      y:        centre.y,
+      width:    (k.w - gap) * PX_PER_U,
+      height:   (k.h - gap) * PX_PER_U,
+      rotation: k.r || 0,
+      shape:    "rect",
+      layers:   {}
+    };
+
+    // null stands for the main legend, on "base"
+    [null, ...positions].forEach((pos, i) => {
+      const label = pos === null ? k.labels[k.primary] : pos !== k.primary && k.labels[pos];
+      key.layers[layerNames[i]] = {
+        text:     label ? label.text : "",
+        bg:       normaliseKLEColor(k.color, "#ffffff"),
+        color:    normaliseKLEColor(label ? label.color : "", "#000000"),
+        fontSize: Math.round(18 * (6 + 2 * (label ? label.fontSize : KLE_DEFAULT_FONT)) / 12)
+      };
+    });
+
+    return key;
+  });
+
+  // ── 3. Move the layout into place on the canvas ────────────
+  // Same as a DXF import: the leftmost and topmost key centres
+  // land CANVAS_MARGIN pixels in from the canvas edge.
+  const minX = Math.min(...keys.map(k => k.x));
+  const minY = Math.min(...keys.map(k => k.y));
+  keys.forEach(k => {
+    k.x = (k.x - minX) * PX_PER_U + CANVAS_MARGIN;
+    k.y = (k.y - minY) * PX_PER_U + CANVAS_MARGIN;
+    syncKeyUnits(k, KLE_PITCH_MM); // parser.js
+  });
+
+  return { keys, settings: { pitchMm: KLE_PITCH_MM }, layers: layerNames };
+}
+
+
+// applyKLEProperties(current, props, align)
+// -----------------------------------------
+// Applies one KLE property object to the running key state.
+// `align` is the legend alignment in force, used to sort the text
+// colours of `t` (a new `a` in the same object counts, as it does
+// in KLE).
+// Properties we don't draw (profile, switch type, second rect of
+// stepped / ISO keys, ...) are ignored.
+function applyKLEProperties(current, props, align) {
+  if (props.a != null) align = props.a;
+
+  // A rotation origin resets the position to it: the rows that
+  // follow are laid out relative to the rotated cluster
+  if (props.r  != null) current.r  = props.r;
+  if (props.rx != null) current.rx = props.rx;
+  if (props.ry != null) current.ry = props.ry;
+  if (props.rx != null || props.ry != null) {
+    current.x = current.rx;
+    current.y = current.ry;
+  }
+
+  if (props.x) current.x += props.x;
+  if (props.y) current.y += props.y;
+  if (props.w) current.w = props.w;
+  if (props.h) current.h = props.h;
+
+  if (props.c) current.color = props.c;
+
+  // Text colours: one per legend, "\n"-separated, in the same
+  // order as the legends. The first is also the default.
+  if (props.t) {
+    const colors = props.t.split("\n");
+    if (colors[0]) current.defaultTextColor = colors[0];
+    current.textColor = reorderKLELabels(colors, align);
+  }
+
+  // Font sizes: f sets the default, f2 every legend but the first,
+  // fa one per legend. Kept in KLE's order until a key uses them.
+  if (props.f) {
+    current.defaultFont = props.f;
+    current.fontSizes   = [];
+  }
+  if (props.f2) {
+    for (let i = 1; i < 12; i++) current.fontSizes[i] = props.f2;
+  }
+  if (props.fa) current.fontSizes = props.fa.slice();
+
+  if (props.d) current.decal = true; // a label drawn on the board, not a key
+}
+
+
+// reorderKLELabels(values, align)
+// -------------------------------
+// Converts a list in KLE's per-alignment order (legends, text
+// colours or font sizes) into canonical position order, using
+// KLE_LABEL_MAP. Empty values are left out.
+function reorderKLELabels(values, align) {
+  const map = KLE_LABEL_MAP[align] || KLE_LABEL_MAP[4];
+  const out = [];
+  values.forEach((value, i) => {
+    if (value !== "" && value != null && map[i] >= 0) out[map[i]] = value;
+  });
+  return out;
+}
+
+
+// cleanKLELegend(text)
+// --------------------
+// KLE legends are HTML ("&amp;", "<b>Fn</b>", "Page<br>Up"). Turns
+// one into plain text. DOMParser doesn't run scripts or load
+// images, so it's safe to use on a file from anywhere.
+function cleanKLELegend(text) {
+  const html = text.replace(/<br\s*\/?>/gi, " ");
+  return new DOMParser().parseFromString(html, "text/html").body.textContent.trim();
+}
+
+
+// normaliseKLEColor(color, fallback)
+// ----------------------------------
+// KLE accepts "#rgb" as well as "#rrggbb"; <input type="color">
+// and our panel only understand the long form.
+function normaliseKLEColor(color, fallback) {
+  if (/^#[0-9a-f]{6}$/i.test(color)) return color.toLowerCase();
+  if (/^#[0-9a-f]{3}$/i.test(color)) {
+    return "#" + [...color.slice(1)].map(c => c + c).join("").toLowerCase();
+  }
+  return fallback;
+}
+
+
+// ============================================================
+// KLE EXPORT
+// ============================================================
+
+// The legend slots a layer is put in by default, in order: the
+// first layer in the centre, the second on the front face, then
+// the corners, then the remaining edges.
+const KLE_DEFAULT_SLOT_ORDER = [4, 10, 0, 2, 6, 8, 1, 7, 3, 5, 9, 11];
+
+
+// getDefaultKLESlots(layerNames)
+// ------------------------------
+// Default legend-slot assignment for exportKLE(): an array of 12
+// (one per KLE_LEGEND_NAMES position) holding the layer name to
+// print there, or null.
+function getDefaultKLESlots(layerNames) {
+  const slots = Array(12).fill(null);
+  layerNames.slice(0, 12).forEach((name, i) => slots[KLE_DEFAULT_SLOT_ORDER[i]] = name);
+  return slots;
+}
+
+
+// exportKLE(keys, layerNames, slots)
+// ----------------------------------
+// Turns our keys into a KLE layout, returned as JSON text that
+// KLE's "Upload JSON" accepts (one row per line; drop the outer
+// [ ] to paste it into the "Raw data" tab instead).
+//
+// keys       — the app's key array
+// layerNames — all layer names in order. The first one that has a
+//              slot is the key's main legend, and its background
+//              colour becomes the keycap colour.
+// slots      — 12 entries, one per KLE legend position (see
+//              KLE_LEGEND_NAMES): which layer's text to print there,
+//              or null. From getDefaultKLESlots() or the dialog.
+//
+// Canvas pixels go back to KLE units (1u = PX_PER_U px). Keys with
+// about the same top edge are grouped into a row and written left
+// to right; rotated keys are each written as their own row, turned
+// around their own centre.
+function exportKLE(keys, layerNames, slots) {
+  const mainLayer = layerNames.find(name => slots.includes(name)) || layerNames[0];
+  const mainSlot  = slots.indexOf(mainLayer);
+  const align     = pickKLEAlignment(slots, mainSlot);
+  const gap       = KLE_KEYCAP_GAP_MM / KLE_PITCH_MM; // in u
+  const round     = v => Math.round(v * 10000) / 10000;
+
+  // ── 1. Each key in KLE units ───────────────────────────────
+  // Our sizes are the keycap; KLE's are the footprint around it.
+  const items = keys.map(key => {
+    const w = key.width  / PX_PER_U + gap;
+    const h = key.height / PX_PER_U + gap;
+    return {
+      key, w, h,
+      cx: key.x / PX_PER_U,
+      cy: key.y / PX_PER_U,
+      left: key.x / PX_PER_U - w / 2,
+      top:  key.y / PX_PER_U - h / 2,
+      rotated: Math.abs(key.rotation || 0) > 0.01
+    };
+  });
+  if (!items.length) return "[]";
+
+  // Start the layout at 0,0 like KLE does
+  const minX = Math.min(...items.map(it => it.left));
+  const minY = Math.min(...items.map(it => it.top));
+  items.forEach(it => {
+    it.left -= minX; it.cx -= minX;
+    it.top  -= minY; it.cy -= minY;
+  });
+
+  // ── 2. Group the unrotated keys into rows ──────────────────
+  // A key joins the current row if its top edge is within half a
+  // unit of the row's first key (so column-staggered boards still
+  // come out as sensible rows).
+  const rows = [];
+  items
+    .filter(it => !it.rotated)
+    .sort((a, b) => a.top - b.top)
+    .forEach(it => {
+      const row = rows[rows.length - 1];
+      if (row && it.top - row[0].top < 0.5) row.push(it);
+      else rows.push([it]);
+    });
+  rows.forEach(row => row.sort((a, b) => a.left - b.left));
+
+  // ── 3. Write the rows, tracking KLE's running state ────────
+  // KLE properties carry over to later keys, so position, colour
+  // and font size are only written when they change.
+  const state = { y: -1, c: "#cccccc", t: "#000000", f: KLE_DEFAULT_FONT, fa: false };
+  const out   = [];
+
+  const writeKey = (row, it, props) => {
+    const legends = legendsForKey(it.key, slots, align);
+
+    if (round(it.w) !== 1) props.w = round(it.w);
+    if (round(it.h) !== 1) props.h = round(it.h);
+
+    const bg = (it.key.layers[mainLayer] || {}).bg || "#ffffff";
+    if (bg !== state.c) props.c = state.c = bg;
+
+    if (legends.colors !== state.t) props.t = state.t = legends.colors;
+
+    // One font size for every legend is `f`; otherwise `fa`.
+    // An `fa` sticks until the next `f`, so write `f` after one.
+    const sizes = legends.sizes.filter(s => s);
+    if (sizes.length && sizes.every(s => s === sizes[0])) {
+      if (sizes[0] !== state.f || state.fa) props.f = state.f = sizes[0];
+      state.fa = false;
+    } else if (sizes.length) {
+      props.fa = legends.sizes.map(s => s || state.f);
+      state.fa = true;
+    }
+
+    if (Object.keys(props).length) row.push(props);
+    row.push(legends.text);
+  };
+
+  rows.forEach((row, i) => {
+    const line = [];
+    let x = 0;
+    state.y += 1; // KLE moves down one unit per row
+
+    row.forEach((it, j) => {
+      const props = {};
+      if (i === 0 && j === 0 && align !== 4) props.a = align;
+      if (round(it.left - x)    !== 0) props.x = round(it.left - x);
+      if (round(it.top - state.y) !== 0) props.y = round(it.top - state.y);
+      state.y = it.top;
+      writeKey(line, it, props);
+      x = it.left + it.w;
+    });
+
+    out.push(line);
+  });
+
+  // Rotated keys: rx/ry at the key's centre resets the position
+  // there, so x/y are just minus half the size
+  items.filter(it => it.rotated).forEach((it, i) => {
+    const line  = [];
+    const props = {};
+    if (!rows.length && i === 0 && align !== 4) props.a = align;
+    props.r  = round(it.key.rotation);
+    props.rx = round(it.cx);
+    props.ry = round(it.cy);
+    props.x  = round(-it.w / 2);
+    props.y  = round(-it.h / 2);
+    writeKey(line, it, props);
+    out.push(line);
+  });
+
+  return "[\n" + out.map(row => JSON.stringify(row)).join(",\n") + "\n]";
+}
+
+
+// pickKLEAlignment(slots, mainSlot)
+// ---------------------------------
+// Chooses the KLE alignment (`a`) to write legends with. KLE's
+// first legend is the key's main one, so we look for an alignment
+// that puts the first legend in `mainSlot` and still has room for
+// every other slot in use. Failing that, alignment 0 can hold any
+// slot (with the main legend in the top-left corner).
+function pickKLEAlignment(slots, mainSlot) {
+  const used = [];
+  slots.forEach((name, pos) => { if (name) used.push(pos); });
+
+  // KLE's default (4) first, so most files don't need an `a` at all
+  for (const align of [4, 0, 1, 2, 3, 5, 6, 7]) {
+    const map = KLE_LABEL_MAP[align];
+    if (map[0] === mainSlot && used.every(pos => map.includes(pos))) return align;
+  }
+  return 0;
+}
+
+
+// legendsForKey(key, slots, align)
+// --------------------------------
+// Builds one key's KLE legend string, text colour string and font
+// sizes (all in the raw order for `align`) from its layer data.
+// Only keys defined on a layer get that layer's legend — a
+// transparent key's legend is already on the layer it inherits.
+function legendsForKey(key, slots, align) {
+  const map    = KLE_LABEL_MAP[align];
+  const text   = [];
+  const colors = [];
+  const sizes  = [];
+
+  map.forEach((pos, i) => {
+    const layer = pos >= 0 && slots[pos] && key.layers[slots[pos]];
+    if (!layer || !layer.text || getKeyState(layer) !== "defined") return; // layers.js
+    text[i]   = escapeKLELegend(layer.text);
+    colors[i] = layer.color || "#000000";
+    // Our px size back to KLE's 1–9 scale (the inverse of parseKLE)
+    sizes[i]  = Math.min(9, Math.max(1, Math.round((layer.fontSize * 12 / 18 - 6) / 2)));
+  });
+
+  // Trailing empty entries are left off, as KLE does. The first
+  // text colour doubles as the default, so it's always written.
+  const join = list => Array.from(list, v => v || "").join("\n").replace(/\n+$/, "");
+  return {
+    text:   join(text),
+    colors: join(colors.length ? colors : ["#000000"]),
+    sizes:  Array.from(sizes, v => v || 0)
+  };
+}
+
+
+// escapeKLELegend(text)
+// ---------------------
+// KLE legends are HTML, so characters that mean something in HTML
+// have to be written as entities.
+function escapeKLELegend(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
@@ -0,0 +1,198 @@
+// ============================================================
+// layers.js
+//
+// Responsible for what each key is on each layer. Every key has
+// an entry per layer (`key.layers[name]`) in one of three states:
+//
+//   "defined" — its own label and colours
+//   "trans"   — transparent: it is whatever it is on the layer's
+//               parent layer (following the parents down until
+//               the key isn't transparent). Drawn as a faded copy
+//               of the inherited key; exported as KC_TRNS / &trans.
+//   "none"    — does nothing: KC_NO / &none
+//
+// An entry with no `state` counts as defined. The parents live in
+// app.js's layerSettings:
+//   { fn: { parent: "base" }, base: { parent: null } }
+// and are passed in as `settings`.
+//
+// A key's entry on a layer can also carry legends besides the main
+// one — shifted symbols, sub-legends, side-printed legends — in
+// the slots of LEGEND_SLOTS. The main (centre) legend is the
+// entry's own text / color / fontSize; the others are kept in
+// `legends`, by slot name:
+//   { text: "1", color: "#000000", fontSize: 18, state: "defined",
+//     legends: { "top-left": { text: "!", color: "#888888", fontSize: 12, align: "left" } } }
+// ============================================================
+
+
+// The three states, in the order the panel offers them
+const KEY_STATES = ["defined", "trans", "none"];
+
+// Legend slots: a 3×3 grid on the keycap top, then the front face
+// (the same positions as KLE_LEGEND_NAMES in kle.js). "center" is
+// the main legend.
+const LEGEND_SLOTS = [
+  "top-left",    "top",    "top-right",
+  "left",        "center", "right",
+  "bottom-left", "bottom", "bottom-right",
+  "front-left",  "front",  "front-right"
+];
+
+
+// getKeyState(layerData)
+// ----------------------
+// The state of one key on one layer (a `key.layers[name]` entry).
+function getKeyState(layerData) {
+  return (layerData && layerData.state) || "defined";
+}
+
+
+// getLayerParent(name, settings)
+// ------------------------------
+// The layer `name` inherits from, or null.
+function getLayerParent(name, settings) {
+  const parent = settings[name] && settings[name].parent;
+  return parent && parent !== name ? parent : null;
+}
+
+
+// resolveKeyLayer(key, layerName, settings)
+// -----------------------------------------
+// Works out what a key shows on a layer. Returns:
+//   {
+//     state,   the key's own state on `layerName`
+//     source,  the layer it takes its label and colours from:
+//              `layerName` itself unless the key is transparent,
+//              otherwise the first layer down the parent chain
+//              where it isn't — or null if the chain runs out
+//     data     key.layers[source], or null
+//   }
+function resolveKeyLayer(key, layerName, settings) {
+  const state = getKeyState(key.layers[layerName]);
+  const seen  = new Set();
+
+  let source = layerName;
+  while (source && key.layers[source] && getKeyState(key.layers[source]) === "trans") {
+    seen.add(source);
+    source = getLayerParent(source, settings);
+    if (seen.has(source)) source = null; // a loop of parents
+  }
+
+  if (!source || !key.layers[source]) return { state, source: null, data: null };
+  return { state, source, data: key.layers[source] };
+}
+
+
+// getParentChoices(name, layerNames, settings)
+// --------------------------------------------
+// The layers `name` could inherit from: every other layer, except
+// those that already inherit from `name` somewhere down their
+// chain — that would make a loop.
+function getParentChoices(name, layerNames, settings) {
+  return layerNames.filter(other => {
+    let steps = 0;
+    for (let n = other; n && steps <= layerNames.length; n = getLayerParent(n, settings), steps++) {
+      if (n === name) return false;
+    }
+    return true;
+  });
+}
+
+
+// defineKeyLayer(key, layerName, settings)
+// ----------------------------------------
+// Makes a key defined on a layer, so it can be edited there, and
+// returns its entry. A transparent key starts out as the key it
+// was showing, so changing its colour doesn't also blank its label.
+function defineKeyLayer(key, layerName, settings) {
+  const layer = key.layers[layerName];
+  if (getKeyState(layer) === "defined") return layer;
+
+  if (layer.state === "trans") {
+    const { data } = resolveKeyLayer(key, layerName, settings);
+    if (data) {
+      layer.text     = data.text;
+      layer.bg       = data.bg;
+      layer.color    = data.color;
+      layer.fontSize = data.fontSize;
+      layer.align    = data.align;
+      layer.legends  = structuredClone(data.legends || {});
+    }
+  } else {
+    layer.text    = "";
+    layer.legends = {};
+  }
+
+  layer.state = "defined";
+  return layer;
+}
+
+
+// fillLayerDefaults(keys, layerNames, settings)
+// ---------------------------------------------
+// For imported layouts and saves from before key states: gives
+// every layer after the first the first layer as its parent (as
+// in QMK / ZMK, where transparent keys fall through to the base
+// layer), and every key entry without a state one — transparent
+// for a blank label on a layer after the first, which is what that
+// used to mean, otherwise defined. `settings` is updated in place.
+function fillLayerDefaults(keys, layerNames, settings) {
+  layerNames.forEach((name, i) => {
+    settings[name] = settings[name] || {};
+    if (!("parent" in settings[name])) settings[name].parent = i > 0 ? layerNames[0] : null;
+  });
+
+  keys.forEach(key => {
+    layerNames.forEach((name, i) => {
+      const layer = key.layers[name];
+      if (!layer || layer.state) return;
+      layer.state = i > 0 && !layer.text ? "trans" : "defined";
+    });
+  });
+}
+
+
+// getLegend(entry, slot)
+// ----------------------
+// One legend of a key's layer entry (or anything shaped like one,
+// e.g. getKeyAppearance() in render.js), with the defaults filled
+// in: { text, color, fontSize, align }. Legends outside the centre
+// default to the entry's text colour at two thirds of its size.
+// `align` is "left", "center" or "right" within the slot's column;
+// by default each column lines up with its side of the key.
+function getLegend(entry, slot) {
+  if (slot === "center") {
+    return {
+      text:     entry.text || "",
+      color:    entry.color || "#000000",
+      fontSize: entry.fontSize,
+      align:    entry.align || "center"
+    };
+  }
+
+  const legend = (entry.legends && entry.legends[slot]) || {};
+  return {
+    text:     legend.text || "",
+    color:    legend.color || entry.color || "#000000",
+    fontSize: legend.fontSize || Math.round(entry.fontSize * 2 / 3),
+    align:    legend.align || ["left", "center", "right"][LEGEND_SLOTS.indexOf(slot) % 3]
+  };
+}
+
+
+// setLegend(entry, slot, changes)
+// -------------------------------
+// Changes some of { text, color, fontSize, align } of one legend.
+// A legend outside the centre left without text is removed.
+function setLegend(entry, slot, changes) {
+  if (slot === "center") {
+    Object.assign(entry, changes);
+    return;
+  }
+
+  const legend = { ...getLegend(entry, slot), ...changes };
+  entry.legends = entry.legends || {};
+  if (legend.text) entry.legends[slot] = legend;
+  else delete entry.legends[slot];
+}
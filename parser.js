@@ -5,55 +5,255 @@
 // an array of "key" objects that the rest of the app can use.
 //
 // A DXF file is a CAD format. For keyboard layouts, each key
-// is drawn as a rectangle made of 4 LINE entities. This parser
-// groups those lines, reconstructs the rectangles, and spits
-// out normalised key data ready for rendering.
+// is drawn as a closed rectangle — either as separate LINE
+// entities, as one closed LWPOLYLINE/POLYLINE, or as an INSERT
+// of a block that contains one of those. Round keys and encoder
+// knobs are drawn as CIRCLEs. This parser flattens all of that
+// into plain outlines, joins loose lines whose endpoints meet
+// into closed loops, reconstructs the rectangles, and spits out
+// normalised key data ready for rendering. Everything else in the
+// drawing (case outline, screw holes, ...) is kept as an underlay
+// that the canvas draws behind the keys for reference.
 // ============================================================
 
 
-// parseDXFFile(file)
-// ------------------
+// Canvas pixels per 1u (one standard key width). 19.05 mm × 4 —
+// the same on-screen size the importer has always used for a
+// normal MX-spaced board. Increase it to make keyboards larger.
+const PX_PER_U = 76.2;
+
+// Canvas margin: the leftmost and topmost key centres land this
+// many pixels in from the canvas edge.
+const CANVAS_MARGIN = 50;
+
+// How close (in millimetres) two line endpoints must be to count
+// as the same point. CAD exports are floating point, so corners
+// that look joined are often a tiny fraction of a unit apart.
+const JOIN_TOLERANCE_MM = 0.05;
+
+// How far (in degrees) a corner may be from 90° and still count as
+// a rectangle corner, and how far from 180° a vertex may be and
+// still count as "on a straight edge" (e.g. an edge split in two).
+const ANGLE_TOLERANCE = 2;
+
+// Drawing units the importer understands, keyed by a short name.
+// `mm` is how many millimetres one drawing unit is.
+const DXF_UNITS = {
+  mm:  { label: "Millimetres", mm: 1      },
+  cm:  { label: "Centimetres", mm: 10     },
+  m:   { label: "Metres",      mm: 1000   },
+  in:  { label: "Inches",      mm: 25.4   },
+  ft:  { label: "Feet",        mm: 304.8  },
+  mil: { label: "Mils (thou)", mm: 0.0254 }
+};
+
+// The DXF header's $INSUNITS code → our unit names. Codes that
+// aren't listed (including 0, "unitless") fall back to millimetres,
+// which is what nearly every keyboard CAD tool uses.
+const INSUNITS_CODES = { 1: "in", 2: "ft", 4: "mm", 5: "cm", 6: "m", 9: "mil" };
+
+// Common key pitches in mm. A detected pitch within 1.5% of one of
+// these is snapped to it (MX/Cherry 19.05, 19 mm, Kailh Choc 18 / 17).
+const STANDARD_PITCHES_MM = [19.05, 19, 18, 17];
+
+// Default key size filter, in u. A key-sized outline's short side
+// must be at least MIN_KEY_U and its long side at most MAX_KEY_U.
+const DEFAULT_MIN_KEY_U = 0.5;
+const DEFAULT_MAX_KEY_U = 10;
+
+
+// parseDXFFile(file, options)
+// ---------------------------
 // Entry point. Takes a File object (from a file input), reads
 // it as text, runs it through the DxfParser library, then
-// extracts and returns an array of key objects.
-async function parseDXFFile(file) {
+// extracts and returns the keys.
+//
+// Import happens in two steps so the user can check the settings
+// before any keys are created:
+//   1. analyseDXF() finds every closed outline and guesses the
+//      drawing units and the 1u key pitch.
+//   2. buildKeysFromAnalysis() turns the outlines that pass the
+//      size filter into key objects, and writes up an import
+//      report of everything that didn't make it.
+//
+// options (all optional):
+//   overrides      — import settings to use instead of the
+//                    detected ones ({ units, pitchMm, minU, maxU })
+//   confirmOptions — async (analysis, settings) => settings | null.
+//                    Called between the two steps, e.g. to show an
+//                    options dialog. Returning null cancels.
+//
+// Returns a Promise of { keys, settings, report, underlay }, or
+// null if cancelled. See buildKeysFromAnalysis() for the report's
+// and underlay's shape.
+async function parseDXFFile(file, options = {}) {
   // Read the raw text content of the uploaded file
   const text = await file.text();
 
+  const analysis = analyseDXF(text);
+
+  let settings = { ...getDefaultImportSettings(analysis), ...options.overrides };
+
+  if (options.confirmOptions) {
+    settings = await options.confirmOptions(analysis, settings);
+    if (!settings) return null; // user cancelled
+  }
+
+  const result = buildKeysFromAnalysis(analysis, settings);
+  result.report.fileName = file.name;
+  return result;
+}
+
+
+// analyseDXF(text)
+// ----------------
+// Parses DXF text and finds every closed outline in it, without
+// deciding yet which ones are keys. Returns:
+//   {
+//     units:      detected unit name (a DXF_UNITS key),
+//     unitsFromHeader: true if $INSUNITS named the units,
+//                      false if we had to assume millimetres,
+//     candidates: [{ cx, cy, width, height, angle, shape, points }, ...]
+//                 every rectangle / circle found, in DXF units
+//                 (`points` is the outline it was fitted to),
+//     entityCounts: { LINE: 120, INSERT: 4, ... } — every entity
+//                 seen, including the contents of inserted blocks,
+//     rejected:   shapes already ruled out before the size filter,
+//                 as { reason, points, closed } (see REJECT_REASONS),
+//     shapes:     every flattened shape, tagged with its DXF layer
+//                 (see flattenEntities) — the source of the underlay,
+//     tolerance:  the endpoint joining distance in drawing units
+//   }
+function analyseDXF(text) {
   // DxfParser is loaded via <script> in index.html from unpkg CDN.
   // parseSync() turns the raw DXF text into a JavaScript object
-  // with an `entities` array containing every drawn shape.
+  // with an `entities` array containing every drawn shape, and a
+  // `header` object with the drawing's settings.
   const parser = new window.DxfParser();
   const dxf = parser.parseSync(text);
 
-  // We only care about LINE entities — each key rectangle is
-  // made of exactly 4 lines (one per side).
-  const lines = dxf.entities.filter(e => e.type === "LINE");
+  const insunits = dxf.header && dxf.header["$INSUNITS"];
+  const units    = INSUNITS_CODES[insunits] || "mm";
 
-  console.log("DXF entities:", dxf.entities.length);
-  console.log("LINE entities:", lines.length);
+  // Shared state for flattenEntities: where to find blocks, the
+  // joining tolerance in this file's own units, and tallies that
+  // end up in the import report.
+  const context = {
+    blocks:       dxf.blocks || {},
+    tolerance:    JOIN_TOLERANCE_MM / DXF_UNITS[units].mm,
+    entityCounts: {},
+    rejected:     []
+  };
 
-  const rectangles = [];
+  // Expand block INSERTs and break every supported entity down
+  // into one of three simple shapes, all in world coordinates:
+  //   segment — one straight line (LINEs, edges of open polylines)
+  //   polygon — a closed outline (closed LWPOLYLINE / POLYLINE)
+  //   circle  — a CIRCLE
+  const shapes = flattenEntities(dxf.entities, IDENTITY_MATRIX, context);
 
-  // Step through lines 4 at a time, treating each group of 4 as
-  // one rectangle (one key). This assumes the DXF was exported
-  // with keys drawn as 4 separate LINE segments in order.
-  for (let i = 0; i < lines.length; i += 4) {
-    const group = lines.slice(i, i + 4);
+  // Loose segments from every source go into one pile, so a key
+  // drawn half as LINEs and half as an open polyline still closes
+  const segments = shapes
+    .filter(sh => sh.kind === "segment")
+    .map(sh => sh.points);
 
-    // Skip incomplete groups at the end of the array
-    if (group.length < 4) continue;
+  // Join segments whose endpoints meet into closed loops. The order
+  // the entities appear in the file doesn't matter — only where
+  // their endpoints are. Closed polylines are already loops.
+  const joined = findClosedLoops(segments, context.tolerance);
+  const loops  = [
+    ...joined.loops,
+    ...shapes.filter(sh => sh.kind === "polygon").map(sh => sh.points)
+  ];
 
-    const rect = buildRectangle(group);
+  // Lines that never joined up into a closed outline
+  joined.openChains.forEach(chain => {
+    context.rejected.push({ reason: "not-closed", points: chain, closed: false });
+  });
 
-    // buildRectangle returns null if the shape doesn't look like
-    // a valid key (too small, too big, or malformed)
-    if (!rect) continue;
+  const candidates = [];
 
-    rectangles.push(rect);
+  for (const loop of loops) {
+    // buildRectangle returns null if the loop isn't a rectangle
+    const rect = buildRectangle(loop);
+    if (rect) {
+      candidates.push({ ...rect, points: loop });
+    } else {
+      context.rejected.push({ reason: "not-rectangle", points: loop, closed: true });
+    }
   }
 
-  console.log("Detected keys:", rectangles.length);
+  // Circles are candidates for round keys (or encoder knobs)
+  for (const circle of shapes.filter(sh => sh.kind === "circle")) {
+    candidates.push({
+      cx: circle.center.x,
+      cy: circle.center.y,
+      width:  circle.radius * 2,
+      height: circle.radius * 2,
+      angle:  0,
+      shape:  "circle",
+      points: circlePoints(circle.center, circle.radius)
+    });
+  }
+
+  return {
+    units,
+    unitsFromHeader: insunits in INSUNITS_CODES,
+    candidates,
+    entityCounts: context.entityCounts,
+    rejected:     context.rejected,
+    shapes,
+    tolerance:    context.tolerance
+  };
+}
+
+
+// getDefaultImportSettings(analysis)
+// ----------------------------------
+// The settings the importer would use on its own: the detected
+// units and pitch, and the default size filter.
+function getDefaultImportSettings(analysis) {
+  return {
+    units:   analysis.units,
+    pitchMm: detectPitchMm(analysis.candidates, DXF_UNITS[analysis.units].mm),
+    minU:    DEFAULT_MIN_KEY_U,
+    maxU:    DEFAULT_MAX_KEY_U
+  };
+}
+
+
+// buildKeysFromAnalysis(analysis, settings)
+// -----------------------------------------
+// Second import step: keeps the candidates that pass the size
+// filter and turns them into normalised key objects.
+//
+// Returns { keys, settings, report, underlay }.
+//
+// underlay is every shape in the drawing that isn't part of a
+// key's outline, in canvas pixels, for drawing behind the keys:
+//   [{ layer, points, closed }, ...]  lines and polylines
+//   [{ layer, center, radius }, ...]  circles
+// `layer` is the DXF layer name the shape was drawn on.
+//
+// report is:
+//   {
+//     fileName,            (filled in by parseDXFFile)
+//     entityCounts,        every entity type seen, with counts
+//     keyCount,            how many keys were created
+//     rejected: [{
+//       id,                unique ID (used to find its ghost outline)
+//       reason,            a REJECT_REASONS key
+//       source,            { minX, minY, maxX, maxY } in DXF units
+//       outline,           [{ points, closed }] in canvas pixels,
+//                          the same space as the keys
+//       key,               canvas geometry { x, y, width, height,
+//                          rotation, shape } to use if the user
+//                          turns this shape into a key, or null
+//     }, ...]
+//   }
+function buildKeysFromAnalysis(analysis, settings) {
+  const { keys: rectangles, rejected: tooBig } = classifyKeyCandidates(analysis.candidates, settings);
 
   // Convert each raw rectangle into a full key object.
   // Each key starts with a single "base" layer with blank text
@@ -64,7 +264,8 @@ async function parseDXFFile(file) {
     y: rect.cy,                // centre Y in DXF coordinate space (normalised later)
     width: rect.width,
     height: rect.height,
-    rotation: 0,               // reserved for future rotated key support
+    rotation: rect.angle,      // DXF angle in degrees (flipped to SVG convention later)
+    shape: rect.shape || "rect", // "rect", or "circle" for round keys / encoders
     layers: {
       base: {
         text: "",              // what label is printed on the key
@@ -75,9 +276,445 @@ async function parseDXFFile(file) {
     }
   }));
 
+  // Everything that didn't become a key, in one list
+  const rejected = [
+    ...analysis.rejected,
+    ...tooBig.map(({ candidate, reason }) => ({
+      reason,
+      points: candidate.points,
+      closed: true,
+      candidate
+    }))
+  ];
+
+  // Whatever isn't part of a key's outline becomes the underlay
+  const underlay = analysis.shapes.filter(sh => !isKeyOutline(sh, rectangles, analysis.tolerance));
+
   // Shift and scale all key positions so they sit nicely in the
-  // top-left of the canvas rather than at arbitrary DXF coordinates
-  return normalizeKeys(keys);
+  // top-left of the canvas rather than at arbitrary DXF coordinates.
+  // One pitch in drawing units becomes PX_PER_U canvas pixels.
+  // The origin comes from the keys and the underlay, so a case
+  // outline drawn around the keys doesn't end up off the canvas
+  // edge. With neither, it comes from the rejected shapes so their
+  // ghosts still land on the canvas.
+  const pitchUnits = settings.pitchMm / DXF_UNITS[settings.units].mm;
+  const scale      = PX_PER_U / pitchUnits;
+  const anchors    = [...keys, ...underlay.flatMap(shapeExtentPoints)];
+  const origin     = anchors.length
+    ? getNormalizeOrigin(anchors)
+    : getNormalizeOrigin(rejected.flatMap(r => r.points));
+
+  const normalised = normalizeKeys(keys, scale, origin);
+  normalised.forEach(k => syncKeyUnits(k, settings.pitchMm));
+
+  const toCanvas = p => normalizePoint(p, scale, origin);
+
+  const report = {
+    fileName:     "",
+    entityCounts: analysis.entityCounts,
+    keyCount:     normalised.length,
+    rejected:     rejected.map(r => ({
+      id:      crypto.randomUUID(),
+      reason:  r.reason,
+      source:  pointsBounds(r.points),
+      outline: r.points.length ? [{ points: r.points.map(toCanvas), closed: r.closed }] : [],
+      key:     r.points.length ? rejectedKeyGeometry(r, scale, origin) : null
+    }))
+  };
+
+  return {
+    keys: normalised,
+    settings,
+    report,
+    underlay: underlay.map(sh => sh.kind === "circle"
+      ? { layer: sh.layer, center: toCanvas(sh.center), radius: sh.radius * scale }
+      : { layer: sh.layer, points: sh.points.map(toCanvas), closed: sh.kind === "polygon" })
+  };
+}
+
+
+// isKeyOutline(shape, rects, tolerance)
+// -------------------------------------
+// True if a flattened shape is (part of) the outline of one of the
+// accepted key rectangles / circles — those are drawn as keys, so
+// they're left out of the underlay. A segment has its midpoint
+// checked as well as its ends, so a line cutting across a key
+// isn't mistaken for one of its sides.
+function isKeyOutline(shape, rects, tolerance) {
+  if (shape.kind === "circle") {
+    return rects.some(r =>
+      r.shape === "circle" &&
+      samePoint(shape.center, { x: r.cx, y: r.cy }, tolerance) &&
+      Math.abs(shape.radius * 2 - r.width) <= tolerance
+    );
+  }
+
+  const points = shape.kind === "segment"
+    ? [...shape.points, {
+        x: (shape.points[0].x + shape.points[1].x) / 2,
+        y: (shape.points[0].y + shape.points[1].y) / 2
+      }]
+    : shape.points;
+
+  return rects.some(r =>
+    r.shape !== "circle" && points.every(p => onRectangleEdge(p, r, tolerance))
+  );
+}
+
+
+// onRectangleEdge(p, rect, tolerance)
+// -----------------------------------
+// True if point p lies on the edge of a (possibly rotated) fitted
+// rectangle. Fitting straightens slightly-off corners, so the
+// allowance grows with the rectangle's size as well as `tolerance`.
+function onRectangleEdge(p, rect, tolerance) {
+  const slack = Math.max(tolerance, Math.min(rect.width, rect.height) * 0.03);
+  const local = rotatePoint(p.x, p.y, rect.cx, rect.cy, -rect.angle);
+  const dx    = Math.abs(local.x - rect.cx) - rect.width  / 2; // < 0 inside, > 0 outside
+  const dy    = Math.abs(local.y - rect.cy) - rect.height / 2;
+
+  return dx <= slack && dy <= slack && (Math.abs(dx) <= slack || Math.abs(dy) <= slack);
+}
+
+
+// shapeExtentPoints(shape)
+// ------------------------
+// Points that bound a flattened shape: its own points, or for a
+// circle the four points at the ends of its horizontal and
+// vertical diameters.
+function shapeExtentPoints(shape) {
+  if (shape.kind !== "circle") return shape.points;
+  const { center: c, radius: r } = shape;
+  return [
+    { x: c.x - r, y: c.y }, { x: c.x + r, y: c.y },
+    { x: c.x, y: c.y - r }, { x: c.x, y: c.y + r }
+  ];
+}
+
+
+// rejectedKeyGeometry(rejected, scale, origin)
+// --------------------------------------------
+// Works out the key a rejected shape would become if the user
+// promotes it. Rectangles and circles keep the geometry they were
+// fitted with; anything else (open chains, odd outlines) becomes
+// an unrotated key covering its bounding box.
+function rejectedKeyGeometry(rejected, scale, origin) {
+  const c = rejected.candidate || (() => {
+    const b = pointsBounds(rejected.points);
+    return {
+      cx: (b.minX + b.maxX) / 2,
+      cy: (b.minY + b.maxY) / 2,
+      width:  b.maxX - b.minX,
+      height: b.maxY - b.minY,
+      angle:  0
+    };
+  })();
+
+  const [key] = normalizeKeys([{
+    x: c.cx, y: c.cy, width: c.width, height: c.height,
+    rotation: c.angle, shape: c.shape || "rect"
+  }], scale, origin);
+
+  // A zero-width line would make an invisible key
+  key.width  = Math.max(key.width,  1);
+  key.height = Math.max(key.height, 1);
+  return key;
+}
+
+
+// pointsBounds(points)
+// --------------------
+// Axis-aligned bounding box { minX, minY, maxX, maxY } of a list
+// of points, or null if the list is empty.
+function pointsBounds(points) {
+  if (!points.length) return null;
+  return {
+    minX: Math.min(...points.map(p => p.x)),
+    minY: Math.min(...points.map(p => p.y)),
+    maxX: Math.max(...points.map(p => p.x)),
+    maxY: Math.max(...points.map(p => p.y))
+  };
+}
+
+
+// circlePoints(center, radius)
+// ----------------------------
+// Approximates a circle as a 24-sided outline, so circles can be
+// drawn as ghost outlines the same way as every other shape.
+function circlePoints(center, radius) {
+  return Array.from({ length: 24 }, (_, i) => ({
+    x: center.x + radius * Math.cos(i / 24 * 2 * Math.PI),
+    y: center.y + radius * Math.sin(i / 24 * 2 * Math.PI)
+  }));
+}
+
+
+// ============================================================
+// UNITS & KEY PITCH
+// ============================================================
+
+
+// detectPitchMm(candidates, unitMm)
+// ---------------------------------
+// Guesses the 1u key pitch (centre-to-centre spacing of normal
+// keys) in millimetres from the outlines found in the file.
+//
+//   1. Look at the roughly square outlines between 8 and 30 mm —
+//      the plausible range for a 1u key, whether the file draws
+//      switch cutouts (14 mm), keycaps (18 mm) or footprints (19 mm).
+//   2. The most common size among those is the drawn 1u size.
+//   3. The pitch is the typical distance from each of those keys
+//      to its nearest neighbour.
+//   4. If that's close to a standard pitch, snap to it.
+function detectPitchMm(candidates, unitMm) {
+  const squares = candidates
+    .filter(c => c.shape !== "circle")
+    .map(c => ({
+      x:    c.cx * unitMm,
+      y:    c.cy * unitMm,
+      size: Math.min(c.width, c.height) * unitMm,
+      long: Math.max(c.width, c.height) * unitMm
+    }))
+    .filter(c => c.long / c.size <= 1.25 && c.size >= 8 && c.size <= 30);
+
+  if (!squares.length) return STANDARD_PITCHES_MM[0];
+
+  // Most common size, in 0.5 mm bins
+  const bins = new Map();
+  squares.forEach(c => {
+    const bin = Math.round(c.size * 2) / 2;
+    bins.set(bin, (bins.get(bin) || 0) + 1);
+  });
+  const unitSize = [...bins.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  // Typical nearest-neighbour distance between 1u keys
+  const ones = squares.filter(c => Math.abs(c.size - unitSize) <= 1);
+  const nearest = ones.map(a => Math.min(...ones
+    .filter(b => b !== a)
+    .map(b => Math.hypot(a.x - b.x, a.y - b.y))
+  ));
+  let pitch = median(nearest.filter(Number.isFinite));
+
+  // Neighbours closer than the key size would overlap, and more than
+  // 1.6× further apart means there aren't really neighbours (a
+  // sparse macropad). Fall back to the key size or the MX standard.
+  if (!pitch || pitch < unitSize * 0.98 || pitch > unitSize * 1.6) {
+    pitch = unitSize <= STANDARD_PITCHES_MM[0] ? STANDARD_PITCHES_MM[0] : unitSize;
+  }
+
+  const standard = STANDARD_PITCHES_MM.find(p => Math.abs(pitch - p) / p <= 0.015);
+  return standard || Math.round(pitch * 100) / 100;
+}
+
+
+// Why a shape didn't become a key, as shown in the import report
+const REJECT_REASONS = {
+  "invalid-coordinates": "Missing or invalid coordinates",
+  "not-closed":          "Lines don't join up into a closed outline",
+  "not-rectangle":       "Closed, but not a rectangle",
+  "too-small":           "Smaller than the minimum key size",
+  "too-large":           "Larger than the maximum key size",
+  "contains-keys":       "Surrounds other keys (plate or case outline)"
+};
+
+
+// classifyKeyCandidates(candidates, settings)
+// -------------------------------------------
+// Splits the candidates into the ones that look like keys and
+// the ones that don't. A key must:
+//   - have a short side at least `minU` and a long side at most
+//     `maxU` pitches (so noise and board outlines are skipped
+//     however the file is scaled)
+//   - not be wrapped around another key-sized outline. A shape
+//     that contains other keys is a plate or case outline, and a
+//     keycap drawn around its switch cutout should only count once.
+//
+// Returns { keys: [candidate], rejected: [{ candidate, reason }] }.
+function classifyKeyCandidates(candidates, settings) {
+  const pitchUnits = settings.pitchMm / DXF_UNITS[settings.units].mm;
+  const minSize    = settings.minU * pitchUnits;
+  const maxSize    = settings.maxU * pitchUnits;
+
+  const rejected = [];
+  const sized    = [];
+
+  candidates.forEach(c => {
+    if      (Math.min(c.width, c.height) < minSize) rejected.push({ candidate: c, reason: "too-small" });
+    else if (Math.max(c.width, c.height) > maxSize) rejected.push({ candidate: c, reason: "too-large" });
+    else sized.push(c);
+  });
+
+  const keys = sized.filter(outer => {
+    const wraps = sized.some(inner =>
+      inner !== outer &&
+      inner.width * inner.height < outer.width * outer.height &&
+      containsPoint(outer, inner.cx, inner.cy)
+    );
+    if (wraps) rejected.push({ candidate: outer, reason: "contains-keys" });
+    return !wraps;
+  });
+
+  return { keys, rejected };
+}
+
+
+// filterKeyCandidates(candidates, settings)
+// -----------------------------------------
+// Just the candidates that pass classifyKeyCandidates().
+function filterKeyCandidates(candidates, settings) {
+  return classifyKeyCandidates(candidates, settings).keys;
+}
+
+
+// containsPoint(rect, x, y)
+// -------------------------
+// True if the point lies inside a (possibly rotated) candidate.
+function containsPoint(rect, x, y) {
+  const p = rotatePoint(x, y, rect.cx, rect.cy, -rect.angle);
+  return Math.abs(p.x - rect.cx) < rect.width  / 2 &&
+         Math.abs(p.y - rect.cy) < rect.height / 2;
+}
+
+
+// syncKeyUnits(key, pitchMm)
+// --------------------------
+// Keys are drawn in canvas pixels, but we also keep each key's
+// geometry in u (key units, 1u = one pitch) and millimetres so
+// exports and firmware tools can use real-world sizes:
+//   key.u  = { x, y, width, height }   centre and size in u
+//   key.mm = { x, y, width, height }   the same in millimetres
+// Positions are measured from the canvas margin. Call this again
+// whenever a key's x / y / width / height change.
+function syncKeyUnits(key, pitchMm) {
+  const round = v => Math.round(v * 1000) / 1000;
+
+  key.u = {
+    x:      round((key.x - CANVAS_MARGIN) / PX_PER_U),
+    y:      round((key.y - CANVAS_MARGIN) / PX_PER_U),
+    width:  round(key.width  / PX_PER_U),
+    height: round(key.height / PX_PER_U)
+  };
+
+  key.mm = {
+    x:      round(key.u.x      * pitchMm),
+    y:      round(key.u.y      * pitchMm),
+    width:  round(key.u.width  * pitchMm),
+    height: round(key.u.height * pitchMm)
+  };
+}
+
+
+// ============================================================
+// ENTITY FLATTENING
+//
+// Different CAD tools draw the same key in different ways. The
+// functions below boil every supported entity type down to a
+// handful of plain shapes in world coordinates, so the rest of
+// the parser never has to care where a shape came from.
+// ============================================================
+
+
+// Affine transforms are stored as [a, b, c, d, e, f], meaning:
+//   x' = a·x + c·y + e
+//   y' = b·x + d·y + f
+// (the same layout SVG and canvas use for matrix()).
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// Blocks can contain INSERTs of other blocks. Stop expanding past
+// this depth in case a (broken) file has a block that includes itself.
+const MAX_BLOCK_DEPTH = 16;
+
+
+// flattenEntities(entities, matrix, context, depth, insertLayer)
+// --------------------------------------------------------------
+// Walks a list of DXF entities and returns an array of shapes:
+//   { kind: "segment", points: [start, end], layer }
+//   { kind: "polygon", points: [p1, p2, ...], layer }  (closed outline)
+//   { kind: "circle",  center: {x, y}, radius, layer }
+// with `matrix` applied to every point. INSERTs are expanded by
+// recursing into their block's entities with the insert's own
+// transform folded into `matrix`. Unsupported entity types
+// (text, dimensions, hatches, ...) are skipped.
+//
+// `layer` is the DXF layer the entity was drawn on. Following the
+// DXF convention, entities inside a block that sit on layer "0"
+// take the layer of the INSERT that placed them (`insertLayer`).
+//
+// context (shared by every level of recursion):
+//   blocks       — the DXF's block definitions, by name
+//   tolerance    — joining distance in drawing units
+//   entityCounts — tally of every entity type seen (updated here)
+//   rejected     — entities with corrupt coordinates are added
+//                  here as { reason: "invalid-coordinates" }
+function flattenEntities(entities, matrix, context, depth = 0, insertLayer = null) {
+  const shapes    = [];
+  const tolerance = context.tolerance;
+
+  // Record an entity we had to skip because its data is corrupt
+  const invalid = () => context.rejected.push({ reason: "invalid-coordinates", points: [], closed: false });
+
+  for (const entity of entities || []) {
+    context.entityCounts[entity.type] = (context.entityCounts[entity.type] || 0) + 1;
+
+    const layer = (entity.layer && entity.layer !== "0") ? entity.layer : (insertLayer || entity.layer || "0");
+
+    switch (entity.type) {
+
+      case "LINE": {
+        const pts = getLinePoints(entity);
+        if (pts) shapes.push({ kind: "segment", points: pts.map(p => transformPoint(matrix, p)), layer });
+        else invalid();
+        break;
+      }
+
+      case "LWPOLYLINE":
+      case "POLYLINE": {
+        const pts = getPolylinePoints(entity);
+        if (!pts) { invalid(); break; }
+        const world = pts.map(p => transformPoint(matrix, p));
+
+        if (isClosedPolyline(entity, pts, tolerance)) {
+          // Some tools repeat the first vertex at the end as well as
+          // setting the closed flag — drop the duplicate
+          if (samePoint(world[0], world[world.length - 1], tolerance)) world.pop();
+          if (world.length >= 3) shapes.push({ kind: "polygon", points: world, layer });
+        } else {
+          // An open polyline is just a chain of segments. They go in
+          // the same pile as LINEs, so they can still close up with
+          // other lines into a loop.
+          for (let i = 0; i + 1 < world.length; i++) {
+            shapes.push({ kind: "segment", points: [world[i], world[i + 1]], layer });
+          }
+        }
+        break;
+      }
+
+      case "CIRCLE": {
+        if (!entity.center || !Number.isFinite(entity.radius)) { invalid(); break; }
+        shapes.push({
+          kind:   "circle",
+          center: transformPoint(matrix, entity.center),
+          radius: entity.radius * matrixScale(matrix),
+          layer
+        });
+        break;
+      }
+
+      case "INSERT": {
+        const block = context.blocks[entity.name];
+        if (!block || depth >= MAX_BLOCK_DEPTH) break;
+
+        for (const insertMatrix of getInsertMatrices(entity, block)) {
+          shapes.push(...flattenEntities(
+            block.entities, multiplyMatrices(matrix, insertMatrix), context, depth + 1, layer
+          ));
+        }
+        break;
+      }
+    }
+  }
+
+  return shapes;
 }
 
 
@@ -89,12 +726,12 @@ async function parseDXFFile(file) {
 function getLinePoints(line) {
   // Most common format: line.start and line.end objects
   if (line.start && line.end) {
-    return [line.start, line.end];
+    return validPoints([line.start, line.end]);
   }
 
   // Older format: line.vertices array
   if (line.vertices && line.vertices.length >= 2) {
-    return [line.vertices[0], line.vertices[1]];
+    return validPoints([line.vertices[0], line.vertices[1]]);
   }
 
   // Unknown format — skip this line
@@ -102,87 +739,804 @@ function getLinePoints(line) {
 }
 
 
-// buildRectangle(lines)
-// ---------------------
-// Takes an array of 4 LINE entities and tries to reconstruct the
-// bounding box of the rectangle they form.
-//
-// Strategy: collect all 8 endpoint coordinates (4 lines × 2 points),
-// then take the min/max X and Y to get the bounding box.
-// This works even if the lines are in arbitrary order.
-function buildRectangle(lines) {
-  const points = [];
+// getPolylinePoints(polyline)
+// ---------------------------
+// Extracts the vertices of an LWPOLYLINE or POLYLINE entity as
+// plain {x, y} points. DxfParser normally gives us a `vertices`
+// array, but older POLYLINEs can arrive with VERTEX entities in a
+// `children`/`entities` list instead, so we check those too.
+// Bulges (arc segments) are treated as straight edges — for a key
+// outline with rounded corners that still gives the right box.
+function getPolylinePoints(polyline) {
+  const list = polyline.vertices || polyline.children || polyline.entities;
+  if (!list || list.length < 2) return null;
+
+  // A child VERTEX entity may store its point under `location`
+  return validPoints(list.map(v => v.location || v));
+}
+
+
+// isClosedPolyline(polyline, points, tolerance)
+// ---------------------------------------------
+// A polyline is closed if its "closed" flag is set (DxfParser
+// exposes that as `shape: true`, some versions as `closed`), or
+// if its last vertex lands back on its first.
+function isClosedPolyline(polyline, points, tolerance) {
+  if (polyline.shape || polyline.closed) return true;
+  return points.length > 3 && samePoint(points[0], points[points.length - 1], tolerance);
+}
+
+
+// validPoints(points)
+// -------------------
+// Copies an array of vertex objects down to plain {x, y} points,
+// or returns null if any coordinate is missing or not a number
+// (corrupt DXF data).
+function validPoints(points) {
+  const out = points.map(p => ({ x: p && p.x, y: p && p.y }));
+  return out.every(p => Number.isFinite(p.x) && Number.isFinite(p.y)) ? out : null;
+}
+
+
+// samePoint(a, b, tolerance)
+// --------------------------
+// True if two points are within `tolerance` of each other.
+function samePoint(a, b, tolerance) {
+  return Math.hypot(a.x - b.x, a.y - b.y) <= tolerance;
+}
+
 
-  for (const line of lines) {
-    const pts = getLinePoints(line);
-    if (!pts) continue;
+// getInsertMatrices(insert, block)
+// --------------------------------
+// Returns the transform(s) that place a block's contents for one
+// INSERT entity. In order, the block's contents are:
+//   1. moved so the block's base point is at the origin
+//   2. scaled by xScale / yScale
+//   3. rotated by the insert's rotation (degrees, counter-clockwise)
+//   4. moved to the insert position
+// An INSERT can also be a rectangular array (columnCount × rowCount
+// copies spaced by columnSpacing / rowSpacing); each copy gets its
+// own matrix, with the spacing applied in the rotated direction.
+function getInsertMatrices(insert, block) {
+  const pos   = insert.position || { x: 0, y: 0 };
+  const base  = block.position  || { x: 0, y: 0 };
+  const sx    = insert.xScale ?? 1;
+  const sy    = insert.yScale ?? 1;
+  const rad   = (insert.rotation || 0) * Math.PI / 180;
+  const cos   = Math.cos(rad);
+  const sin   = Math.sin(rad);
 
-    // Each line gives us 2 points; push both
-    points.push(pts[0], pts[1]);
+  const cols  = Math.max(1, insert.columnCount || 1);
+  const rows  = Math.max(1, insert.rowCount    || 1);
+  const colDx = insert.columnSpacing || 0;
+  const rowDy = insert.rowSpacing    || 0;
+
+  const matrices = [];
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      // Offset of this array copy, before rotation
+      const ox = c * colDx;
+      const oy = r * rowDy;
+
+      // rotate · scale, then translate so that (base + offset) lands on pos
+      const a = cos * sx, b = sin * sx;
+      const cc = -sin * sy, d = cos * sy;
+      matrices.push([
+        a, b, cc, d,
+        pos.x + cos * ox - sin * oy - (a * base.x + cc * base.y),
+        pos.y + sin * ox + cos * oy - (b * base.x + d  * base.y)
+      ]);
+    }
   }
 
-  // Need at least 4 distinct points to form a rectangle
-  if (points.length < 4) return null;
+  return matrices;
+}
 
-  const xs = points.map(p => p.x);
-  const ys = points.map(p => p.y);
 
-  // If any coordinate is undefined the DXF data is corrupt, skip it
-  if (xs.includes(undefined) || ys.includes(undefined)) return null;
+// transformPoint(m, p)
+// --------------------
+// Applies an affine matrix to a point.
+function transformPoint(m, p) {
+  return {
+    x: m[0] * p.x + m[2] * p.y + m[4],
+    y: m[1] * p.x + m[3] * p.y + m[5]
+  };
+}
+
+
+// multiplyMatrices(m, n)
+// ----------------------
+// Returns the matrix that applies n first, then m.
+function multiplyMatrices(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5]
+  ];
+}
+
 
-  const minX = Math.min(...xs);
-  const maxX = Math.max(...xs);
-  const minY = Math.min(...ys);
-  const maxY = Math.max(...ys);
+// matrixScale(m)
+// --------------
+// How much a matrix scales lengths, on average. Used for circle
+// radii — a block scaled differently in X and Y would really turn a
+// circle into an ellipse, but for key-sized shapes the average is
+// close enough.
+function matrixScale(m) {
+  return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+}
+
+
+// buildRectangle(loop)
+// --------------------
+// Takes a closed loop of points (in order around the outline, as
+// returned by findClosedLoops) and tries to reconstruct the
+// rectangle it forms. It doesn't judge size — that's up to
+// filterKeyCandidates() once the key pitch is known. It handles
+// rectangles that are rotated, like the angled thumb keys on split
+// boards.
+//
+// Strategy:
+//   1. Drop any points that sit on a straight edge (an edge drawn
+//      as two or more lines), leaving only the real corners.
+//      A rectangle must have exactly 4, all close to 90°.
+//   2. Work out the rectangle's angle from the direction of its
+//      edges. Every edge of a rectangle is either parallel or at
+//      90° to the others, so we fold each edge angle into the
+//      range -45°…45° and average them.
+//   3. Rotate the corners by minus that angle so the rectangle
+//      becomes axis-aligned, and take the min/max X and Y to get
+//      the true width and height.
+//   4. Rotate the centre of that box back to get the real centre.
+function buildRectangle(loop) {
+  let corners = simplifyLoop(loop);
+
+  if (!isRectangle(corners)) {
+    // Not a clean 4-corner rectangle. Polylines with rounded
+    // corners (bulges) come through with their corners cut off,
+    // so we still accept outlines that almost completely fill
+    // their bounding box.
+    if (!fillsBoundingBox(corners)) return null;
+  }
+
+  const angle = getRectangleAngle(corners);
+
+  // Pivot around the average of the corners (the centre)
+  const pivotX = corners.reduce((a, p) => a + p.x, 0) / corners.length;
+  const pivotY = corners.reduce((a, p) => a + p.y, 0) / corners.length;
+
+  // Un-rotate every corner so the rectangle is axis-aligned
+  const local = corners.map(p => rotatePoint(p.x, p.y, pivotX, pivotY, -angle));
+
+  const minX = Math.min(...local.map(p => p.x));
+  const maxX = Math.max(...local.map(p => p.x));
+  const minY = Math.min(...local.map(p => p.y));
+  const maxY = Math.max(...local.map(p => p.y));
 
   const width  = maxX - minX;
   const height = maxY - minY;
 
-  // ⚠️ IMPORTANT: These size limits filter out noise.
-  // If a key is smaller than 10 or larger than 40 DXF units it's
-  // probably a stray line or a border/frame, not a key. Adjust
-  // these numbers if your DXF uses a different scale.
-  if (width  < 10 || height < 10) return null;
-  if (width  > 40 || height > 40) return null;
+  // Rotate the centre of the un-rotated box back into DXF space
+  const centre = rotatePoint(
+    (minX + maxX) / 2, (minY + maxY) / 2, pivotX, pivotY, angle
+  );
 
-  // Return centre point and dimensions
+  // Return centre point, dimensions and angle (degrees, DXF
+  // convention: counter-clockwise is positive)
   return {
-    cx: (minX + maxX) / 2,
-    cy: (minY + maxY) / 2,
+    cx: centre.x,
+    cy: centre.y,
     width,
-    height
+    height,
+    angle
   };
 }
 
 
-// normalizeKeys(keys)
-// -------------------
+// isRectangle(corners)
+// --------------------
+// True if a simplified loop has exactly 4 corners, all (close to)
+// right angles.
+function isRectangle(corners) {
+  if (corners.length !== 4) return false;
+
+  for (let i = 0; i < 4; i++) {
+    const turn = cornerAngle(corners[(i + 3) % 4], corners[i], corners[(i + 1) % 4]);
+    if (Math.abs(turn - 90) > ANGLE_TOLERANCE) return false;
+  }
+  return true;
+}
+
+
+// fillsBoundingBox(points)
+// ------------------------
+// For outlines that aren't clean rectangles: true if the outline
+// covers at least 90% of its own (rotated) bounding box. That's
+// the case for rectangles with rounded or chamfered corners, but
+// not for triangles, L-shapes with big notches, and so on.
+function fillsBoundingBox(points) {
+  if (points.length < 4) return false;
+
+  const angle  = getRectangleAngle(points);
+  const local  = points.map(p => rotatePoint(p.x, p.y, 0, 0, -angle));
+  const width  = Math.max(...local.map(p => p.x)) - Math.min(...local.map(p => p.x));
+  const height = Math.max(...local.map(p => p.y)) - Math.min(...local.map(p => p.y));
+  if (width === 0 || height === 0) return false;
+
+  return Math.abs(signedArea(points)) / (width * height) >= 0.9;
+}
+
+
+// simplifyLoop(loop)
+// ------------------
+// Removes points from a closed loop that aren't real corners:
+// points where the outline carries straight on (within
+// ANGLE_TOLERANCE of 180°). This is what lets an edge that was
+// drawn as two or more separate lines still count as one side.
+function simplifyLoop(loop) {
+  let points = loop.slice();
+  let changed = true;
+
+  // Keep going until a full pass removes nothing — removing one
+  // point can make its neighbour straight too.
+  while (changed && points.length > 3) {
+    changed = false;
+    for (let i = 0; i < points.length; i++) {
+      const prev = points[(i + points.length - 1) % points.length];
+      const next = points[(i + 1) % points.length];
+      if (Math.abs(cornerAngle(prev, points[i], next) - 180) <= ANGLE_TOLERANCE) {
+        points.splice(i, 1);
+        changed = true;
+        break;
+      }
+    }
+  }
+
+  return points;
+}
+
+
+// cornerAngle(a, b, c)
+// --------------------
+// Returns the angle in degrees (0…180) at point b between the
+// lines b→a and b→c. 90 is a right-angle corner; 180 means a, b
+// and c lie on a straight line.
+function cornerAngle(a, b, c) {
+  const ux = a.x - b.x, uy = a.y - b.y;
+  const vx = c.x - b.x, vy = c.y - b.y;
+  const lengths = Math.hypot(ux, uy) * Math.hypot(vx, vy);
+  if (lengths === 0) return 180; // duplicate point — treat as straight
+
+  const cos = Math.min(1, Math.max(-1, (ux * vx + uy * vy) / lengths));
+  return Math.acos(cos) * 180 / Math.PI;
+}
+
+
+// getRectangleAngle(corners)
+// --------------------------
+// Given the corners of a rectangle in order around its outline,
+// returns the rectangle's rotation in degrees, folded into the
+// range -45°…45°.
+//
+// Edge angles are multiplied by 4 before averaging so that edges
+// at 0°, 90°, 180° and 270° all land on the same direction — that
+// way the horizontal and vertical edges agree with each other
+// instead of averaging out to 45°.
+function getRectangleAngle(corners) {
+  let sumSin = 0;
+  let sumCos = 0;
+
+  for (let i = 0; i < corners.length; i++) {
+    const next = corners[(i + 1) % corners.length];
+    const dx = next.x - corners[i].x;
+    const dy = next.y - corners[i].y;
+    const length = Math.hypot(dx, dy);
+    if (length === 0) continue; // zero-length edge has no direction
+
+    // Weight by length so tiny slivers don't skew the result
+    const a = Math.atan2(dy, dx) * 4;
+    sumSin += Math.sin(a) * length;
+    sumCos += Math.cos(a) * length;
+  }
+
+  const degrees = Math.atan2(sumSin, sumCos) / 4 * 180 / Math.PI;
+
+  // DXF coordinates are floating point, so an axis-aligned key
+  // often comes out as 0.0000001°. Snap those to exactly 0.
+  return Math.abs(degrees) < 0.01 ? 0 : degrees;
+}
+
+
+// rotatePoint(x, y, cx, cy, degrees)
+// ----------------------------------
+// Rotates the point (x, y) around (cx, cy) by the given angle.
+// Positive angles turn counter-clockwise in a Y-up system like DXF
+// (and clockwise in a Y-down system like SVG).
+function rotatePoint(x, y, cx, cy, degrees) {
+  const rad = degrees * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const dx  = x - cx;
+  const dy  = y - cy;
+
+  return {
+    x: cx + dx * cos - dy * sin,
+    y: cy + dx * sin + dy * cos
+  };
+}
+
+
+// ============================================================
+// LOOP DETECTION
+//
+// Turns a loose pile of line segments into closed outlines.
+// The segments are treated as a graph: endpoints that meet
+// (within a tolerance) become shared nodes, segments become
+// edges. Every closed outline is then a "face" of that graph,
+// which we find by walking around it always taking the
+// sharpest turn.
+// ============================================================
+
+
+// findClosedLoops(segments, tolerance)
+// ------------------------------------
+// segments:  array of [start, end] point pairs, in any order
+// tolerance: max distance between endpoints that count as joined
+//
+// Returns { loops, openChains }.
+//   loops      — each loop is an array of {x, y} points in order
+//                around the outline (the last point connects back
+//                to the first). Only outlines that really close are
+//                included — a rectangle with one side missing
+//                produces no loop.
+//   openChains — the lines that were left over, grouped into
+//                connected pieces. Each chain is a flat list of
+//                points, two per segment: [a1, b1, a2, b2, ...].
+function findClosedLoops(segments, tolerance) {
+  // ── 1. Merge endpoints that meet into shared nodes ─────────
+  const nodes = [];
+  const grid  = new Map(); // spatial hash: "cellX,cellY" → node indices
+
+  // Returns the index of the node at point p, creating it if there
+  // isn't one within `tolerance`. Looking at the 3×3 block of grid
+  // cells around p finds every node that could be close enough.
+  function nodeAt(p) {
+    const cx = Math.floor(p.x / tolerance);
+    const cy = Math.floor(p.y / tolerance);
+
+    for (let gx = cx - 1; gx <= cx + 1; gx++) {
+      for (let gy = cy - 1; gy <= cy + 1; gy++) {
+        for (const i of grid.get(gx + "," + gy) || []) {
+          if (Math.hypot(nodes[i].x - p.x, nodes[i].y - p.y) <= tolerance) return i;
+        }
+      }
+    }
+
+    nodes.push({ x: p.x, y: p.y });
+    const cell = cx + "," + cy;
+    if (!grid.has(cell)) grid.set(cell, []);
+    grid.get(cell).push(nodes.length - 1);
+    return nodes.length - 1;
+  }
+
+  let edges = segments
+    .map(([a, b]) => [nodeAt(a), nodeAt(b)])
+    .filter(([a, b]) => a !== b); // zero-length segments join nothing
+
+  // ── 2. Split edges at T-junctions ──────────────────────────
+  // Where a node lies part-way along another edge (e.g. a 1u key
+  // drawn against the long side of a 2u key), split that edge in
+  // two so the loops on both sides can use the shared part.
+  edges = splitAtNodes(nodes, edges, tolerance);
+
+  // ── 3. Build adjacency, dropping duplicate edges ───────────
+  // Two identical lines drawn on top of each other would
+  // otherwise make a zero-area "loop" between them.
+  const adjacency = nodes.map(() => new Set());
+  for (const [a, b] of edges) {
+    adjacency[a].add(b);
+    adjacency[b].add(a);
+  }
+
+  // ── 4. Prune dangling lines ────────────────────────────────
+  // A node with only one edge is a dead end (a stray line, or
+  // the open end of an unclosed outline). Remove it, and repeat
+  // in case that leaves another dead end behind.
+  const queue  = adjacency.map((_, i) => i).filter(i => adjacency[i].size === 1);
+  const pruned = []; // removed edges, reported back as open chains
+  while (queue.length) {
+    const i = queue.pop();
+    for (const j of adjacency[i]) {
+      adjacency[j].delete(i);
+      pruned.push([i, j]);
+      if (adjacency[j].size === 1) queue.push(j);
+    }
+    adjacency[i].clear();
+  }
+
+  // ── 5. Sort each node's neighbours by direction ────────────
+  const sorted = adjacency.map((set, i) =>
+    [...set].sort((a, b) =>
+      Math.atan2(nodes[a].y - nodes[i].y, nodes[a].x - nodes[i].x) -
+      Math.atan2(nodes[b].y - nodes[i].y, nodes[b].x - nodes[i].x)
+    )
+  );
+
+  // ── 6. Walk every face ─────────────────────────────────────
+  // Arriving at node v from node u, we leave along the edge that
+  // comes just before v→u when turning counter-clockwise. Always
+  // turning the same way traces the smallest outline enclosing
+  // the area on one side of each edge. Each directed edge is used
+  // exactly once, so every face is found exactly once.
+  const visited = new Set();
+  const loops   = [];
+
+  for (let start = 0; start < nodes.length; start++) {
+    for (const first of sorted[start]) {
+      if (visited.has(start + ">" + first)) continue;
+
+      const loop = [];
+      let u = start;
+      let v = first;
+
+      while (!visited.has(u + ">" + v)) {
+        visited.add(u + ">" + v);
+        loop.push(nodes[u]);
+
+        const around = sorted[v];
+        const back   = around.indexOf(u);
+        const next   = around[(back - 1 + around.length) % around.length];
+        u = v;
+        v = next;
+      }
+
+      // The walk also traces the outside of every group of shapes
+      // (going round the other way). Those come out with a
+      // negative area; real enclosed outlines are positive.
+      if (loop.length >= 3 && signedArea(loop) > 0) loops.push(loop);
+    }
+  }
+
+  return { loops, openChains: groupEdges(nodes, pruned) };
+}
+
+
+// groupEdges(nodes, edges)
+// ------------------------
+// Groups edges ([nodeA, nodeB] pairs) into connected pieces and
+// returns each piece as a flat list of points, two per edge.
+function groupEdges(nodes, edges) {
+  // Union-find: parent[i] leads to the representative of i's group
+  const parent = new Map();
+  const find = i => {
+    while (parent.has(i) && parent.get(i) !== i) i = parent.get(i);
+    return i;
+  };
+
+  edges.forEach(([a, b]) => {
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    parent.set(find(a), find(b));
+  });
+
+  const groups = new Map();
+  edges.forEach(([a, b]) => {
+    const root = find(a);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(nodes[a], nodes[b]);
+  });
+
+  return [...groups.values()];
+}
+
+
+// splitAtNodes(nodes, edges, tolerance)
+// -------------------------------------
+// Returns a new edge list where every edge that passes through
+// another node (within `tolerance`, not at its own ends) has been
+// split into pieces at those nodes.
+function splitAtNodes(nodes, edges, tolerance) {
+  // Bucket nodes into a coarse grid so each edge only has to check
+  // the nodes near it rather than every node in the file.
+  const lengths  = edges.map(([a, b]) => Math.hypot(nodes[b].x - nodes[a].x, nodes[b].y - nodes[a].y));
+  const cellSize = Math.max(tolerance, median(lengths) || tolerance);
+  const buckets  = new Map();
+
+  nodes.forEach((n, i) => {
+    const cell = Math.floor(n.x / cellSize) + "," + Math.floor(n.y / cellSize);
+    if (!buckets.has(cell)) buckets.set(cell, []);
+    buckets.get(cell).push(i);
+  });
+
+  const result = [];
+
+  for (const [a, b] of edges) {
+    const A  = nodes[a];
+    const B  = nodes[b];
+    const dx = B.x - A.x;
+    const dy = B.y - A.y;
+    const length = Math.hypot(dx, dy);
+
+    // Every grid cell this edge's bounding box touches
+    const x0 = Math.floor((Math.min(A.x, B.x) - tolerance) / cellSize);
+    const x1 = Math.floor((Math.max(A.x, B.x) + tolerance) / cellSize);
+    const y0 = Math.floor((Math.min(A.y, B.y) - tolerance) / cellSize);
+    const y1 = Math.floor((Math.max(A.y, B.y) + tolerance) / cellSize);
+
+    // Nodes lying on this edge, with how far along it they are
+    const splits = [];
+    for (let gx = x0; gx <= x1; gx++) {
+      for (let gy = y0; gy <= y1; gy++) {
+        for (const i of buckets.get(gx + "," + gy) || []) {
+          if (i === a || i === b) continue;
+          const t    = ((nodes[i].x - A.x) * dx + (nodes[i].y - A.y) * dy) / (length * length);
+          const dist = Math.abs((nodes[i].x - A.x) * dy - (nodes[i].y - A.y) * dx) / length;
+          if (t > 0 && t < 1 && dist <= tolerance) splits.push({ i, t });
+        }
+      }
+    }
+
+    // Chain the edge through the split points in order A → B
+    splits.sort((p, q) => p.t - q.t);
+    let from = a;
+    for (const { i } of splits) {
+      result.push([from, i]);
+      from = i;
+    }
+    result.push([from, b]);
+  }
+
+  return result;
+}
+
+
+// signedArea(points)
+// ------------------
+// Shoelace formula. Positive for counter-clockwise outlines (in
+// DXF's Y-up coordinates), negative for clockwise ones.
+function signedArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const p = points[i];
+    const q = points[(i + 1) % points.length];
+    area += p.x * q.y - q.x * p.y;
+  }
+  return area / 2;
+}
+
+
+// median(values)
+// --------------
+// Middle value of an array of numbers (undefined if empty).
+function median(values) {
+  if (!values.length) return undefined;
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+
+// getNormalizeOrigin(points)
+// --------------------------
+// The DXF point that normalisation treats as the top-left: the
+// smallest X and the largest Y (DXF Y points up) of the given
+// points or key centres.
+function getNormalizeOrigin(points) {
+  return {
+    minX: Math.min(...points.map(p => p.x)),
+    maxY: Math.max(...points.map(p => p.y))
+  };
+}
+
+
+// normalizePoint(p, scale, origin)
+// --------------------------------
+// Converts one DXF point to canvas pixels, exactly the way
+// normalizeKeys() places key centres.
+function normalizePoint(p, scale, origin) {
+  return {
+    x: (p.x - origin.minX) * scale + CANVAS_MARGIN,
+    y: (origin.maxY - p.y) * scale + CANVAS_MARGIN
+  };
+}
+
+
+// normalizeKeys(keys, scale, origin)
+// ----------------------------------
 // DXF coordinates can start anywhere and use any unit scale.
 // This function:
-//   1. Shifts all keys so the leftmost key starts at x=50
+//   1. Shifts all keys so the origin (see getNormalizeOrigin —
+//      normally the leftmost and topmost key) lands at x=50, y=50
 //   2. Flips the Y axis (DXF Y goes up; SVG Y goes down)
-//   3. Scales everything up by 4× so it looks reasonable on screen
-function normalizeKeys(keys) {
-  // Find the leftmost and topmost key positions
-  const minX = Math.min(...keys.map(k => k.x));
-  const maxY = Math.max(...keys.map(k => k.y)); // used for Y-flip
-
-  // Scale factor: multiply all DXF units by this to get SVG pixels.
-  // Increase this number to make the keyboard appear larger.
-  const scale = 4;
-
+//   3. Scales everything by `scale` (canvas px per drawing unit)
+//   4. Flips the rotation direction to match the flipped Y axis
+function normalizeKeys(keys, scale, origin) {
   return keys.map(k => ({
     ...k,  // copy all existing properties (id, layers, etc.)
 
-    // Shift so minX becomes 0, then add 50px left margin
-    x: (k.x - minX) * scale + 50,
-
-    // Flip Y: DXF origin is bottom-left, SVG origin is top-left.
-    // (maxY - k.y) inverts the axis so keys appear right-side up.
-    y: (maxY - k.y) * scale + 50,
+    // Shift so the origin becomes 0, add the margin, and flip Y:
+    // DXF origin is bottom-left, SVG origin is top-left.
+    ...normalizePoint(k, scale, origin),
 
     // Scale width and height too
     width:  k.width  * scale,
-    height: k.height * scale
+    height: k.height * scale,
+
+    // DXF angles are counter-clockwise with Y up. After the Y-flip
+    // above, the same visual angle is clockwise, which is what SVG's
+    // rotate() expects — so we just negate it. (`|| 0` turns -0 into 0.)
+    rotation: -k.rotation || 0
   }));
-}
\ No newline at end of file
+}
+
+
+// parseSplitDXFFiles(leftFile, rightFile, options)
+// ------------------------------------------------
+// Builds one split keyboard out of two DXF files, one per half.
+// Each half is parsed and normalised on its own, then the right
+// half is shifted so it sits to the right of the left half with
+// `options.gap` millimetres of empty space between them.
+//
+// options:
+//   gap            — space between the halves, in mm
+//   mirror         — "none", "left" or "right": flip that file's
+//                    keys horizontally (for halves drawn the same
+//                    way round)
+//   confirmOptions — passed to parseDXFFile for the left half.
+//                    The right half reuses the settings chosen
+//                    there, so both halves share units and pitch.
+//
+// If rightFile is null, the left file is used for both halves and
+// the right copy is mirrored — handy for symmetric boards where
+// only one half was drawn.
+//
+// Every key (and underlay shape) gets a `half` field ("left" /
+// "right") so the app can select and move each half as a group later.
+//
+// Returns a Promise of { keys, settings, report, underlay }, or null
+// if cancelled. The report and underlay cover both files.
+async function parseSplitDXFFiles(leftFile, rightFile, options) {
+  const gap    = options.gap || 0;
+  let   mirror = options.mirror || "none";
+
+  const left = await parseDXFFile(leftFile, { confirmOptions: options.confirmOptions });
+  if (!left) return null;
+
+  const settings = left.settings;
+  let   right;
+
+  if (rightFile) {
+    right = await parseDXFFile(rightFile, { overrides: settings });
+  } else {
+    // Re-parse so the copy gets its own fresh key IDs
+    right  = await parseDXFFile(leftFile, { overrides: settings });
+    mirror = "right";
+  }
+
+  if (mirror === "left")  mirrorImport(left);
+  if (mirror === "right") mirrorImport(right);
+
+  [...left.keys,  ...left.underlay ].forEach(item => item.half = "left");
+  [...right.keys, ...right.underlay].forEach(item => item.half = "right");
+
+  // Slide the right half along so its leftmost edge starts `gap`
+  // mm (converted to canvas pixels) past the left half's
+  // rightmost edge.
+  if (left.keys.length && right.keys.length) {
+    const leftEdge  = Math.max(...left.keys.map(k  => getKeyExtents(k).maxX));
+    const rightEdge = Math.min(...right.keys.map(k => getKeyExtents(k).minX));
+    shiftImport(right, leftEdge - rightEdge + gap * PX_PER_U / settings.pitchMm);
+  }
+
+  const keys = [...left.keys, ...right.keys];
+  keys.forEach(k => syncKeyUnits(k, settings.pitchMm));
+
+  return {
+    keys,
+    settings,
+    report:   mergeReports(left.report, right.report),
+    underlay: [...left.underlay, ...right.underlay]
+  };
+}
+
+
+// mirrorImport(result)
+// --------------------
+// Flips one parsed file (its keys, its underlay and the ghost
+// outlines in its report) horizontally in place, around the centre
+// of the keys' bounding box. Rotations are negated too, so a thumb
+// key tilted one way ends up tilted the other way.
+function mirrorImport(result) {
+  const keys = result.keys;
+  if (!keys.length) return;
+
+  const minX = Math.min(...keys.map(k => getKeyExtents(k).minX));
+  const maxX = Math.max(...keys.map(k => getKeyExtents(k).maxX));
+  const flip = x => minX + maxX - x;
+
+  const flipKey = k => {
+    k.x        = flip(k.x);
+    k.rotation = -k.rotation || 0;
+  };
+
+  keys.forEach(flipKey);
+  result.underlay.forEach(sh => {
+    if (sh.center) sh.center.x = flip(sh.center.x);
+    else sh.points.forEach(p => p.x = flip(p.x));
+  });
+  result.report.rejected.forEach(r => {
+    r.outline.forEach(o => o.points.forEach(p => p.x = flip(p.x)));
+    if (r.key) flipKey(r.key);
+  });
+}
+
+
+// shiftImport(result, dx)
+// -----------------------
+// Moves one parsed file (keys, underlay and ghost outlines) right
+// by dx px.
+function shiftImport(result, dx) {
+  result.keys.forEach(k => k.x += dx);
+  result.underlay.forEach(sh => moveUnderlayShape(sh, dx, 0));
+  result.report.rejected.forEach(r => {
+    r.outline.forEach(o => o.points.forEach(p => p.x += dx));
+    if (r.key) r.key.x += dx;
+  });
+}
+
+
+// mergeReports(left, right)
+// -------------------------
+// Combines the import reports of the two halves of a split board.
+// Each rejected shape is tagged with the half it came from.
+function mergeReports(left, right) {
+  const entityCounts = { ...left.entityCounts };
+  Object.entries(right.entityCounts).forEach(([type, n]) => {
+    entityCounts[type] = (entityCounts[type] || 0) + n;
+  });
+
+  return {
+    fileName: `${left.fileName} + ${right.fileName}`,
+    entityCounts,
+    keyCount: left.keyCount + right.keyCount,
+    rejected: [
+      ...left.rejected.map(r  => ({ ...r, half: "left"  })),
+      ...right.rejected.map(r => ({ ...r, half: "right" }))
+    ]
+  };
+}
+
+
+// getKeyExtents(key)
+// ------------------
+// Returns the axis-aligned bounding box { minX, maxX, minY, maxY }
+// of a (possibly rotated) key, in the same units as the key.
+function getKeyExtents(key) {
+  const rad = (key.rotation || 0) * Math.PI / 180;
+  // Half-size of the bounding box of a rotated rectangle
+  const hw = (Math.abs(key.width * Math.cos(rad)) + Math.abs(key.height * Math.sin(rad))) / 2;
+  const hh = (Math.abs(key.width * Math.sin(rad)) + Math.abs(key.height * Math.cos(rad))) / 2;
+
+  return {
+    minX: key.x - hw,
+    maxX: key.x + hw,
+    minY: key.y - hh,
+    maxY: key.y + hh
+  };
+}
+
+
+// moveUnderlayShape(shape, dx, dy)
+// --------------------------------
+// Moves one underlay shape (as returned by buildKeysFromAnalysis)
+// by dx, dy canvas pixels, in place.
+function moveUnderlayShape(shape, dx, dy) {
+  const points = shape.center ? [shape.center] : shape.points;
+  points.forEach(p => {
+    p.x += dx;
+    p.y += dy;
+  });
+}
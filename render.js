@@ -6,7 +6,23 @@
 //   - single click to select
 //   - shift+click for multi-select
 //   - double-click to type a label inline on the key
+//   - moving the selection and typing labels from the keyboard
 //   - click+drag on empty canvas for rubber-band selection
+//   - in Edit Geometry mode, dragging keys and their resize handles
+//   - on touch screens: tap to select, long-press to add to the
+//     selection, double-tap to edit, one-finger drag to rubber-band
+//     (two-finger pan and pinch zoom are app.js's)
+//
+// The SVG elements are made once and then kept: each render updates
+// the key groups already on the canvas in place, adding those of
+// new keys and removing those of deleted ones. The mouse is handled
+// by one set of Pointer Events listeners on the canvas (see
+// initCanvas), which find the key under the pointer, rather than by
+// listeners on every key. A mouse (or pen) works as it always has;
+// touches go through the gestures under "Touch" below.
+//
+// Switching layers only moves the active look from one layer block
+// to another (see showActiveLayer).
 //
 // This file also owns the `selectedIds` Set (which keys are
 // currently selected) and the highlight/deselect helpers that
@@ -15,20 +31,43 @@
 // SVG structure produced:
 //   <svg id="keyboardCanvas">
 //     <g id="viewport">          ← panned/zoomed by app.js
-//       <line/>                  ← separator between layer blocks
-//       <text/>                  ← layer name label
-//       <g data-key-id data-layer>  ← one group per key per layer
-//         <rect/>                ← coloured key background
-//         <text/>                ← key label (visible normally)
-//         <foreignObject>        ← contains an <input> for inline editing
-//           <input/>
-//         </foreignObject>
-//         <rect/>                ← highlight border (shown when selected)
+//      <g class="layer-block" data-layer>  ← one per layer block, moved into place
+//       <g class="layer-back">   ← redrawn on every render
+//         <line/>                ← separator between rows of layer blocks
+//         <g class="underlay">   ← non-key DXF geometry (every layer block)
+//           <path data-dxf-layer/> ← one path per DXF layer
+//         </g>
+//       </g>
+//       <g class="layer-label">  ← layer name label (+ underline when active)
+//       <g id="ghostGroup">      ← rejected import shapes (active layer only)
+//         <path data-ghost-id/>
+//       </g>
+//       <g class="layer-keys">
+//         <g data-key-id data-layer>  ← one group per key per layer
+//           <rect class="key-bg"/> ← coloured key background (dashed if transparent)
+//           <text/>              ← key label (visible normally; faded if inherited)
+//           <g class="key-legends">  ← the other legend slots (see layers.js)
+//             <text data-slot/>
+//           </g>
+//           <text class="key-order"/> ← physical order number (optional)
+//           <text class="key-matrix"/> ← matrix row,col (optional)
+//           <foreignObject>      ← the inline editor, while a label is typed
+//             <input/>
+//           </foreignObject>
+//           <rect/>              ← highlight border (shown when selected)
+//           <g class="resize-handles">  ← Edit Geometry mode only (shown when selected)
+//         </g>
+//         ...more keys...
 //       </g>
-//       ...more keys...
+//       <g class="matrix-overlay">  ← matrix rows / columns (active layer, optional)
+//      </g>
+//      ...more layer blocks...
 //       <g id="rubberGroup"/>    ← rubber-band selection rect drawn here
 //     </g>
 //   </svg>
+//
+// The active layer's block has the "active" class; style.css dims
+// the keys of the others and hides their order and matrix numbers.
 // ============================================================
 
 
@@ -40,7 +79,28 @@ const SVG_NS = "http://www.w3.org/2000/svg";
 // viewportGroup is the single <g> that wraps everything on the canvas.
 // Pan and zoom are applied to this element's `transform` attribute,
 // so moving/scaling this one group moves everything at once.
+// rubberGroup is kept last in it, so the rubber band paints on top.
+// Both are made once, by initCanvas.
 let viewportGroup = null;
+let rubberGroup   = null;
+
+// blockGroups holds the <g class="layer-block"> of each layer, by
+// layer name. A block's key groups are in its `_keyGroups` Map, by
+// key id. The blocks of layers that aren't drawn right now (hidden,
+// or left out by the view mode) are kept off the canvas, ready to be
+// put back. drawnBlocks is the layer blocks of the last render, by
+// layer name ({ layer, x, y } from getLayerBlocks), in order.
+const blockGroups = new Map();
+let drawnBlocks   = new Map();
+
+// blockSize is the size of one layer block in the last render
+// (getKeysWidth / getKeysHeight), not counting its label
+let blockSize = { width: 0, height: 0 };
+
+// activeLayer is the layer being edited — the one whose keys can be
+// clicked and selected. app.js has its own `currentLayer`; this one
+// follows it through renderKeyboard and showActiveLayer.
+let activeLayer = null;
 
 // selectedIds is a Set of key IDs (the `id` field from each key object)
 // that are currently selected. A Set is used so membership checks
@@ -48,11 +108,42 @@ let viewportGroup = null;
 // app.js reads this directly to know what to apply changes to.
 let selectedIds = new Set();
 
+// matrixCheck is the checkMatrix() result (firmware.js) for the
+// current render while the matrix overlay is on, so each key can
+// be flagged as a duplicate; null while it's off.
+let matrixCheck = null;
+
+// renderedKeys is the keys array of the last render, which geometry
+// drags snap against. geometryDrag is the move or resize under way
+// in Edit Geometry mode (see startGeometryDrag), or null.
+// skipNextClick swallows the click that ends a press which already
+// changed the selection.
+let renderedKeys  = [];
+let geometryDrag  = null;
+let skipNextClick = false;
+
 // Rubber-band drag state. rubberBand is the SVG <rect> element drawn
-// while the user is dragging a selection box on empty canvas.
+// while the user is dragging a selection box on empty canvas, from
+// rbStartSVG (in canvas coordinates).
 let rubberBand = null;
+let rbStartSVG = null;
 let isRubberBanding = false;
 
+// Where the last press on the canvas was, in screen px — a click
+// on a ghost outline only counts if the mouse didn't move since
+let pressX = 0;
+let pressY = 0;
+
+// Touch state (see "Touch" below). touchPress is the one-finger
+// press under way, or null; touchCount is how many fingers are on
+// the canvas. lastTap is the last tap on a key, { id, time }, for
+// spotting a double-tap; lastTouchEnd the time the last finger
+// lifted, as the browser follows a tap with a click of its own.
+let touchPress   = null;
+let touchCount   = 0;
+let lastTap      = null;
+let lastTouchEnd = 0;
+
 // Layout constants for stacking multiple layer blocks vertically.
 // LAYER_GAP is the empty space between the bottom of one keyboard
 // block and the top label of the next.
@@ -67,132 +158,496 @@ const LAYER_LABEL_HEIGHT = 28;
 // Main entry point called by app.js whenever:
 //   - a DXF file is loaded
 //   - a JSON layout is loaded
-//   - the active layer changes (to update which block is highlighted)
-//   - a new layer is added
+//   - keys are added, deleted or rearranged
+//   - a layer is added, removed, hidden or renamed
+//   - the view mode or a display option changes
 //
-// Completely clears and redraws the SVG from scratch each time.
-// The current pan/zoom transform is preserved so the view doesn't jump.
+// Brings the canvas up to date with `keys`: the layer blocks are
+// moved into place, and every key group is updated in place — only
+// the groups of new keys are made, and those of deleted keys are
+// removed. The selection is cleared, as the keys may have changed
+// under it. Which layers are drawn, and where, depends on the view
+// mode (see getViewMode and getLayerBlocks below).
 //
 // Parameters:
 //   keys         — array of key objects (from parser.js or loaded JSON)
 //   currentLayer — name of the layer currently active for editing
 function renderKeyboard(keys, currentLayer) {
-  // `layers` is a global array declared in app.js containing all layer
-  // names in order (e.g. ["base", "fn"]). We fall back to just the
-  // current layer if somehow app.js hasn't defined it yet.
-  const allLayers = typeof layers !== "undefined" ? layers : [currentLayer];
-
-  const svg = document.getElementById("keyboardCanvas");
+  initCanvas();
 
-  // Before wiping the SVG, grab the existing transform so we can
-  // reapply it after redraw — otherwise every re-render would reset
-  // the user's pan and zoom back to the default.
-  const oldViewport = document.getElementById("viewport");
-  const oldTransform = oldViewport ? oldViewport.getAttribute("transform") : null;
+  // A label being typed is saved before its key is redrawn
+  closeInlineEditor();
 
-  // Wipe everything inside the SVG and reset selection state
-  svg.innerHTML = "";
+  // Reset selection state. The key groups stay, so their highlights
+  // are taken off first.
+  clearAllHighlights();
   selectedIds.clear();
+  renderedKeys  = keys;
+  activeLayer   = currentLayer;
+  skipNextClick = false;
   updateSelectionPanel(); // tell the panel there's nothing selected
 
-  // Create a fresh viewport group. Everything is appended to this.
-  viewportGroup = document.createElementNS(SVG_NS, "g");
-  viewportGroup.id = "viewport";
+  // The layers that get drawn, in order — hidden ones left out
+  const allLayers = getDrawnLayers(currentLayer);
+
+  // Calculate how big one keyboard block is so we know how far
+  // to offset each subsequent layer block
+  const blockHeight = getKeysHeight(keys);
+  const blockWidth  = getKeysWidth(keys);
+
+  // The `showMatrix` global lives in app.js
+  matrixCheck = typeof showMatrix !== "undefined" && showMatrix ? checkMatrix(keys) : null;
+
+  // Where each layer block goes depends on the view mode
+  const blocks = getLayerBlocks(allLayers, currentLayer, blockWidth, blockHeight);
+  drawnBlocks  = new Map(blocks.map(block => [block.layer, block]));
+  blockSize    = { width: blockWidth, height: blockHeight };
+
+  // Take the blocks that aren't drawn now off the canvas, and forget
+  // those of layers that are gone (deleted or renamed)
+  blockGroups.forEach((group, name) => {
+    if (drawnBlocks.has(name)) return;
+    group.remove();
+    if (typeof layers !== "undefined" && !layers.includes(name)) blockGroups.delete(name);
+  });
+
+  // style.css gives the keys a move cursor in Edit Geometry mode
+  document.getElementById("keyboardCanvas").classList.toggle("edit-geometry", isEditingGeometry());
+
+  blocks.forEach(block => {
+    const group = getBlockGroup(block.layer);
+    group.setAttribute("transform", `translate(${block.x}, ${block.y})`);
+    group.classList.toggle("active", block.layer === currentLayer);
+    // In drawing order, under the rubber band
+    viewportGroup.insertBefore(group, rubberGroup);
 
-  // Reapply the saved pan/zoom transform if there was one
-  if (oldTransform) {
-    viewportGroup.setAttribute("transform", oldTransform);
+    drawBlockBack(group, block, blocks, blockWidth);
+    drawBlockLabel(group);
+    syncBlockKeys(group, keys);
+  });
+
+  // ── Ghost outlines and matrix overlay, on the active block ──
+  viewportGroup.querySelectorAll("#ghostGroup, .matrix-overlay").forEach(el => el.remove());
+  const active = blockGroups.get(currentLayer);
+  if (active && drawnBlocks.has(currentLayer)) {
+    // Ghosts go behind the keys, the matrix lines over them
+    const ghosts = buildGhostOutlines(LAYER_LABEL_HEIGHT);
+    if (ghosts) active.insertBefore(ghosts, active._keys);
+    if (matrixCheck) active.appendChild(buildMatrixOverlay(keys, LAYER_LABEL_HEIGHT));
   }
 
-  // Calculate how tall one keyboard block is so we know how far
-  // to offset each subsequent layer block downward
-  const blockHeight = getKeysHeight(keys);
+  // app.js redraws the minimap
+  document.dispatchEvent(new CustomEvent("canvasRendered"));
+}
 
-  // Draw each layer as a separate keyboard block stacked vertically
-  allLayers.forEach((layerName, layerIndex) => {
-    // offsetY is how far down this layer block starts.
-    // Layer 0 = top, layer 1 = below the first block + gap, etc.
-    const offsetY = layerIndex * (blockHeight + LAYER_GAP + LAYER_LABEL_HEIGHT);
-
-    // ── Layer name label (e.g. "BASE", "FN") ──────────────────
-    const label = document.createElementNS(SVG_NS, "text");
-    label.setAttribute("x", 50);
-    label.setAttribute("y", offsetY + LAYER_LABEL_HEIGHT - 8); // sit just above the keys
-    label.setAttribute("font-size", "14");
-    // Active layer is bright blue, inactive layers are muted grey
-    label.setAttribute("fill", layerName === currentLayer ? "#4c8bf5" : "#5a6880");
-    label.setAttribute("font-family", "system-ui, sans-serif");
-    label.setAttribute("font-weight", "600");
-    label.setAttribute("letter-spacing", "1");
-    label.setAttribute("pointer-events", "none"); // labels shouldn't block clicks
-    label.textContent = layerName.toUpperCase();
-
-    // Draw a blue underline beneath the active layer's label
-    if (layerName === currentLayer) {
-      const underline = document.createElementNS(SVG_NS, "line");
-      underline.setAttribute("x1", 50);
-      underline.setAttribute("y1", offsetY + LAYER_LABEL_HEIGHT - 4);
-      // Approximate label width by multiplying character count × 9px
-      underline.setAttribute("x2", 50 + layerName.length * 9);
-      underline.setAttribute("y2", offsetY + LAYER_LABEL_HEIGHT - 4);
-      underline.setAttribute("stroke", "#4c8bf5");
-      underline.setAttribute("stroke-width", "2");
-      underline.setAttribute("pointer-events", "none");
-      viewportGroup.appendChild(underline);
-    }
 
-    viewportGroup.appendChild(label);
-
-    // ── Dashed separator line between layer blocks ─────────────
-    // Don't draw one before the very first block
-    if (layerIndex > 0) {
-      const sep = document.createElementNS(SVG_NS, "line");
-      const sepY = offsetY - LAYER_GAP / 2; // centre it in the gap
-      sep.setAttribute("x1", 30);
-      sep.setAttribute("y1", sepY);
-      sep.setAttribute("x2", 2000); // extend across the full canvas width
-      sep.setAttribute("y2", sepY);
-      sep.setAttribute("stroke", "#2a2f3a");
-      sep.setAttribute("stroke-width", "1");
-      sep.setAttribute("stroke-dasharray", "6,4"); // dashed line pattern
-      sep.setAttribute("pointer-events", "none");
-      viewportGroup.appendChild(sep);
-    }
+// ── showActiveLayer ───────────────────────────────────────────
+//
+// Called by app.js when the user switches layers. Where every layer
+// has its own block (the stacked and grid views), nothing is
+// redrawn: the "active" class moves to the new layer's block (so
+// style.css dims the others), its label is underlined, and the
+// ghost outlines and matrix overlay move over to it. The single-layer
+// and combined views only draw the active layer, so they're
+// redrawn with renderKeyboard.
+//
+// The selection is per-layer — app.js clears it before switching.
+function showActiveLayer(keys, currentLayer) {
+  const mode  = getViewMode();
+  const block = drawnBlocks.has(currentLayer) ? blockGroups.get(currentLayer) : null;
+  if (mode === "single" || mode === "combined" || !block || keys !== renderedKeys) {
+    renderKeyboard(keys, currentLayer);
+    return;
+  }
 
-    // ── Draw all keys for this layer ──────────────────────────
-    // offsetY + LAYER_LABEL_HEIGHT pushes the keys down past the label
-    keys.forEach(key => {
-      buildKeyElement(key, layerName, offsetY + LAYER_LABEL_HEIGHT, currentLayer);
-    });
+  closeInlineEditor();
+  clearAllHighlights();
+  selectedIds.clear();
+  activeLayer   = currentLayer;
+  skipNextClick = false;
+  updateSelectionPanel();
+
+  drawnBlocks.forEach((_, name) => {
+    const group = blockGroups.get(name);
+    group.classList.toggle("active", name === currentLayer);
+    drawBlockLabel(group);
   });
 
+  const ghosts  = viewportGroup.querySelector("#ghostGroup");
+  const overlay = viewportGroup.querySelector(".matrix-overlay");
+  if (ghosts)  block.insertBefore(ghosts, block._keys);
+  if (overlay) block.appendChild(overlay);
+
+  document.dispatchEvent(new CustomEvent("canvasRendered"));
+}
+
+
+// ── initCanvas ────────────────────────────────────────────────
+//
+// Sets the canvas up on the first render: the viewport and rubber
+// band groups, and the pointer listeners for everything drawn in
+// them. Key clicks, double-clicks and mouse presses are handled on
+// the viewport group, where they bubble up from whichever key they
+// were on; the rubber band and touches start from a press on the
+// canvas itself. Drags are followed on the window (below). Does
+// nothing after the first time.
+function initCanvas() {
+  if (viewportGroup) return;
+  const svg = document.getElementById("keyboardCanvas");
+
+  viewportGroup = document.createElementNS(SVG_NS, "g");
+  viewportGroup.id = "viewport";
+
   // ── Rubber-band overlay group ──────────────────────────────
-  // This empty group is appended last so it paints on top of all keys.
-  // The drag-selection rectangle is drawn inside it temporarily.
-  const rubberGroup = document.createElementNS(SVG_NS, "g");
+  // Layer blocks are inserted before it, so it paints on top of
+  // all keys. The drag-selection rectangle is drawn inside it
+  // temporarily.
+  rubberGroup = document.createElementNS(SVG_NS, "g");
   rubberGroup.id = "rubberGroup";
   viewportGroup.appendChild(rubberGroup);
 
   svg.appendChild(viewportGroup);
 
-  // Wire up the rubber-band drag-select behaviour for this render
-  setupRubberBand(svg, keys, currentLayer, allLayers, blockHeight);
-
-  // Parse the saved transform string back into panX/panY/zoom numbers
-  // so that app.js's updateViewport() stays in sync.
-  if (oldTransform) {
-    const match = oldTransform.match(
-      /translate\(([-\d.]+),\s*([-\d.]+)\)\s*scale\(([-\d.]+)\)/
-    );
-    if (match) {
-      panX = parseFloat(match[1]);
-      panY = parseFloat(match[2]);
-      zoom = parseFloat(match[3]);
+  // Apply the pan/zoom app.js already has (updateViewport is in app.js)
+  if (typeof updateViewport !== "undefined") updateViewport();
+
+  viewportGroup.addEventListener("click",       onKeyClick);
+  viewportGroup.addEventListener("dblclick",    onKeyDoubleClick);
+  viewportGroup.addEventListener("pointerdown", onKeyPointerDown);
+  svg.addEventListener("pointerdown", onCanvasPointerDown);
+
+  // A long-press is ours, not the browser's context menu
+  svg.addEventListener("contextmenu", (e) => {
+    if (touchPress) e.preventDefault();
+  });
+}
+
+
+// ── getActiveKeyGroup ─────────────────────────────────────────
+//
+// The key group an event happened in, if it's one of the active
+// layer's keys — the only ones that can be clicked. null otherwise
+// (empty canvas, a ghost outline, a key on an inactive layer).
+function getActiveKeyGroup(target) {
+  const group = target.closest ? target.closest("g[data-key-id]") : null;
+  return group && group.dataset.layer === activeLayer ? group : null;
+}
+
+
+// ── onKeyPointerDown ──────────────────────────────────────────
+//
+// A mouse press anywhere in the viewport (touches are left to
+// onCanvasPointerDown). In Edit Geometry mode, a press on one of
+// the active layer's keys starts moving the selected keys, or
+// resizing this one if it's on a handle; stopPropagation keeps the
+// canvas from panning or rubber-band selecting too.
+function onKeyPointerDown(e) {
+  pressX = e.clientX;
+  pressY = e.clientY;
+
+  // Clicking inside the inline editor mustn't start a pan drag
+  if (e.target.tagName === "INPUT") {
+    e.stopPropagation();
+    return;
+  }
+  if (e.pointerType === "touch") return;
+
+  const group = getActiveKeyGroup(e.target);
+  if (!group || !isEditingGeometry() || e.button !== 0) return;
+  e.stopPropagation();
+  startGeometryDrag(e, group._key, group, e.target.dataset.handle || null);
+}
+
+
+// ── onKeyClick ────────────────────────────────────────────────
+//
+// Single click on one of the active layer's keys: select it (or
+// toggle it with Shift). A click on a ghost outline fires a
+// "ghostClicked" event; app.js turns that shape into a key.
+function onKeyClick(e) {
+  // The browser's click after a tap — the tap was handled already
+  if (Date.now() - lastTouchEnd < 800) return;
+
+  const ghost = e.target.closest("[data-ghost-id]");
+  if (ghost) {
+    // A click only counts if the mouse didn't move in between —
+    // otherwise it was the end of a pan or rubber-band drag.
+    if (Math.abs(e.clientX - pressX) > 4 || Math.abs(e.clientY - pressY) > 4) return;
+    clickGhost(ghost);
+    return;
+  }
+
+  const group = getActiveKeyGroup(e.target);
+  if (!group) return;
+
+  // If the inline editor is open, clicks inside it shouldn't
+  // trigger selection changes — ignore them.
+  if (inlineEditor.group === group) return;
+
+  // The press already selected the key (Edit Geometry mode)
+  if (skipNextClick) { skipNextClick = false; return; }
+
+  clickKeyGroup(group, e.shiftKey);
+}
+
+
+// clickGhost(ghost) — a click or tap on a ghost outline's <path>
+function clickGhost(ghost) {
+  document.dispatchEvent(new CustomEvent("ghostClicked", {
+    detail: { id: ghost.dataset.ghostId }
+  }));
+}
+
+
+// ── clickKeyGroup ─────────────────────────────────────────────
+//
+// A click (or tap) on a key group: selects just that key, or with
+// `toggle` (Shift+click, long-press) adds it to the selection or
+// takes it out.
+function clickKeyGroup(group, toggle) {
+  const id = group._key.id;
+  if (toggle) {
+    // Shift+click: toggle this key in/out of the selection
+    if (selectedIds.has(id)) {
+      selectedIds.delete(id);
+      setKeyHighlight(group, false);
+    } else {
+      selectedIds.add(id);
+      setKeyHighlight(group, true);
+      bringToTop(group); // paint on top so highlight isn't covered
     }
+  } else {
+    // Plain click: clear all others and select just this key
+    clearAllHighlights();
+    selectedIds.clear();
+    selectedIds.add(id);
+    setKeyHighlight(group, true);
+    bringToTop(group);
+  }
+
+  // Tell the panel to update (badge count, field values)
+  updateSelectionPanel();
+
+  // Plain clicks are also announced on their own, for modes that
+  // act on the clicked key (app.js: assigning matrix positions)
+  if (!toggle) {
+    document.dispatchEvent(new CustomEvent("keyClicked", { detail: { id } }));
   }
 }
 
 
+// ── onKeyDoubleClick ──────────────────────────────────────────
+//
+// Double-click on one of the active layer's keys: open the inline
+// text editor on it.
+function onKeyDoubleClick(e) {
+  if (Date.now() - lastTouchEnd < 800) return; // a double-tap's
+  const group = getActiveKeyGroup(e.target);
+  if (group) editKeyGroup(group);
+}
+
+
+// editKeyGroup(group) — a double-click or double-tap on a key
+// group: makes it the only key selected and opens the editor on it
+function editKeyGroup(group) {
+  // Don't open the editor if multiple keys are selected —
+  // typing the same label into 20 keys at once makes no sense
+  if (selectedIds.size > 1) return;
+
+  // Locked layers can't be edited (isLayerLocked is in app.js)
+  if (isLayerLocked(group.dataset.layer)) return;
+
+  // Make this the only selected key
+  clearAllHighlights();
+  selectedIds.clear();
+  selectedIds.add(group._key.id);
+  setKeyHighlight(group, true);
+  bringToTop(group);
+  updateSelectionPanel();
+
+  openInlineEditor(group);
+}
+
+
+// ── getBlockGroup ─────────────────────────────────────────────
+//
+// The <g class="layer-block"> of a layer, made (empty) the first
+// time it's asked for. Its parts are kept on it: `_back`, `_label`
+// and `_keys` (see the SVG structure at the top), and `_keyGroups`,
+// the key groups by key id.
+function getBlockGroup(layerName) {
+  if (blockGroups.has(layerName)) return blockGroups.get(layerName);
+
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("class", "layer-block");
+  group.dataset.layer = layerName;
+
+  ["layer-back", "layer-label", "layer-keys"].forEach(name => {
+    const part = document.createElementNS(SVG_NS, "g");
+    part.setAttribute("class", name);
+    group.appendChild(part);
+  });
+  // Nothing in the back or label parts takes clicks
+  group.children[0].setAttribute("pointer-events", "none");
+  group.children[1].setAttribute("pointer-events", "none");
+
+  group._back      = group.children[0];
+  group._label     = group.children[1];
+  group._keys      = group.children[2];
+  group._keyGroups = new Map();
+
+  blockGroups.set(layerName, group);
+  return group;
+}
+
+
+// ── drawBlockBack ─────────────────────────────────────────────
+//
+// Redraws what's behind a layer block's keys: the separator line
+// above it and the DXF underlay. `blocks` is every block drawn
+// (the separator runs under all of them), `blockWidth` the width
+// of one.
+function drawBlockBack(group, block, blocks, blockWidth) {
+  group._back.innerHTML = "";
+
+  // ── Dashed separator line between rows of layer blocks ─────
+  // Don't draw one before the very first row
+  if (block.y > 0 && block.x === 0) {
+    const sep = document.createElementNS(SVG_NS, "line");
+    const sepY = -LAYER_GAP / 2; // centre it in the gap
+    sep.setAttribute("x1", 30);
+    sep.setAttribute("y1", sepY);
+    // extend across the full canvas width (and every grid column)
+    sep.setAttribute("x2", Math.max(2000, ...blocks.map(b => b.x + blockWidth)));
+    sep.setAttribute("y2", sepY);
+    sep.setAttribute("stroke", "#2a2f3a");
+    sep.setAttribute("stroke-width", "1");
+    sep.setAttribute("stroke-dasharray", "6,4"); // dashed line pattern
+    group._back.appendChild(sep);
+  }
+
+  // ── Underlay: case outline, holes etc. from the DXF ───────
+  buildUnderlay(LAYER_LABEL_HEIGHT, group._back);
+}
+
+
+// ── drawBlockLabel ────────────────────────────────────────────
+//
+// Redraws a layer block's name label (e.g. "BASE", "FN"): bright
+// blue and underlined for the active layer, muted grey for the
+// others. The combined view's one block lists every layer, each in
+// the colour its legends are printed in.
+function drawBlockLabel(group) {
+  const layerName = group.dataset.layer;
+  const active    = layerName === activeLayer;
+  const combined  = getViewMode() === "combined";
+  group._label.innerHTML = "";
+
+  const label = document.createElementNS(SVG_NS, "text");
+  label.setAttribute("x", 50);
+  label.setAttribute("y", LAYER_LABEL_HEIGHT - 8); // sit just above the keys
+  label.setAttribute("font-size", "14");
+  // Active layer is bright blue, inactive layers are muted grey
+  label.setAttribute("fill", active ? "#4c8bf5" : "#5a6880");
+  label.setAttribute("font-family", "system-ui, sans-serif");
+  label.setAttribute("font-weight", "600");
+  label.setAttribute("letter-spacing", "1");
+  if (combined) {
+    // Every layer's name, in the colour its legends are printed in
+    getCombinedLayers(layerName).forEach((name, i) => {
+      const span = document.createElementNS(SVG_NS, "tspan");
+      span.setAttribute("fill", i === 0 ? "#c8d0dc" : combinedLayerColor(i));
+      if (i > 0) span.setAttribute("dx", 16);
+      if (name === activeLayer) span.setAttribute("text-decoration", "underline");
+      span.textContent = name.toUpperCase() + (isLayerLocked(name) ? " 🔒" : "");
+      label.appendChild(span);
+    });
+  } else {
+    // A padlock after the name of a layer that's locked against edits
+    label.textContent = layerName.toUpperCase() + (isLayerLocked(layerName) ? " 🔒" : "");
+  }
+
+  // Draw a blue underline beneath the active layer's label
+  if (active && !combined) {
+    const underline = document.createElementNS(SVG_NS, "line");
+    underline.setAttribute("x1", 50);
+    underline.setAttribute("y1", LAYER_LABEL_HEIGHT - 4);
+    // Approximate label width by multiplying character count × 9px
+    underline.setAttribute("x2", 50 + layerName.length * 9);
+    underline.setAttribute("y2", LAYER_LABEL_HEIGHT - 4);
+    underline.setAttribute("stroke", "#4c8bf5");
+    underline.setAttribute("stroke-width", "2");
+    group._label.appendChild(underline);
+  }
+
+  group._label.appendChild(label);
+}
+
+
+// ── syncBlockKeys ─────────────────────────────────────────────
+//
+// Brings a layer block's key groups up to date with `keys`: removes
+// the groups of keys that are gone, makes groups for keys that are
+// new (added on top of the others), and updates the rest in place.
+// The key objects may be new ones with the same ids (after an undo,
+// say), so each group is pointed at the current object.
+function syncBlockKeys(block, keys) {
+  const layerName = block.dataset.layer;
+  const groups    = block._keyGroups;
+  const onLayer   = keys.filter(key => key.layers[layerName]);
+  const ids       = new Set(onLayer.map(key => key.id));
+
+  groups.forEach((group, id) => {
+    if (ids.has(id)) return;
+    group.remove();
+    groups.delete(id);
+  });
+
+  onLayer.forEach(key => {
+    let group = groups.get(key.id);
+    if (!group) {
+      group = buildKeyElement(key, layerName);
+      groups.set(key.id, group);
+      block._keys.appendChild(group);
+    }
+    group._key = key;
+    updateKeyElement(group);
+  });
+}
+
+
+// ── getKeyGroup / getKeyGroups ────────────────────────────────
+//
+// getKeyGroup(keyId, layerName) is a key's group on a layer's
+// block, or null if that layer isn't drawn. getKeyGroups(keyId) is
+// its group on every layer block drawn.
+function getKeyGroup(keyId, layerName) {
+  if (!drawnBlocks.has(layerName)) return null;
+  return blockGroups.get(layerName)._keyGroups.get(keyId) || null;
+}
+
+function getKeyGroups(keyId) {
+  return [...drawnBlocks.keys()].map(name => getKeyGroup(keyId, name)).filter(Boolean);
+}
+
+
+// ── getBlockRects ─────────────────────────────────────────────
+//
+// Where the layer blocks of the last render are on the canvas,
+// labels included: [{ layer, x, y, width, height }, ...], in
+// drawing order. app.js fits the view to them and draws them in
+// the minimap.
+function getBlockRects() {
+  return [...drawnBlocks.values()].map(block => ({
+    layer:  block.layer,
+    x:      block.x,
+    y:      block.y,
+    width:  blockSize.width,
+    height: blockSize.height + LAYER_LABEL_HEIGHT
+  }));
+}
+
+
 // ── getKeysHeight ─────────────────────────────────────────────
 //
 // Calculates the total pixel height needed to display one full
@@ -200,61 +655,354 @@ function renderKeyboard(keys, currentLayer) {
 // Returns 400px as a safe fallback if there are no keys yet.
 function getKeysHeight(keys) {
   if (!keys.length) return 400;
-  // Find the lowest and highest key edges
-  const maxY = Math.max(...keys.map(k => k.y + k.height / 2));
-  const minY = Math.min(...keys.map(k => k.y - k.height / 2));
+  // Find the lowest and highest key edges (rotated keys reach
+  // further — getKeyExtents is in parser.js), and stretch that to
+  // fit the underlay if it's showing (a case outline is usually
+  // bigger than the keys)
+  const extents = keys.map(getKeyExtents);
+  const ys = getVisibleUnderlay().flatMap(sh =>
+    sh.center ? [sh.center.y - sh.radius, sh.center.y + sh.radius] : sh.points.map(p => p.y)
+  );
+  const maxY = Math.max(...extents.map(e => e.maxY), ...ys);
+  const minY = Math.min(...extents.map(e => e.minY), ...ys);
   // Add 60px padding so keys don't sit right at the boundary
   return maxY - minY + 60;
 }
 
 
-// ── buildKeyElement ───────────────────────────────────────────
+// ── getKeysWidth ──────────────────────────────────────────────
+//
+// How far right one keyboard block reaches, used to place the
+// blocks side by side in the grid view. Keys are drawn at their own
+// x positions inside the block, so this is the rightmost key (or
+// underlay) edge rather than the spread between the edges.
+function getKeysWidth(keys) {
+  if (!keys.length) return 600;
+  const xs = getVisibleUnderlay().flatMap(sh =>
+    sh.center ? [sh.center.x + sh.radius] : sh.points.map(p => p.x)
+  );
+  return Math.max(...keys.map(k => getKeyExtents(k).maxX), ...xs) + 60;
+}
+
+
+// ── getViewMode ───────────────────────────────────────────────
+//
+// How the layers are laid out on the canvas — the `viewMode`
+// global from app.js:
+//   "stacked"  — every layer, one block under the other
+//   "single"   — only the active layer
+//   "grid"     — every layer, in rows of `gridColumns` blocks
+//   "combined" — one block, with each layer's label in its own
+//                corner of the keycap (see getCombinedAppearance)
+function getViewMode() {
+  return typeof viewMode !== "undefined" ? viewMode : "stacked";
+}
+
+
+// ── getDrawnLayers ────────────────────────────────────────────
+//
+// The layers that are drawn, in order — every layer the user
+// hasn't hidden. The `layers` global lives in app.js.
+function getDrawnLayers(currentLayer) {
+  if (typeof layers === "undefined") return [currentLayer];
+  return layers.filter(name => !isLayerHidden(name));
+}
+
+
+// ── getLayerBlocks ────────────────────────────────────────────
+//
+// Where each layer block goes on the canvas, for the view mode:
+//   [{ layer, x, y }, ...]
+// x / y are the block's top-left corner (the top of its label).
+// The single-layer and combined views have one block, for the
+// active layer — that's the one selection and editing work on.
+// `mode` defaults to the current view mode.
+function getLayerBlocks(allLayers, currentLayer, blockWidth, blockHeight, mode = getViewMode()) {
+  if (mode === "single" || mode === "combined") {
+    return [{ layer: currentLayer, x: 0, y: 0 }];
+  }
+
+  // The `gridColumns` global lives in app.js
+  const columns = mode === "grid" && typeof gridColumns !== "undefined"
+    ? Math.max(1, gridColumns)
+    : 1;
+
+  return allLayers.map((layer, i) => ({
+    layer,
+    x: (i % columns) * (blockWidth + LAYER_GAP),
+    y: Math.floor(i / columns) * (blockHeight + LAYER_GAP + LAYER_LABEL_HEIGHT)
+  }));
+}
+
+
+// ── Combined view ─────────────────────────────────────────────
+//
+// In the combined view the active layer's label is printed in the
+// middle of each key, as usual, and the label of every other drawn
+// layer goes in a slot of its own (COMBINED_SLOTS, by the layer's
+// position) in that layer's colour — like the shifted and Fn
+// legends printed on a real keycap. Keys that are transparent on a
+// layer show nothing for it.
+const COMBINED_SLOTS = [
+  "center",      "top-left", "top-right", "bottom-left", "bottom-right",
+  "top",         "bottom",   "left",      "right",
+  "front-left",  "front",    "front-right"
+];
+
+const COMBINED_LAYER_COLORS = [
+  "#e06c75", "#4c8bf5", "#2e9e5b", "#d19a2a", "#a659d8", "#1fa2b3"
+];
+
+
+// combinedLayerColor(i) — the legend colour of the i-th combined
+// layer (i > 0; the active layer keeps each key's own colours)
+function combinedLayerColor(i) {
+  return COMBINED_LAYER_COLORS[(i - 1) % COMBINED_LAYER_COLORS.length];
+}
+
+
+// getCombinedLayers(currentLayer) — the layers the combined view
+// shows, in slot order: the active layer first, then the other
+// drawn layers
+function getCombinedLayers(currentLayer) {
+  return [currentLayer, ...getDrawnLayers(currentLayer).filter(name => name !== currentLayer)];
+}
+
+
+// getCombinedAppearance(key, allLayers)
+// A getKeyAppearance() result for the combined view: the key as it
+// is on the first of `allLayers` (see getCombinedLayers), legends
+// and all, with the other layers' labels in the slots it leaves
+// free. Layers past the last slot aren't shown.
+function getCombinedAppearance(key, allLayers) {
+  const own  = getKeyAppearance(key, allLayers[0]);
+  const look = { ...own, legends: { ...own.legends } };
+
+  allLayers.slice(1, COMBINED_SLOTS.length).forEach((name, i) => {
+    const entry = key.layers[name];
+    const slot  = COMBINED_SLOTS[i + 1];
+    if (!entry || getKeyState(entry) !== "defined" || !entry.text) return;
+    if (own.legends[slot]) return; // the key's own legend, which the panel edits
+    look.legends[slot] = {
+      text:     entry.text,
+      color:    combinedLayerColor(i + 1),
+      fontSize: Math.round(look.fontSize * 0.6)
+    };
+  });
+
+  return look;
+}
+
+
+// getDisplayAppearance(key, layerName)
+// What to draw for a key on a layer block: the combined legends in
+// the combined view, otherwise getKeyAppearance(). The panel and the
+// inline editor always use getKeyAppearance() — they edit the active
+// layer's own legends.
+function getDisplayAppearance(key, layerName) {
+  if (getViewMode() === "combined") {
+    return getCombinedAppearance(key, getCombinedLayers(layerName));
+  }
+  return getKeyAppearance(key, layerName);
+}
+
+
+// ── getVisibleUnderlay ───────────────────────────────────────
+//
+// The underlay shapes that should be drawn right now: none if the
+// underlay is switched off, otherwise those on DXF layers the user
+// hasn't hidden. Reads the `underlay`, `showUnderlay` and
+// `hiddenDxfLayers` globals from app.js.
+function getVisibleUnderlay() {
+  if (typeof underlay === "undefined" || !showUnderlay) return [];
+  return underlay.filter(sh => !hiddenDxfLayers.has(sh.layer));
+}
+
+
+// ── buildUnderlay ────────────────────────────────────────────
 //
-// Creates all the SVG elements for one key on one layer and
-// appends them to the viewport group.
+// Draws the non-key geometry from the imported DXF (case outline,
+// plate edge, screw holes, ...) as thin grey lines, so the layout
+// can be seen in the shape of the actual board. It's drawn behind
+// every layer block, and ignores the mouse so it never gets in the
+// way of selecting keys.
+//
+// Shapes are grouped into one <path> per DXF layer, tagged with
+// data-dxf-layer.
 //
 // Parameters:
-//   key          — the key data object { id, x, y, width, height, layers }
-//   layerName    — which layer we're rendering ("base", "fn", etc.)
-//   offsetY      — how many px to push this block down on the canvas
-//   currentLayer — the layer that's currently active/editable
-function buildKeyElement(key, layerName, offsetY, currentLayer) {
-  // Get the visual data for this specific layer
-  const layer = key.layers[layerName];
-  if (!layer) return; // safety: skip if this layer doesn't exist on this key
+//   offsetY — how many px to push the underlay down, matching the keys
+//   parent  — the <g> to draw it in (a layer block's, or export.js's own)
+function buildUnderlay(offsetY, parent) {
+  const shapes = getVisibleUnderlay();
+  if (!shapes.length) return;
+
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("class", "underlay");
+  group.setAttribute("pointer-events", "none"); // reference only — not selectable
+
+  // Build up the path data for each DXF layer
+  const byLayer = new Map();
+  shapes.forEach(sh => {
+    let d;
+    if (sh.center) {
+      // A full circle as two half-circle arcs
+      const { x, y } = sh.center;
+      const r = sh.radius;
+      d = `M ${x - r} ${y + offsetY} A ${r} ${r} 0 1 0 ${x + r} ${y + offsetY} ` +
+          `A ${r} ${r} 0 1 0 ${x - r} ${y + offsetY}`;
+    } else {
+      d = "M " + sh.points.map(p => `${p.x} ${p.y + offsetY}`).join(" L ") + (sh.closed ? " Z" : "");
+    }
+    byLayer.set(sh.layer, (byLayer.get(sh.layer) || "") + d + " ");
+  });
+
+  byLayer.forEach((d, layer) => {
+    const path = document.createElementNS(SVG_NS, "path");
+    path.setAttribute("d", d);
+    path.setAttribute("fill", "none");
+    path.setAttribute("stroke", "#5a6880"); // muted grey, like inactive labels
+    path.setAttribute("stroke-width", "1.5");
+    path.dataset.dxfLayer = layer;
+    group.appendChild(path);
+  });
 
+  parent.appendChild(group);
+}
+
+
+// ── buildMatrixOverlay ───────────────────────────────────────
+//
+// Draws the switch matrix over the active layer's keys: a line
+// through the key centres of each matrix row (blue), and of each
+// column (green), in matrix order. A line that zig-zags or jumps
+// across the board shows a key in the wrong row or column at a
+// glance. Returns the <g class="matrix-overlay">.
+//
+// Parameters:
+//   keys    — the full keys array
+//   offsetY — the layer block's offset, matching the keys
+function buildMatrixOverlay(keys, offsetY) {
+  const group = document.createElementNS(SVG_NS, "g");
+  group.setAttribute("class", "matrix-overlay");
+  group.setAttribute("pointer-events", "none");
+
+  // One polyline per row / column, through the keys sorted along it
+  const drawLines = (lineOf, posOf, color) => {
+    const lines = new Map();
+    keys.filter(k => k.matrix).forEach(k => {
+      // The halves of a split board share column numbers
+      const n = `${k.half || ""} ${lineOf(k.matrix)}`;
+      lines.set(n, [...(lines.get(n) || []), k]);
+    });
+
+    lines.forEach(line => {
+      if (line.length < 2) return;
+      line.sort((a, b) => posOf(a.matrix) - posOf(b.matrix));
+
+      const polyline = document.createElementNS(SVG_NS, "polyline");
+      polyline.setAttribute("points", line.map(k => `${k.x},${k.y + offsetY}`).join(" "));
+      polyline.setAttribute("fill", "none");
+      polyline.setAttribute("stroke", color);
+      polyline.setAttribute("stroke-width", "2");
+      polyline.setAttribute("stroke-opacity", "0.55");
+      polyline.setAttribute("stroke-linejoin", "round");
+      group.appendChild(polyline);
+    });
+  };
+
+  drawLines(m => m.row, m => m.col, "#4c8bf5");
+  drawLines(m => m.col, m => m.row, "#3ecf8e");
+
+  return group;
+}
+
+
+// ── buildGhostOutlines ───────────────────────────────────────
+//
+// Draws every rejected shape from the last DXF import (the
+// `importReport` global in app.js) as a dashed orange outline, so
+// the user can see what the importer skipped. Clicking a ghost
+// fires a "ghostClicked" event (see onKeyClick); app.js turns that
+// shape into a key. Returns the <g id="ghostGroup">, or null when
+// there's nothing to show.
+//
+// Parameters:
+//   offsetY — how many px to push the outlines down in the layer
+//             block, matching the keys
+function buildGhostOutlines(offsetY) {
+  const report = typeof importReport !== "undefined" ? importReport : null;
+  const show   = typeof showGhosts   !== "undefined" ? showGhosts   : true;
+  if (!report || !show) return null;
+
+  const group = document.createElementNS(SVG_NS, "g");
+  group.id = "ghostGroup";
+
+  report.rejected.forEach(rejected => {
+    if (!rejected.outline.length) return; // nothing to draw
+
+    // Build the path data. Closed outlines are one polygon; open
+    // chains are a flat list of segment endpoints, two per line.
+    const d = rejected.outline.map(({ points, closed }) => {
+      const pt = p => `${p.x} ${p.y + offsetY}`;
+      if (closed) return "M " + points.map(pt).join(" L ") + " Z";
+      let out = "";
+      for (let i = 0; i + 1 < points.length; i += 2) {
+        out += `M ${pt(points[i])} L ${pt(points[i + 1])} `;
+      }
+      return out;
+    }).join(" ");
+
+    const path = document.createElementNS(SVG_NS, "path");
+    path.setAttribute("d", d);
+    path.setAttribute("class", "ghost-outline");
+    path.setAttribute("fill", "rgba(245,166,35,0.06)"); // faint orange tint
+    path.setAttribute("stroke", "#f5a623");              // orange outline
+    path.setAttribute("stroke-width", "1.5");
+    path.setAttribute("stroke-dasharray", "4,3");
+    path.dataset.ghostId = rejected.id;
+
+    // Hovering shows why the shape was rejected
+    const title = document.createElementNS(SVG_NS, "title");
+    title.textContent = (REJECT_REASONS[rejected.reason] || rejected.reason) +
+      (rejected.key ? " — click to make it a key" : "");
+    path.appendChild(title);
+
+    group.appendChild(path);
+  });
+
+  return group;
+}
+
+
+// ── buildKeyElement ───────────────────────────────────────────
+//
+// Creates the SVG elements for one key on one layer, and returns
+// the key's group. It's empty until updateKeyElement sizes it and
+// draws its appearance — syncBlockKeys does both, and adds the
+// group to its layer block.
+//
+// Parameters:
+//   key       — the key data object { id, x, y, width, height, layers }
+//   layerName — which layer we're rendering ("base", "fn", etc.)
+function buildKeyElement(key, layerName) {
   // ── Wrapper <g> group ──────────────────────────────────────
   // All elements for this key live inside one <g> so we can move,
   // show, hide, and query them as a unit.
-  // data-key-id and data-layer are HTML data attributes used by
-  // querySelector to find specific key groups later.
+  // data-key-id and data-layer are HTML data attributes that the
+  // canvas mouse handlers read to tell which key was clicked.
   const group = document.createElementNS(SVG_NS, "g");
   group.dataset.keyId = key.id;
   group.dataset.layer = layerName;
-  // Translate positions the group's top-left corner.
-  // key.x/key.y are the key's centre, so we subtract half the size.
-  // offsetY shifts the whole block down for this layer.
-  group.setAttribute(
-    "transform",
-    `translate(${key.x - key.width / 2}, ${(key.y - key.height / 2) + offsetY})`
-  );
 
   // ── Background rectangle ───────────────────────────────────
+  // The cursor over it comes from style.css: a pointer on the active
+  // layer (a move cursor in Edit Geometry mode), the default arrow
+  // on the others, which look clickable but aren't.
   const rect = document.createElementNS(SVG_NS, "rect");
-  rect.setAttribute("width", key.width);
-  rect.setAttribute("height", key.height);
-  rect.setAttribute("rx", 6);           // rounded corners (6px radius)
-  rect.setAttribute("fill", layer.bg);  // background colour from layer data
+  rect.setAttribute("class", "key-bg");
   rect.setAttribute("stroke", "#333");  // dark border
   rect.setAttribute("stroke-width", "2");
-  // Only show a pointer cursor on the active layer — inactive layers
-  // look clickable but aren't, so set them to default arrow cursor.
-  rect.style.cursor = layerName === currentLayer ? "pointer" : "default";
-
-  // Inactive layers get a CSS class that dims them to 45% opacity.
-  // This class is temporarily removed during PNG export so all layers
-  // appear at full brightness in the exported image.
-  if (layerName !== currentLayer) group.classList.add("inactive-layer");
 
   // ── Highlight border rect ──────────────────────────────────
   // This is a second rect drawn on top of the background, invisible
@@ -262,9 +1010,6 @@ function buildKeyElement(key, layerName, offsetY, currentLayer) {
   // (instead of changing the background rect's stroke) means the
   // highlight is always painted on top of everything else in the group.
   const highlightRect = document.createElementNS(SVG_NS, "rect");
-  highlightRect.setAttribute("width", key.width);
-  highlightRect.setAttribute("height", key.height);
-  highlightRect.setAttribute("rx", 6);
   highlightRect.setAttribute("fill", "rgba(76,139,245,0.08)"); // very faint blue tint fill
   highlightRect.setAttribute("stroke", "#4c8bf5");             // bright blue border
   highlightRect.setAttribute("stroke-width", "3");
@@ -272,298 +1017,750 @@ function buildKeyElement(key, layerName, offsetY, currentLayer) {
   highlightRect.style.display = "none"; // hidden until selected
 
   // ── Label text ────────────────────────────────────────────
-  // This SVG <text> element shows the key's label (e.g. "A", "Ctrl").
+  // This SVG <text> element shows the key's main label (e.g. "A",
+  // "Ctrl"), normally centred — drawKeyAppearance positions it.
   // It's hidden while the inline <input> editor is active.
   const text = document.createElementNS(SVG_NS, "text");
-  text.setAttribute("x", key.width / 2);              // horizontally centred
-  text.setAttribute("y", key.height / 2);             // vertically centred
-  text.setAttribute("text-anchor", "middle");          // align centre on x
-  text.setAttribute("dominant-baseline", "middle");    // align centre on y
-  text.setAttribute("font-size", layer.fontSize);
-  text.setAttribute("fill", layer.color || "#000000"); // text colour
   text.setAttribute("pointer-events", "none"); // clicks pass through to the rect below
   text.setAttribute("user-select", "none");    // can't accidentally highlight text
-  text.textContent = layer.text;
 
-  // ── Inline editor (foreignObject + input) ─────────────────
-  // SVG doesn't have native text input. The workaround is to embed
-  // an HTML <input> inside a <foreignObject> element, which lets you
-  // place arbitrary HTML inside an SVG.
-  // The foreignObject is hidden until the user double-clicks the key.
+  // The other legends (top-left, front, ...) get a <text> each in here
+  const legendGroup = document.createElementNS(SVG_NS, "g");
+  legendGroup.setAttribute("class", "key-legends");
+  legendGroup.setAttribute("pointer-events", "none");
+
+  // ── Physical order number ─────────────────────────────────
+  // When "Show key order" is ticked (the `showKeyOrder` global in
+  // app.js), each key shows its position in the firmware LAYOUT
+  // order (see firmware.js) in its top-left corner. style.css only
+  // shows it on the active layer.
+  const orderText = document.createElementNS(SVG_NS, "text");
+  orderText.setAttribute("class", "key-order");
+  orderText.setAttribute("x", 5);
+  orderText.setAttribute("y", 13);
+  orderText.setAttribute("font-size", "10");
+  orderText.setAttribute("fill", "#4c8bf5");
+  orderText.setAttribute("pointer-events", "none");
+
+  // ── Matrix position ───────────────────────────────────────
+  // With the matrix overlay on, each key shows its "row,col" in its
+  // bottom-right corner (again only on the active layer).
+  const matrixText = document.createElementNS(SVG_NS, "text");
+  matrixText.setAttribute("class", "key-matrix");
+  matrixText.setAttribute("text-anchor", "end");
+  matrixText.setAttribute("font-size", "10");
+  matrixText.setAttribute("pointer-events", "none");
+
+  // ── Append children in paint order ────────────────────────
+  // SVG paints elements in document order (later = on top).
+  // Order: background → labels → (inline editor) → highlight border
+  // The highlight is last so it always appears above everything else.
+  group.appendChild(rect);
+  group.appendChild(text);
+  group.appendChild(legendGroup);
+  group.appendChild(orderText);
+  group.appendChild(matrixText);
+  group.appendChild(highlightRect); // always on top of the key itself
+
+  // ── Attach refs to the group element ──────────────────────
+  // Store references to internal elements on the group DOM node
+  // using custom properties (prefixed with _). This lets other
+  // functions (syncKeyVisual, etc.) update a specific key's visuals
+  // without having to re-query the DOM or rebuild the whole keyboard.
+  group._key           = key;         // the key data object
+  group._rect          = rect;
+  group._text          = text;
+  group._legends       = legendGroup;
+  group._order         = orderText;
+  group._matrix        = matrixText;
+  group._highlightRect = highlightRect;
+  group._handles       = null;        // resize handles, in Edit Geometry mode
+
+  return group;
+}
+
+
+// ── updateKeyElement ──────────────────────────────────────────
+//
+// Redraws a key group from its key (`group._key`): position, size,
+// colours and legends, its order and matrix numbers, and — in Edit
+// Geometry mode — its resize handles.
+function updateKeyElement(group) {
+  const key = group._key;
+
+  // Position (and rotate) the group — see keyTransform() below.
+  // Everything inside the group is drawn relative to the key's
+  // top-left corner, so labels, the inline editor and the highlight
+  // rect all rotate together with the key.
+  group.setAttribute("transform", keyTransform(key, LAYER_LABEL_HEIGHT));
+  [group._rect, group._highlightRect].forEach(rect => {
+    rect.setAttribute("width", key.width);
+    rect.setAttribute("height", key.height);
+    rect.setAttribute("rx", keyCornerRadius(key)); // rounded corners (fully round for circle keys)
+  });
+
+  // What it looks like there — a transparent key shows the key it
+  // inherits (see getKeyAppearance below), and in the combined view
+  // it carries every layer's label
+  const look = getDisplayAppearance(key, group.dataset.layer);
+  drawKeyAppearance(key, group._rect, group._text, group._legends, look);
+
+  // Order number, 1-based
+  const showOrder = typeof showKeyOrder !== "undefined" && showKeyOrder && Number.isFinite(key.order);
+  group._order.textContent = showOrder ? key.order + 1 : "";
+
+  // Matrix position — in red for a key with no position ("?") or
+  // one that shares its position with another
+  const matrixText = group._matrix;
+  if (matrixCheck) {
+    const problem = !key.matrix || matrixCheck.duplicates.has(key.id);
+    matrixText.setAttribute("x", key.width - 5);
+    matrixText.setAttribute("y", key.height - 6);
+    matrixText.setAttribute("font-weight", problem ? "700" : "400");
+    matrixText.setAttribute("fill", problem ? "#e5484d" : "#2f9e6e");
+    matrixText.textContent = key.matrix ? `${key.matrix.row},${key.matrix.col}` : "?";
+  } else {
+    matrixText.textContent = "";
+  }
+
+  // ── Resize handles (Edit Geometry mode) ───────────────────
+  // Shown along with the highlight on the selected keys; dragging
+  // one resizes the key (see startGeometryDrag).
+  if (isEditingGeometry()) {
+    if (!group._handles) {
+      group._handles = buildResizeHandles();
+      group.appendChild(group._handles);
+    }
+    placeResizeHandles(group._handles, key);
+  } else if (group._handles) {
+    group._handles.remove();
+    group._handles = null;
+  }
+
+  // The inline editor fits the key
+  if (inlineEditor.group === group) sizeInlineEditor(key);
+}
+
+
+// ── Inline editor ─────────────────────────────────────────────
+//
+// SVG doesn't have native text input. The workaround is to embed
+// an HTML <input> inside a <foreignObject> element, which lets you
+// place arbitrary HTML inside an SVG. There's one, moved into the
+// key group being edited while its label is typed, and taken out
+// again afterwards.
+//
+// inlineEditor holds the editor's elements (made on first use), the
+// key group it's open on (null while closed), the legend slot being
+// edited and that legend's text when editing started.
+const inlineEditor = {
+  fo:        null,
+  input:     null,
+  group:     null,
+  slot:      "center",
+  startText: ""
+};
+
+
+// buildInlineEditor() — makes the editor's elements and listeners
+function buildInlineEditor() {
   const fo = document.createElementNS(SVG_NS, "foreignObject");
   fo.setAttribute("x", 4);                       // 4px inset from key edge
   fo.setAttribute("y", 4);
-  fo.setAttribute("width",  key.width  - 8);     // 4px inset on each side
-  fo.setAttribute("height", key.height - 8);
-  fo.style.display  = "none";                    // hidden by default
   fo.style.overflow = "hidden";
 
   const input = document.createElement("input");  // regular HTML input
   input.type = "text";
-  input.value = layer.text;
   // Style the input to be invisible (transparent background, no border)
   // so it looks like you're typing directly onto the key
   input.style.cssText = `
     width: 100%; height: 100%;
     background: transparent; border: none; outline: none;
-    text-align: center; font-size: ${layer.fontSize}px;
-    color: ${layer.color || "#000000"};
+    text-align: center;
     font-family: inherit; padding: 0; box-sizing: border-box; cursor: text;
   `;
   fo.appendChild(input);
 
-  // ── Append children in paint order ────────────────────────
-  // SVG paints elements in document order (later = on top).
-  // Order: background → label text → editor → highlight border
-  // The highlight is last so it always appears above everything else.
-  group.appendChild(rect);
-  group.appendChild(text);
-  group.appendChild(fo);
-  group.appendChild(highlightRect); // must stay last — always on top
-
-  // ── Click / double-click handlers (active layer only) ─────
-  // We only make keys interactive on the current layer. Clicking
-  // a key on an inactive layer would be confusing.
-  if (layerName === currentLayer) {
-
-    // Single click: select this key (or toggle it with Shift)
-    group.addEventListener("click", (e) => {
-      // If the inline editor is open, clicks inside it shouldn't
-      // trigger selection changes — ignore them.
-      if (fo.style.display !== "none") return;
-
-      // stopPropagation prevents the click from bubbling up to the
-      // SVG background handler that clears the selection.
-      e.stopPropagation();
-
-      if (e.shiftKey) {
-        // Shift+click: toggle this key in/out of the selection
-        if (selectedIds.has(key.id)) {
-          selectedIds.delete(key.id);
-          setKeyHighlight(group, false);
-        } else {
-          selectedIds.add(key.id);
-          setKeyHighlight(group, true);
-          bringToTop(group); // paint on top so highlight isn't covered
-        }
-      } else {
-        // Plain click: clear all others and select just this key
-        clearAllHighlights();
-        selectedIds.clear();
-        selectedIds.add(key.id);
-        setKeyHighlight(group, true);
-        bringToTop(group);
-      }
+  // Blur fires when the input loses focus (clicking away, tab, etc.)
+  input.addEventListener("blur", closeInlineEditor);
 
-      // Tell the panel to update (badge count, field values)
-      updateSelectionPanel();
-    });
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      // Save, and go on to the next key in reading order (the
+      // previous one with Shift), so a whole layer can be labelled
+      // from the keyboard
+      const keyId = inlineEditor.group._key.id;
+      input.blur(); // triggers closeInlineEditor via the blur event above
+      selectNextKey(keyId, e.shiftKey ? -1 : 1);
+    } else if (e.key === "Escape") {
+      input.blur();
+    }
+    // Stop keystrokes from bubbling to window — otherwise pressing
+    // Escape while typing would also deselect the key (our global
+    // Escape handler in app.js would fire too)
+    e.stopPropagation();
+  });
+
+  inlineEditor.fo    = fo;
+  inlineEditor.input = input;
+}
+
+
+// sizeInlineEditor(key) — fits the editor inside the key, 4px in
+// from each edge
+function sizeInlineEditor(key) {
+  inlineEditor.fo.setAttribute("width",  key.width  - 8);
+  inlineEditor.fo.setAttribute("height", key.height - 8);
+}
 
-    // Double-click: open the inline text editor for this key
-    group.addEventListener("dblclick", (e) => {
-      // Don't open the editor if multiple keys are selected —
-      // typing the same label into 20 keys at once makes no sense
-      if (selectedIds.size > 1) return;
 
-      e.stopPropagation();
+// ── openInlineEditor ──────────────────────────────────────────
+// Hides a key group's SVG text labels and shows the HTML input
+// instead, then focuses it so the user can start typing immediately.
+// It edits the legend slot picked in the panel (the
+// `currentLegendSlot` global in app.js), the centre by default.
+// A transparent key starts from the label it inherits; the key is
+// only made defined on this layer if that label is changed.
+// `text`, if given, replaces the label — typing on a selected key
+// starts the editor with the typed character (see editSelectedKey).
+function openInlineEditor(group, text) {
+  if (!inlineEditor.fo) buildInlineEditor();
+  const { fo, input } = inlineEditor;
+  const slot = typeof currentLegendSlot !== "undefined" ? currentLegendSlot : "center";
+
+  inlineEditor.group = group;
+  inlineEditor.slot  = slot;
+
+  group._text.style.display    = "none"; // hide the static labels
+  group._legends.style.display = "none";
+  sizeInlineEditor(group._key);
+  group.insertBefore(fo, group._highlightRect); // under the highlight
+
+  // Sync the input's style with the legend being edited
+  const legend = getLegend(getKeyAppearance(group._key, group.dataset.layer), slot); // layers.js
+  input.style.fontSize  = legend.fontSize + "px";
+  input.style.color     = legend.color;
+  input.style.textAlign = legend.align;
+  input.placeholder     = slot === "center" ? "" : slot;
+  input.value           = inlineEditor.startText = legend.text;
+
+  input.focus();
+  if (text === undefined) {
+    input.select(); // select all existing text for easy replacement
+  } else {
+    input.value = text;
+    input.setSelectionRange(text.length, text.length);
+  }
+}
+
+
+// ── closeInlineEditor ─────────────────────────────────────────
+// Called when the input loses focus (blur), or on Enter/Escape.
+// Saves the typed value back to the layer data and restores
+// the SVG text labels.
+function closeInlineEditor() {
+  const { fo, input, group, slot, startText } = inlineEditor;
+  if (!group) return;
+  inlineEditor.group = null;
+
+  fo.remove();                      // take the editor out of the key
+  group._text.style.display    = ""; // show labels again
+  group._legends.style.display = "";
+
+  const newText = input.value;
+  if (newText === startText) return;
+
+  const key = group._key;
+  recordEdit("Edit label"); // undo step (history.js)
+  // Save to the data model (defineKeyLayer and setLegend are in layers.js)
+  setLegend(defineKeyLayer(key, group.dataset.layer, layerSettings), slot, { text: newText });
+
+  // Redraw this key on every layer (others may inherit it), and
+  // refresh the panel if this key is still selected
+  syncKeyVisual(key.id);
+  if (selectedIds.has(key.id)) updateSelectionPanel();
+}
+
+
+// ── Edit Geometry mode ───────────────────────────────────────
+//
+// With the `editGeometry` global (app.js) on, the active layer's
+// keys can be dragged to move them and resized by the handles on
+// the selected keys. Positions are worked out by geometry.js and
+// snap to the grid (`snapGridU`) and nearby key edges
+// (`snapToEdges`); holding Alt while dragging turns snapping off.
+// Every layer block shares the same key objects, so every block
+// follows the drag. When it's done, a "geometryEdited" event tells
+// app.js which keys changed.
+
+// Each resize handle: the sides it moves, and where it sits on the
+// key as a fraction of its width / height
+const RESIZE_HANDLES = [
+  ["nw", 0, 0], ["n", 0.5, 0], ["ne", 1, 0], ["e", 1, 0.5],
+  ["se", 1, 1], ["s", 0.5, 1], ["sw", 0, 1], ["w", 0, 0.5]
+];
+const RESIZE_HANDLE_SIZE = 8;
+
+
+// isEditingGeometry() — whether Edit Geometry mode is on
+function isEditingGeometry() {
+  return typeof editGeometry !== "undefined" && editGeometry;
+}
 
-      // Make this the only selected key
+
+// buildResizeHandles()
+// A hidden <g class="resize-handles"> of small squares, one per
+// RESIZE_HANDLES entry, each tagged with data-handle. They're put
+// in place by placeResizeHandles.
+function buildResizeHandles() {
+  const handles = document.createElementNS(SVG_NS, "g");
+  handles.setAttribute("class", "resize-handles");
+  handles.style.display = "none"; // shown with the highlight
+
+  RESIZE_HANDLES.forEach(([name]) => {
+    const handle = document.createElementNS(SVG_NS, "rect");
+    handle.dataset.handle = name;
+    handle.setAttribute("width",  RESIZE_HANDLE_SIZE);
+    handle.setAttribute("height", RESIZE_HANDLE_SIZE);
+    handle.setAttribute("fill", "#4c8bf5");
+    handle.setAttribute("stroke", "#ffffff");
+    handle.setAttribute("stroke-width", "1");
+    handle.style.cursor = name + "-resize";
+    handles.appendChild(handle);
+  });
+
+  return handles;
+}
+
+
+// placeResizeHandles(handles, key) — moves the handles to the
+// corners and edge middles of the key at its current size
+function placeResizeHandles(handles, key) {
+  [...handles.children].forEach((handle, i) => {
+    const [, fx, fy] = RESIZE_HANDLES[i];
+    handle.setAttribute("x", fx * key.width  - RESIZE_HANDLE_SIZE / 2);
+    handle.setAttribute("y", fy * key.height - RESIZE_HANDLE_SIZE / 2);
+  });
+}
+
+
+// startGeometryDrag(e, key, group, handle)
+// Starts moving the selected keys — selecting the pressed key
+// first if it isn't already (added to the selection with Shift) —
+// or resizing `key` if `handle` names one of its resize handles.
+function startGeometryDrag(e, key, group, handle) {
+  skipNextClick = false;
+  if (!handle && !selectedIds.has(key.id)) {
+    if (!e.shiftKey) {
       clearAllHighlights();
       selectedIds.clear();
-      selectedIds.add(key.id);
-      setKeyHighlight(group, true);
-      bringToTop(group);
-      updateSelectionPanel();
+    }
+    selectedIds.add(key.id);
+    setKeyHighlight(group, true);
+    bringToTop(group);
+    updateSelectionPanel();
+    skipNextClick = true; // the click that follows would undo this
+  }
+
+  const moving = handle ? [key] : renderedKeys.filter(k => selectedIds.has(k.id));
+  geometryDrag = {
+    handle,
+    keys:   moving,
+    // Each key's geometry as the drag started
+    starts: moving.map(k => ({ x: k.x, y: k.y, width: k.width, height: k.height, rotation: k.rotation })),
+    others: renderedKeys.filter(k => !moving.includes(k)),
+    start:  svgPoint(document.getElementById("keyboardCanvas"), e.clientX, e.clientY),
+    moved:  false
+  };
+}
 
-      enterEditMode();
+// moveGeometryDrag(e) — follows the pointer during a geometry drag
+function moveGeometryDrag(e) {
+  const drag = geometryDrag;
+
+  const cur = svgPoint(document.getElementById("keyboardCanvas"), e.clientX, e.clientY);
+  const dx  = cur.x - drag.start.x;
+  const dy  = cur.y - drag.start.y;
+
+  // Ignore the wobble of a plain click; once it's a real drag it's
+  // one undo step
+  if (!drag.moved) {
+    if (Math.abs(dx) < 3 && Math.abs(dy) < 3) return;
+    drag.moved = true;
+    recordEdit(drag.handle ? "Resize key"
+      : `Move ${drag.keys.length} key${drag.keys.length === 1 ? "" : "s"}`); // history.js
+  }
+
+  const snap  = !e.altKey;
+  const gridU = snap && typeof snapGridU !== "undefined" ? snapGridU : 0;
+
+  if (drag.handle) {
+    Object.assign(drag.keys[0], resizeKey(drag.starts[0], drag.handle, dx, dy, gridU)); // geometry.js
+  } else {
+    const edges = snap && typeof snapToEdges !== "undefined" && snapToEdges;
+    const move  = snapMove(drag.starts, drag.others, dx, dy, { gridU, edges }); // geometry.js
+    drag.keys.forEach((k, i) => {
+      k.x = drag.starts[i].x + move.dx;
+      k.y = drag.starts[i].y + move.dy;
     });
   }
 
-  // ── enterEditMode ─────────────────────────────────────────
-  // Hides the SVG text label and shows the HTML input instead,
-  // then focuses it so the user can start typing immediately.
-  function enterEditMode() {
-    text.style.display = "none";  // hide the static label
-    fo.style.display   = "block"; // show the editor
+  drag.keys.forEach(k => syncKeyGeometry(k.id));
+}
 
-    // Sync the input's style with current layer settings
-    // (in case font size or colour changed since last edit)
-    input.style.fontSize = layer.fontSize + "px";
-    input.style.color    = layer.color || "#000000";
-    input.value          = layer.text;
+// endGeometryDrag() — the button or finger is lifted
+function endGeometryDrag() {
+  const { moved, keys: moving } = geometryDrag;
+  geometryDrag = null;
 
-    input.focus();
-    input.select(); // select all existing text for easy replacement
+  if (moved) {
+    document.dispatchEvent(new CustomEvent("geometryEdited", {
+      detail: { ids: moving.map(k => k.id) }
+    }));
   }
+}
 
-  // ── exitEditMode ──────────────────────────────────────────
-  // Called when the input loses focus (blur), or on Enter/Escape.
-  // Saves the typed value back to the layer data and restores
-  // the SVG text label.
-  function exitEditMode() {
-    const newText  = input.value;
-    layer.text     = newText;     // save to data model
-    text.textContent = newText;   // update the SVG label
-
-    // Also sync the panel's Key Label field if this key is still selected
-    const keyTextEl = document.getElementById("keyText");
-    if (keyTextEl && selectedIds.size === 1) keyTextEl.value = newText;
-
-    fo.style.display   = "none"; // hide editor
-    text.style.display = "";     // show label again
-  }
 
-  // Blur fires when the input loses focus (clicking away, tab, etc.)
-  input.addEventListener("blur", exitEditMode);
+// ── syncKeyGeometry ───────────────────────────────────────────
+//
+// Like syncKeyVisual, but after a key's position or size changed:
+// moves and resizes its group on every layer block, and lays its
+// legends out again for the new size.
+function syncKeyGeometry(keyId) {
+  getKeyGroups(keyId).forEach(updateKeyElement);
+}
 
-  input.addEventListener("keydown", (e) => {
-    if (e.key === "Enter" || e.key === "Escape") {
-      input.blur(); // triggers exitEditMode via the blur event above
-    }
-    // Stop keystrokes from bubbling to window — otherwise pressing
-    // Escape while typing would also deselect the key (our global
-    // Escape handler in app.js would fire too)
-    e.stopPropagation();
-  });
 
-  // Stop mousedown from bubbling to the SVG drag handler.
-  // Without this, clicking inside the input would start a pan drag.
-  input.addEventListener("mousedown", (e) => e.stopPropagation());
+// ── keyTransform ─────────────────────────────────────────────
+//
+// Builds the SVG `transform` string for a key's group.
+// Reading right-to-left, SVG applies the steps as:
+//   1. translate(-w/2, -h/2) — move the key's centre to the origin
+//   2. rotate(rotation)      — spin it around its own centre
+//   3. translate(x, y)       — move it to its place on the canvas
+// offsetY shifts the whole block down for this layer.
+function keyTransform(key, offsetY) {
+  return `translate(${key.x}, ${key.y + offsetY}) ` +
+         `rotate(${key.rotation || 0}) ` +
+         `translate(${-key.width / 2}, ${-key.height / 2})`;
+}
 
-  // ── Attach refs to the group element ──────────────────────
-  // Store references to internal elements on the group DOM node
-  // using custom properties (prefixed with _). This lets other
-  // functions (syncKeyVisual, etc.) update a specific key's visuals
-  // without having to re-query the DOM or rebuild the whole keyboard.
-  group._enterEditMode = enterEditMode;
-  group._input         = input;
-  group._fo            = fo;
-  group._layer         = layer;       // live reference to the layer data object
-  group._rect          = rect;
-  group._highlightRect = highlightRect;
 
-  viewportGroup.appendChild(group);
-  return group;
+// ── keyCornerRadius ──────────────────────────────────────────
+//
+// Corner radius for a key's rects. Normal keys get 6px rounded
+// corners; circle keys (round keys, encoder knobs) use half their
+// width, which turns the rect into a circle.
+function keyCornerRadius(key) {
+  return key.shape === "circle" ? Math.min(key.width, key.height) / 2 : 6;
+}
+
+
+// ── getKeyCorners ────────────────────────────────────────────
+//
+// Returns the four corners of a key in SVG canvas space, taking
+// its rotation into account. offsetY is the layer block offset.
+// Used for rubber-band hit testing.
+function getKeyCorners(key, offsetY) {
+  const rad = (key.rotation || 0) * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const hw  = key.width  / 2;
+  const hh  = key.height / 2;
+
+  // Corners relative to the centre, before rotation
+  return [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]].map(([dx, dy]) => ({
+    x: key.x + dx * cos - dy * sin,
+    y: key.y + offsetY + dx * sin + dy * cos
+  }));
+}
+
+
+// ── polygonsOverlap ──────────────────────────────────────────
+//
+// Separating Axis Theorem test for two convex polygons (arrays of
+// {x, y} corners in order). Two convex shapes do NOT overlap if
+// there is some line you can draw between them; it's enough to try
+// lines parallel to each polygon edge. If no edge separates them,
+// they overlap.
+function polygonsOverlap(a, b) {
+  for (const poly of [a, b]) {
+    for (let i = 0; i < poly.length; i++) {
+      const p1 = poly[i];
+      const p2 = poly[(i + 1) % poly.length];
+
+      // Axis perpendicular to this edge
+      const axisX = p1.y - p2.y;
+      const axisY = p2.x - p1.x;
+
+      // Project both polygons onto the axis
+      const project = pts => pts.map(p => p.x * axisX + p.y * axisY);
+      const pa = project(a);
+      const pb = project(b);
+
+      // A gap between the projections means the shapes are separate
+      if (Math.max(...pa) < Math.min(...pb) || Math.max(...pb) < Math.min(...pa)) {
+        return false;
+      }
+    }
+  }
+  return true;
 }
 
 
-// ── setupRubberBand ───────────────────────────────────────────
+// ── Rubber band ───────────────────────────────────────────────
 //
-// Enables click+drag on the canvas background to draw a selection
-// box. Any keys whose bounding boxes overlap the box get selected.
+// Click+drag on the canvas background (or a one-finger drag
+// anywhere) draws a selection box. Any keys whose outlines overlap
+// the box get selected.
 //
-// Only keys on the current layer are selectable this way.
+// Only keys on the active layer are selectable this way.
 // Holding Shift while releasing adds to the existing selection
 // instead of replacing it.
-function setupRubberBand(svg, keys, currentLayer, allLayers, blockHeight) {
-  // Store the SVG-space coordinate where the drag started
-  let rbStartSVG = null;
-
-  svg.addEventListener("mousedown", (e) => {
-    // Don't start a rubber-band if clicking on an input or a key
-    if (e.target.tagName === "INPUT") return;
-    const clickedGroup = e.target.closest("g[data-key-id]");
-    if (clickedGroup) return;
-
-    isRubberBanding = true;
-    // Convert mouse position from screen pixels to SVG canvas coordinates
-    // (accounts for current pan and zoom)
-    rbStartSVG = svgPoint(svg, e.clientX, e.clientY);
-
-    // Create the visual selection rectangle
-    rubberBand = document.createElementNS(SVG_NS, "rect");
-    rubberBand.setAttribute("fill",             "rgba(76,139,245,0.12)"); // faint blue fill
-    rubberBand.setAttribute("stroke",           "#4c8bf5");               // blue border
-    rubberBand.setAttribute("stroke-width",     "1.5");
-    rubberBand.setAttribute("stroke-dasharray", "5,3"); // dashed border
-    rubberBand.setAttribute("pointer-events",   "none");
-    rubberBand.setAttribute("rx",               "3");
-
-    // Append to rubberGroup so it paints above all keys
-    const rg = document.getElementById("rubberGroup");
-    if (rg) rg.appendChild(rubberBand);
-  });
 
-  window.addEventListener("mousemove", (e) => {
-    if (!isRubberBanding || !rubberBand || !rbStartSVG) return;
-
-    // Update the rubber-band rectangle to follow the mouse.
-    // We always set x/y to the top-left corner regardless of which
-    // direction the user is dragging.
-    const cur = svgPoint(svg, e.clientX, e.clientY);
-    rubberBand.setAttribute("x",      Math.min(rbStartSVG.x, cur.x));
-    rubberBand.setAttribute("y",      Math.min(rbStartSVG.y, cur.y));
-    rubberBand.setAttribute("width",  Math.abs(cur.x - rbStartSVG.x));
-    rubberBand.setAttribute("height", Math.abs(cur.y - rbStartSVG.y));
+// startRubberBand(clientX, clientY) — starts the box at a point
+// on the screen
+function startRubberBand(clientX, clientY) {
+  isRubberBanding = true;
+  // Convert the position from screen pixels to SVG canvas coordinates
+  // (accounts for current pan and zoom)
+  rbStartSVG = svgPoint(document.getElementById("keyboardCanvas"), clientX, clientY);
+
+  // Create the visual selection rectangle
+  rubberBand = document.createElementNS(SVG_NS, "rect");
+  rubberBand.setAttribute("fill",             "rgba(76,139,245,0.12)"); // faint blue fill
+  rubberBand.setAttribute("stroke",           "#4c8bf5");               // blue border
+  rubberBand.setAttribute("stroke-width",     "1.5");
+  rubberBand.setAttribute("stroke-dasharray", "5,3"); // dashed border
+  rubberBand.setAttribute("pointer-events",   "none");
+  rubberBand.setAttribute("rx",               "3");
+
+  // Append to rubberGroup so it paints above all keys
+  rubberGroup.appendChild(rubberBand);
+}
+
+// moveRubberBand(e) — follows the pointer
+function moveRubberBand(e) {
+  if (!rubberBand || !rbStartSVG) return;
+
+  // Update the rubber-band rectangle to follow the pointer.
+  // We always set x/y to the top-left corner regardless of which
+  // direction the user is dragging.
+  const cur = svgPoint(document.getElementById("keyboardCanvas"), e.clientX, e.clientY);
+  rubberBand.setAttribute("x",      Math.min(rbStartSVG.x, cur.x));
+  rubberBand.setAttribute("y",      Math.min(rbStartSVG.y, cur.y));
+  rubberBand.setAttribute("width",  Math.abs(cur.x - rbStartSVG.x));
+  rubberBand.setAttribute("height", Math.abs(cur.y - rbStartSVG.y));
+}
+
+// endRubberBand(e) — selects what's in the box when the pointer is
+// lifted. With no `e` (a second finger came down) the box is just
+// taken away.
+function endRubberBand(e) {
+  isRubberBanding = false;
+
+  if (!rubberBand || !rbStartSVG) return;
+
+  // Final position of the selection box
+  const start = rbStartSVG;
+  const cur   = e ? svgPoint(document.getElementById("keyboardCanvas"), e.clientX, e.clientY) : start;
+  const selX  = Math.min(start.x, cur.x);
+  const selY  = Math.min(start.y, cur.y);
+  const selW  = Math.abs(cur.x - start.x);
+  const selH  = Math.abs(cur.y - start.y);
+
+  // Remove the visual rubber-band rect — it's done its job
+  rubberBand.remove();
+  rubberBand  = null;
+  rbStartSVG  = null;
+
+  // If the user barely moved the pointer it was probably a misclick,
+  // not an intentional drag — ignore it
+  if (selW < 4 && selH < 4) return;
+
+  // The active layer's block is at `block` on the canvas (see
+  // getLayerBlocks). We only want to select keys that visually
+  // overlap the rubber-band within the active layer block, not
+  // in other layer blocks.
+  const block = drawnBlocks.get(activeLayer);
+  if (!block) return;
+
+  // Clear existing selection unless Shift is held
+  if (!e.shiftKey) {
+    clearAllHighlights();
+    selectedIds.clear();
+  }
+
+  const layerOffsetY = block.y + LAYER_LABEL_HEIGHT;
+
+  // The selection box as a polygon, for the overlap test below
+  const selBox = [
+    { x: selX,        y: selY        },
+    { x: selX + selW, y: selY        },
+    { x: selX + selW, y: selY + selH },
+    { x: selX,        y: selY + selH }
+  ];
+
+  // Check each key to see if it overlaps the selection box.
+  // Keys can be rotated, so we compare the key's real outline
+  // (not its axis-aligned bounding box) against the box.
+  renderedKeys.forEach(key => {
+    const corners  = getKeyCorners(key, layerOffsetY).map(p => ({ x: p.x + block.x, y: p.y }));
+    const overlaps = polygonsOverlap(corners, selBox);
+
+    if (overlaps) {
+      // The key's group on the active layer
+      const group = getKeyGroup(key.id, activeLayer);
+      if (group) {
+        selectedIds.add(key.id);
+        setKeyHighlight(group, true);
+        bringToTop(group);
+      }
+    }
   });
 
-  window.addEventListener("mouseup", (e) => {
-    if (!isRubberBanding) return;
-    isRubberBanding = false;
+  updateSelectionPanel();
+}
 
-    if (!rubberBand || !rbStartSVG) return;
 
-    // Final position of the selection box
-    const cur  = svgPoint(svg, e.clientX, e.clientY);
-    const selX = Math.min(rbStartSVG.x, cur.x);
-    const selY = Math.min(rbStartSVG.y, cur.y);
-    const selW = Math.abs(cur.x - rbStartSVG.x);
-    const selH = Math.abs(cur.y - rbStartSVG.y);
+// ── onCanvasPointerDown ───────────────────────────────────────
+//
+// A press on the canvas that wasn't taken by onKeyPointerDown. A
+// mouse press on the background starts the rubber band; touches
+// go to onTouchDown.
+function onCanvasPointerDown(e) {
+  if (e.pointerType === "touch") {
+    onTouchDown(e);
+    return;
+  }
 
-    // Remove the visual rubber-band rect — it's done its job
-    rubberBand.remove();
-    rubberBand  = null;
-    rbStartSVG  = null;
+  // Don't start a rubber-band if clicking on an input or a key
+  if (e.target.tagName === "INPUT") return;
+  const clickedGroup = e.target.closest("g[data-key-id]");
+  if (clickedGroup) return;
 
-    // If the user barely moved the mouse it was probably a misclick,
-    // not an intentional drag — ignore it
-    if (selW < 4 && selH < 4) return;
+  startRubberBand(e.clientX, e.clientY);
+}
 
-    // Clear existing selection unless Shift is held
-    if (!e.shiftKey) {
-      clearAllHighlights();
-      selectedIds.clear();
-    }
 
-    // Calculate the Y offset of the current layer's block on the canvas.
-    // We only want to select keys that visually overlap the rubber-band
-    // within the active layer block, not in other layer blocks.
-    const layerIndex   = allLayers.indexOf(currentLayer);
-    const layerOffsetY = layerIndex * (blockHeight + LAYER_GAP + LAYER_LABEL_HEIGHT) + LAYER_LABEL_HEIGHT;
-
-    // Check each key to see if it overlaps the selection box
-    keys.forEach(key => {
-      // Key's top-left corner in SVG space (accounting for the layer's Y offset)
-      const kx = key.x - key.width  / 2;
-      const ky = (key.y - key.height / 2) + layerOffsetY;
-
-      // Standard rectangle overlap test:
-      // Two rectangles do NOT overlap if one is entirely to the left,
-      // right, above, or below the other. We negate that to get "overlaps".
-      const overlaps = !(
-        kx + key.width  < selX ||  // key is entirely left of selection
-        kx              > selX + selW || // key is entirely right
-        ky + key.height < selY ||  // key is entirely above
-        ky              > selY + selH   // key is entirely below
-      );
-
-      if (overlaps) {
-        // Find the DOM group for this key on the current layer
-        const group = document.querySelector(
-          `#viewport g[data-key-id="${key.id}"][data-layer="${currentLayer}"]`
-        );
-        if (group) {
-          selectedIds.add(key.id);
-          setKeyHighlight(group, true);
-          bringToTop(group);
-        }
-      }
-    });
+// ── Touch ─────────────────────────────────────────────────────
+//
+// One finger on the canvas:
+//   - a tap selects the key (or, on the background, deselects
+//     everything), as a click does
+//   - a second tap on the same key soon after opens the inline
+//     editor, as a double-click does
+//   - holding still for LONG_PRESS_MS adds the key to the
+//     selection, or takes it out, as Shift+click does
+//   - dragging draws the rubber band — or, in Edit Geometry mode,
+//     moves the keys when it starts on one of the active layer's
+// A second finger cancels all that: two fingers pan and zoom the
+// view (app.js).
+
+const LONG_PRESS_MS = 500;
+const DOUBLE_TAP_MS = 350;
+const TAP_SLOP_PX   = 10;  // how far a finger can wander and still tap
+
+// onTouchDown(e) — a finger comes down on the canvas
+function onTouchDown(e) {
+  touchCount++;
+  if (touchCount > 1) {
+    cancelTouchPress();
+    return;
+  }
+  if (e.target.tagName === "INPUT") return; // let the editor have it
+
+  const group = getActiveKeyGroup(e.target);
+  const press = { id: e.pointerId, down: e, group, moved: false, held: false, timer: null };
+  if (group) {
+    press.timer = setTimeout(() => {
+      press.held = true;
+      clickKeyGroup(group, true);
+    }, LONG_PRESS_MS);
+  }
+  touchPress = press;
+}
 
-    updateSelectionPanel();
-  });
+// moveTouchPress(e) — once the finger has moved far enough, the
+// press becomes a drag
+function moveTouchPress(e) {
+  const press = touchPress;
+  if (press.moved || press.held) return;
+  if (Math.hypot(e.clientX - press.down.clientX, e.clientY - press.down.clientY) < TAP_SLOP_PX) return;
+
+  press.moved = true;
+  clearTimeout(press.timer);
+  if (press.group && isEditingGeometry()) {
+    startGeometryDrag(press.down, press.group._key, press.group, press.down.target.dataset.handle || null);
+  } else {
+    startRubberBand(press.down.clientX, press.down.clientY);
+  }
 }
 
+// endTouchPress() — the finger lifts; a press that never became a
+// drag or a long-press is a tap
+function endTouchPress() {
+  const press = touchPress;
+  touchPress = null;
+  clearTimeout(press.timer);
+  if (press.moved || press.held) return;
+
+  const ghost = press.down.target.closest("[data-ghost-id]");
+  if (ghost) {
+    clickGhost(ghost);
+    return;
+  }
+
+  const group = press.group;
+  if (!group) {
+    // The background deselects; a key on another layer does nothing
+    if (!press.down.target.closest("g[data-key-id]")) clearSelection();
+    return;
+  }
+  if (inlineEditor.group === group) return;
+
+  const now    = Date.now();
+  const double = lastTap && lastTap.id === group._key.id && now - lastTap.time < DOUBLE_TAP_MS;
+  lastTap = double ? null : { id: group._key.id, time: now };
+  if (double) editKeyGroup(group);
+  else clickKeyGroup(group, false);
+}
+
+// cancelTouchPress() — a second finger came down: drop the press,
+// and the rubber band or drag it started. A drag that moved keys
+// keeps them where they are.
+function cancelTouchPress() {
+  if (!touchPress) return;
+  clearTimeout(touchPress.timer);
+  touchPress = null;
+  if (isRubberBanding) endRubberBand(null);
+  if (geometryDrag) endGeometryDrag();
+}
+
+
+// ── Following drags ──────────────────────────────────────────
+//
+// Pointer moves and releases anywhere on the page, so a drag that
+// leaves the canvas is still followed.
+window.addEventListener("pointermove", (e) => {
+  if (touchPress && e.pointerId === touchPress.id) moveTouchPress(e);
+  if (geometryDrag) moveGeometryDrag(e);
+  if (isRubberBanding) moveRubberBand(e);
+});
+
+const onPointerEnd = (e) => {
+  if (e.pointerType === "touch") {
+    touchCount    = Math.max(0, touchCount - 1);
+    lastTouchEnd  = Date.now();
+    skipNextClick = false; // taps are handled here, not by clicks
+    if (touchPress && e.pointerId === touchPress.id) endTouchPress();
+  }
+  if (geometryDrag) endGeometryDrag();
+  if (isRubberBanding) endRubberBand(e.type === "pointercancel" ? null : e);
+};
+window.addEventListener("pointerup",     onPointerEnd);
+window.addEventListener("pointercancel", onPointerEnd);
+
 
 // ── svgPoint ─────────────────────────────────────────────────
 //
@@ -596,33 +1793,54 @@ function svgPoint(svg, clientX, clientY) {
 function setKeyHighlight(group, on) {
   const hr = group._highlightRect;
   if (hr) hr.style.display = on ? "" : "none";
+  if (group._handles) group._handles.style.display = on ? "" : "none";
 }
 
 
 // ── clearAllHighlights ────────────────────────────────────────
 //
-// Removes the selection highlight from every key on the canvas,
-// across all layers. Used before setting a new selection.
+// Removes the selection highlight from every selected key. Only the
+// active layer's keys are ever selected, so no other key has one.
+// Used before setting a new selection.
 function clearAllHighlights() {
-  document.querySelectorAll("#viewport g[data-key-id]").forEach(g => {
-    setKeyHighlight(g, false);
+  selectedIds.forEach(id => {
+    const group = getKeyGroup(id, activeLayer);
+    if (group) setKeyHighlight(group, false);
   });
 }
 
 
 // ── bringToTop ────────────────────────────────────────────────
 //
-// Moves a key's group element to just before the rubber-band
-// overlay group in the DOM. Since SVG paints in document order,
-// this makes the key render on top of all its sibling keys —
-// preventing the highlight border from being obscured by neighbours.
+// Moves a key's group element to the end of its layer block's keys
+// in the DOM. Since SVG paints in document order, this makes the key
+// render on top of all its sibling keys — preventing the highlight
+// border from being obscured by neighbours. (The rubber-band group
+// comes after every block, so it still paints on top of everything.)
 function bringToTop(group) {
-  if (viewportGroup && group.parentNode === viewportGroup) {
-    // Insert before rubberGroup so rubberGroup stays the very last
-    // child (and thus always paints on top of everything)
-    const rg = document.getElementById("rubberGroup");
-    viewportGroup.insertBefore(group, rg);
-  }
+  const parent = group.parentNode;
+  if (parent && parent.classList.contains("layer-keys")) parent.appendChild(group);
+}
+
+
+// ── selectKeys ───────────────────────────────────────────────
+//
+// Public function: replaces the selection with the given key IDs
+// on the active layer. Used by app.js for "select this group of
+// keys" actions such as selecting one half of a split board.
+function selectKeys(ids) {
+  clearAllHighlights();
+  selectedIds.clear();
+
+  ids.forEach(id => {
+    const group = getKeyGroup(id, activeLayer);
+    if (!group) return;
+    selectedIds.add(id);
+    setKeyHighlight(group, true);
+    bringToTop(group);
+  });
+
+  updateSelectionPanel();
 }
 
 
@@ -638,46 +1856,240 @@ function clearSelection() {
 }
 
 
+// ── Keyboard navigation ───────────────────────────────────────
+//
+// The selection can be moved with the arrow keys (app.js maps the
+// keys): to the nearest key in that direction, or through the keys
+// in reading order — row by row, left to right, as inferKeyRows()
+// in firmware.js groups them. Only the active layer's keys count.
+
+// getSelectableKeys() — the keys of the last render drawn on the
+// active layer
+function getSelectableKeys() {
+  return renderedKeys.filter(key => getKeyGroup(key.id, activeLayer));
+}
+
+
+// ── findKeyInDirection ────────────────────────────────────────
+//
+// The key nearest to `from` in a direction ("left", "right", "up"
+// or "down"), or null if there's none that way. Distance is between
+// key centres; keys off to the side count as twice as far, so
+// moving right stays in a row that's staggered rather than jumping
+// to the row below. Keys less than a quarter of a unit ahead are
+// level with `from`, not in that direction.
+function findKeyInDirection(keys, from, direction) {
+  const [dx, dy] = { left: [-1, 0], right: [1, 0], up: [0, -1], down: [0, 1] }[direction];
+  let best      = null;
+  let bestScore = Infinity;
+
+  keys.forEach(key => {
+    if (key === from) return;
+    const vx     = key.x - from.x;
+    const vy     = key.y - from.y;
+    const ahead  = vx * dx + vy * dy;
+    const across = Math.abs(vx * dy - vy * dx);
+    if (ahead < PX_PER_U / 4) return; // parser.js
+
+    const score = ahead + across * 2;
+    if (score < bestScore) {
+      best      = key;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+
+// ── moveSelection ─────────────────────────────────────────────
+//
+// Public function for the arrow keys: selects the nearest key in
+// `direction` from the last key selected. With `extend` (Shift) the
+// key is added to the selection instead, so repeated presses grow
+// it. With nothing selected, the first key in reading order is
+// selected.
+function moveSelection(direction, extend) {
+  const keys = getSelectableKeys();
+  const from = keys.find(key => key.id === [...selectedIds].pop());
+  if (!from) {
+    const first = inferKeyRows(keys).flat()[0]; // firmware.js
+    if (first) selectKeys([first.id]);
+    return;
+  }
+
+  const to = findKeyInDirection(keys, from, direction);
+  if (!to) return;
+  if (!extend) {
+    selectKeys([to.id]);
+    return;
+  }
+
+  // Re-added at the end, so the next press moves on from it
+  selectedIds.delete(to.id);
+  selectedIds.add(to.id);
+  const group = getKeyGroup(to.id, activeLayer);
+  setKeyHighlight(group, true);
+  bringToTop(group);
+  updateSelectionPanel();
+}
+
+
+// ── selectNextKey ─────────────────────────────────────────────
+//
+// Selects the key after the one with `keyId` in reading order
+// (`step` 1), or the one before it (`step` -1). Stays put at either
+// end.
+function selectNextKey(keyId, step) {
+  const ordered = inferKeyRows(getSelectableKeys()).flat(); // firmware.js
+  const next    = ordered[ordered.findIndex(key => key.id === keyId) + step];
+  if (next) selectKeys([next.id]);
+}
+
+
+// ── editSelectedKey ───────────────────────────────────────────
+//
+// Public function: opens the inline editor on the selected key, as
+// a double-click does. `text`, if given, replaces its label (the
+// character typed to start editing). Returns false if there's no
+// single key selected to edit, or its layer is locked.
+function editSelectedKey(text) {
+  if (selectedIds.size !== 1 || inlineEditor.group) return false;
+  const group = getKeyGroup([...selectedIds][0], activeLayer);
+  if (!group || isLayerLocked(activeLayer)) return false; // isLayerLocked is in app.js
+
+  bringToTop(group);
+  openInlineEditor(group, text);
+  return true;
+}
+
+
 // ── syncKeyVisual ─────────────────────────────────────────────
 //
 // After the panel's Apply button is clicked (in app.js), the key
 // data has been updated but the DOM still shows the old values.
-// This function finds every DOM group for the given key ID
+// This function finds every key group for the given key ID
 // (one per layer) and updates the visuals to match the data.
 //
 // Note: we update all layer instances so that if you're viewing
-// the base layer and edit a key's font size, the change is
-// reflected in all layer blocks simultaneously.
+// the base layer and edit a key's label, the layers whose key is
+// transparent (inheriting it) show the change too.
 function syncKeyVisual(keyId) {
-  document.querySelectorAll(`#viewport g[data-key-id="${keyId}"]`).forEach(group => {
-    const layer = group._layer; // live reference to the layer data object
-    if (!layer) return;
-
-    const rect  = group._rect;
-    const text  = group.querySelector("text");
-    const input = group._input;
-
-    // Update background colour
-    if (rect) rect.setAttribute("fill", layer.bg);
-
-    // Update label text, size, and colour
-    if (text) {
-      text.textContent = layer.text;
-      text.setAttribute("font-size", layer.fontSize);
-      text.setAttribute("fill", layer.color || "#000000");
-    }
+  getKeyGroups(keyId).forEach(group => {
+    // Appearance on this group's layer — which may be inherited,
+    // or combined with the other layers
+    const look = getDisplayAppearance(group._key, group.dataset.layer);
+    drawKeyAppearance(group._key, group._rect, group._text, group._legends, look);
+    // (the inline editor reads the legend afresh each time it opens)
+  });
+}
 
-    // Also update the hidden inline editor so it's in sync
-    // if the user opens it next
-    if (input) {
-      input.value = layer.text;
-      input.style.fontSize = layer.fontSize + "px";
-      input.style.color    = layer.color || "#000000";
-    }
+
+// ── getKeyAppearance ──────────────────────────────────────────
+//
+// What a key looks like on a layer:
+//   { state, bg, color, fontSize, align, text, legends }
+// — shaped like a layer entry, so getLegend() (layers.js) reads it.
+// `state` is the key's own state there (see layers.js). A
+// transparent key has the colours and legends of the key it
+// inherits; a no-op key, or a transparent one with nothing to
+// inherit, keeps its own colours with no legends. The
+// `layerSettings` global (the layer parents) lives in app.js.
+function getKeyAppearance(key, layerName) {
+  const settings = typeof layerSettings !== "undefined" ? layerSettings : {};
+  const own      = key.layers[layerName];
+  const { state, data } = resolveKeyLayer(key, layerName, settings);
+
+  // The entry whose colours and legends are shown
+  const shown = state === "trans" && data ? data : own;
+  const blank = state === "none" || !data || getKeyState(data) === "none";
+
+  return {
+    state,
+    bg:       shown.bg,
+    color:    shown.color || "#000000",
+    fontSize: shown.fontSize,
+    align:    shown.align,
+    text:     blank ? "" : shown.text,
+    legends:  blank ? {} : shown.legends || {}
+  };
+}
+
+
+// ── drawKeyAppearance ─────────────────────────────────────────
+//
+// Sets a key's background rect, main label <text> and the other
+// legends (in legendGroup) from a getKeyAppearance() result.
+// Transparent keys get a dashed border and faded legends; a blank
+// transparent key shows "▽" and a no-op key "✕", in grey. Plain
+// attributes rather than CSS classes, so the exports keep them.
+function drawKeyAppearance(key, rect, text, legendGroup, look) {
+  const others  = LEGEND_SLOTS.filter(slot => slot !== "center" && getLegend(look, slot).text);
+  const marker  = (look.text || others.length) ? "" : { trans: "▽", none: "✕" }[look.state] || "";
+  const opacity = look.state === "trans" && !marker ? "0.5" : "1";
+
+  rect.setAttribute("fill", look.bg);
+  if (look.state === "trans") rect.setAttribute("stroke-dasharray", "6,4");
+  else rect.removeAttribute("stroke-dasharray");
+
+  // The bottom row moves up to make room for front legends
+  const frontBand = Math.max(0, ...others.filter(slot => slot.startsWith("front"))
+                                         .map(slot => getLegend(look, slot).fontSize));
+
+  const place = (el, slot, legend) => {
+    const pos = legendPosition(key, slot, legend.align, frontBand);
+    el.setAttribute("x", pos.x);
+    el.setAttribute("y", pos.y);
+    el.setAttribute("text-anchor", pos.anchor);
+    el.setAttribute("dominant-baseline", pos.baseline);
+    el.setAttribute("font-size", legend.fontSize);
+    el.setAttribute("fill", legend.color);
+    el.setAttribute("opacity", opacity);
+  };
+
+  const main = getLegend(look, "center");
+  place(text, "center", main);
+  text.textContent = main.text || marker;
+  if (marker) text.setAttribute("fill", "#8892a4");
+
+  legendGroup.innerHTML = "";
+  others.forEach(slot => {
+    const legend = getLegend(look, slot);
+    const el     = document.createElementNS(SVG_NS, "text");
+    el.dataset.slot = slot;
+    el.setAttribute("user-select", "none");
+    place(el, slot, legend);
+    el.textContent = legend.text;
+    legendGroup.appendChild(el);
   });
 }
 
 
+// ── legendPosition ────────────────────────────────────────────
+//
+// Where a legend slot's text goes on a key, in the key group's
+// coordinates: { x, y, anchor, baseline }. The keycap top is split
+// into three columns and three rows; `align` places the text at the
+// left, middle or right of its column. Front-face legends sit along
+// the bottom edge, with the bottom row raised by `frontBand` px.
+function legendPosition(key, slot, align, frontBand) {
+  const pad   = 6;
+  const index = LEGEND_SLOTS.indexOf(slot);
+  const row   = Math.floor(index / 3);
+  const col   = index % 3;
+
+  const x0 = col === 0 ? pad : key.width * col / 3;
+  const x1 = col === 2 ? key.width - pad : key.width * (col + 1) / 3;
+  const x  = align === "left" ? x0 : align === "right" ? x1 : (x0 + x1) / 2;
+  const anchor = { left: "start", center: "middle", right: "end" }[align] || "middle";
+
+  if (row === 0) return { x, anchor, y: pad,                          baseline: "hanging" };
+  if (row === 1) return { x, anchor, y: key.height / 2,               baseline: "middle"  };
+  if (row === 2) return { x, anchor, y: key.height - pad - frontBand, baseline: "auto"    };
+  return                { x, anchor, y: key.height - 2,               baseline: "auto"    }; // front
+}
+
+
 // ── updateSelectionPanel ──────────────────────────────────────
 //
 // Called after any selection change to:
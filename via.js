@@ -0,0 +1,203 @@
+// ============================================================
+// via.js
+//
+// Responsible for reading VIA and Vial files:
+//
+//   - Keyboard definitions (VIA's definition JSON, Vial's
+//     vial.json). These wrap a KLE layout whose legends are
+//     matrix positions instead of key labels: "row,col" in each
+//     key's top-left legend, and "option,choice" in the
+//     bottom-right one for keys that belong to a layout option
+//     (split backspace, ISO enter, ...). They give us the key
+//     geometry plus `key.matrix` = { row, col }.
+//   - Keymap backups (Vial's .vil, VIA's saved keymap .json).
+//     These hold the keycode on every layer at every matrix
+//     position, and fill in `layers` with readable legends (see
+//     qmkToLabel in firmware.js).
+//
+// The KLE layout itself is read by kle.js.
+// ============================================================
+
+
+// isVIADefinition(data)
+// ---------------------
+// True if parsed JSON looks like a VIA / Vial keyboard definition
+// rather than a plain KLE layout.
+function isVIADefinition(data) {
+  return !!data && !Array.isArray(data) && typeof data === "object" &&
+         !!data.layouts && Array.isArray(data.layouts.keymap);
+}
+
+
+// getVIALayoutOptions(definition)
+// -------------------------------
+// The layout options a definition offers, from `layouts.labels`:
+//   [{ name: "Split Backspace", choices: ["Off", "On"] },
+//    { name: "Enter", choices: ["ANSI", "ISO"] }, ...]
+// A plain string in VIA is an on/off option; an array is the
+// option's name followed by its choices.
+function getVIALayoutOptions(definition) {
+  return (definition.layouts.labels || []).map(label =>
+    Array.isArray(label)
+      ? { name: String(label[0]), choices: label.slice(1).map(String) }
+      : { name: String(label), choices: ["Off", "On"] }
+  );
+}
+
+
+// parseVIADefinition(definition, options)
+// ----------------------------------------
+// Builds keys from a VIA / Vial keyboard definition.
+//
+// options (all optional):
+//   chooseOptions — async (layoutOptions, choices) => choices | null.
+//                   Called when the definition has layout options
+//                   (see getVIALayoutOptions), with the default
+//                   choice (0) for each, e.g. to show a dialog.
+//                   Returning null cancels.
+//
+// Only the keys of the chosen layout options are kept. As in VIA,
+// an option's other choices are usually drawn off to one side of
+// the board, so the chosen keys are moved to where the option's
+// first choice sits.
+//
+// Returns a Promise of { keys, settings, layers, matrix } — the
+// same as parseKLE() plus the matrix size { rows, cols } — or
+// null if cancelled. Keys keep the definition's order as their
+// physical order, have `matrix` set, and start with blank labels.
+async function parseVIADefinition(definition, options = {}) {
+  const found         = readKLERows(definition.layouts.keymap); // kle.js
+  const layoutOptions = getVIALayoutOptions(definition);
+
+  let choices = layoutOptions.map(() => 0);
+  if (layoutOptions.length && options.chooseOptions) {
+    choices = await options.chooseOptions(layoutOptions, choices);
+    if (!choices) return null; // user cancelled
+  }
+
+  // ── 1. Read matrix positions and layout options ────────────
+  const entries = [];
+  found.forEach(k => {
+    const legend = pos => (k.labels[pos] ? k.labels[pos].text : "");
+
+    // Vial marks rotary encoders with an "e" in the centre; they
+    // aren't in the key matrix
+    if (legend(4) === "e") return;
+
+    entries.push({
+      ...k,
+      matrix: parseVIAPair(legend(0)),
+      option: parseVIAPair(legend(8))
+    });
+  });
+
+  // ── 2. Line up each chosen option with its first choice ────
+  layoutOptions.forEach((opt, i) => {
+    if (!choices[i]) return;
+
+    const group = choice => entries.filter(e => e.option && e.option.a === i && e.option.b === choice);
+    const first  = group(0);
+    const chosen = group(choices[i]);
+    if (!first.length || !chosen.length) return;
+
+    const dx = Math.min(...first.map(e => e.x)) - Math.min(...chosen.map(e => e.x));
+    const dy = Math.min(...first.map(e => e.y)) - Math.min(...chosen.map(e => e.y));
+    chosen.forEach(e => {
+      e.x += dx;
+      e.y += dy;
+      if (e.r) {
+        e.rx += dx;
+        e.ry += dy;
+      }
+    });
+  });
+
+  const kept = entries.filter(e => !e.option || choices[e.option.a] === e.option.b);
+  if (!kept.length) throw new Error("The definition has no keys.");
+
+  // ── 3. Build the keys ──────────────────────────────────────
+  // The legends are matrix positions, not labels, so the keys start
+  // out blank (with the definition's keycap colours)
+  const result = buildKLEKeys(kept.map(e => ({ ...e, labels: [] }))); // kle.js
+  result.keys.forEach((key, i) => {
+    if (kept[i].matrix) key.matrix = { row: kept[i].matrix.a, col: kept[i].matrix.b };
+    key.order = i;
+  });
+
+  const size = definition.matrix || {};
+  result.matrix = {
+    rows: size.rows || Math.max(...result.keys.map(k => (k.matrix ? k.matrix.row + 1 : 0))),
+    cols: size.cols || Math.max(...result.keys.map(k => (k.matrix ? k.matrix.col + 1 : 0)))
+  };
+  return result;
+}
+
+
+// parseVIAPair(text)
+// ------------------
+// Reads a "3,12" legend into { a: 3, b: 12 }, or null.
+function parseVIAPair(text) {
+  const match = /^\s*(\d+)\s*,\s*(\d+)\s*$/.exec(text || "");
+  return match ? { a: +match[1], b: +match[2] } : null;
+}
+
+
+// readVIAKeymap(data, matrixSize)
+// -------------------------------
+// Reads the keycodes out of a parsed keymap backup, as
+// keymap[layer][row][col]:
+//   - Vial .vil files have `layout` in exactly that shape, with -1
+//     for matrix positions that have no key.
+//   - VIA's saved keymaps have `layers`, each one flat list of
+//     rows × cols keycodes, split into rows using `matrixSize`
+//     ({ rows, cols } from the definition).
+// Throws an Error if the data is neither.
+function readVIAKeymap(data, matrixSize) {
+  if (data && Array.isArray(data.layout)) return data.layout;
+
+  if (data && Array.isArray(data.layers)) {
+    if (!matrixSize || !matrixSize.cols) {
+      throw new Error("Import the keyboard's VIA definition first — a VIA keymap doesn't say how wide the matrix is.");
+    }
+    return data.layers.map(layer => {
+      const rows = [];
+      for (let i = 0; i < layer.length; i += matrixSize.cols) rows.push(layer.slice(i, i + matrixSize.cols));
+      return rows;
+    });
+  }
+
+  throw new Error("This doesn't look like a VIA or Vial keymap.");
+}
+
+
+// applyVIAKeymap(keys, keymap)
+// ----------------------------
+// Replaces every key's layers with one layer per keymap layer
+// ("base", "layer 1", "layer 2", ...), labelled from the keycode at
+// the key's matrix position. KC_TRNS and KC_NO become transparent
+// and no-op keys (see layers.js). Each key keeps its base layer's
+// colours and font size. Returns the new layer names.
+// Keys without a matrix position are no-op.
+function applyVIAKeymap(keys, keymap) {
+  const layerNames = keymap.map((_, i) => (i === 0 ? "base" : `layer ${i}`));
+
+  keys.forEach(key => {
+    const { bg, color, fontSize } = key.layers.base || Object.values(key.layers)[0] ||
+                                    { bg: "#ffffff", color: "#000000", fontSize: 18 };
+    const style = { bg, color, fontSize };
+
+    key.layers = {};
+    layerNames.forEach((name, i) => {
+      const row     = key.matrix && keymap[i][key.matrix.row];
+      const keycode = row ? row[key.matrix.col] : null;
+      const state   = qmkKeyState(keycode); // firmware.js
+      key.layers[name] = {
+        ...style,
+        text: state === "defined" ? qmkToLabel(keycode, { isBase: i === 0, layerNames }) : "",
+        state
+      };
+    });
+  });
+
+  return layerNames;
+}